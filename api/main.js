@@ -3,11 +3,112 @@ const express = require("express");
 const cors = require("cors");
 const crypto = require("crypto");
 const { v4: uuidv4 } = require("uuid");
-const { db, admin, sendFCM, sendFCMMulticast, getUserFCMToken } = require("../lib/firebase");
-const { authenticateUser, authenticateAdmin } = require("../lib/middleware");
+const { db, admin, tokenDocId, sendFCMMulticast, sendFCMToUser, getUserFCMTokens } = require("../lib/firebase");
+const { authenticateUser, identifyUser, authenticateAdmin, authenticateCron } = require("../lib/middleware");
+const {
+  RATE_LIMIT_GROUPS,
+  limitsFor,
+  validateRateLimits,
+  rateLimit,
+  blockIps,
+  parseIp,
+  blockIp,
+  unblockIp,
+} = require("../lib/ratelimit");
+const { COUPON_TYPES, COUPON_SCOPES, normalizeCode, quotePurchase } = require("../lib/coupons");
+const { initiateRefund, reconcileInitiatingRefunds } = require("../lib/refunds");
+const {
+  ACCOUNTS,
+  addLedgerEntry,
+  addSaleEntries,
+  ledgerTotals,
+  postOpeningBalance,
+} = require("../lib/ledger");
+const {
+  GRANULARITIES,
+  parseDateRange,
+  previousRange,
+  addSellerStats,
+  summarizeSellerStats,
+  rebuildSellerStats,
+  withRates,
+} = require("../lib/stats");
+const { REPORTS, buildReport, toCsv, countOf, countAndSum } = require("../lib/reports");
+const { getPayoutProvider, isTransferRejected, beneficiaryIdFor } = require("../lib/payouts");
+const { releaseWithdrawal, markWithdrawalPaid, reconcileProcessingWithdrawals } = require("../lib/withdrawals");
+const { handleWebhook, replayWebhookEvent } = require("../lib/webhooks");
+const { reconcilePendingOrders } = require("../lib/settlement");
+const {
+  SORTS,
+  tokenize,
+  searchFields,
+  searchProducts,
+  canBrowse,
+  browseProducts,
+  reindexProducts,
+} = require("../lib/search");
+const { parseLimit, paginateQuery, paginateArray } = require("../lib/pagination");
+const { isEmailConfigured, loadBrand, sendEmail } = require("../lib/email");
+const {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_EVENTS,
+  CHANNELS,
+  preferencesOf,
+  channelsFor,
+  notifyUser,
+  countUnread,
+  listNotifications,
+  findNotification,
+  markRead,
+  markAllRead,
+  deleteNotification,
+} = require("../lib/notifications");
+const { issueInvoice, renderInvoicesHtml, invoicesToCsv } = require("../lib/invoices");
+const {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  generateSecret,
+  parseEndpointUrl,
+  parseEvents,
+  publicEndpoint,
+  findEndpoint,
+  createEndpoint,
+  emitSellerEvent,
+  sendTestEvent,
+  retryDueDeliveries,
+} = require("../lib/integrations");
+const {
+  CAMPAIGN_STATUSES,
+  SEGMENTS,
+  createCampaign,
+  dispatchDueCampaigns,
+  cancelCampaign,
+} = require("../lib/campaigns");
+const {
+  LEDGER_CURRENCY,
+  CURRENCIES,
+  normalizeCurrency,
+  formatMoney,
+  loadExchangeRates,
+  priceIn,
+  parsePrices,
+} = require("../lib/currency");
+const {
+  slugify,
+  loadCategories,
+  resolveCategory,
+  categoryFilter,
+  mergeCategories,
+} = require("../lib/categories");
+
+const round2 = (n) => Math.round(n * 100) / 100;
 
 const app = express();
 app.use(cors({ origin: "*" }));
+app.use(blockIps);
+
+// Payout webhook needs raw body for signature verification
+app.use("/api/payouts/webhook", express.raw({ type: "application/json" }));
 app.use(express.json());
 
 // ─────────────────────────────────────────
@@ -35,18 +136,88 @@ function decryptLink(encryptedText) {
   return decrypted;
 }
 
-// Strip downloadLink from product objects before sending to frontend
+// Strip downloadLink and the search index from product objects before sending to frontend
 function sanitizeProduct(product) {
-  const { downloadLink, ...safe } = product;
+  const { downloadLink, searchKeywords, ...safe } = product;
   return safe;
 }
 
+// Product fields a seller may edit, and the subset that sends an approved
+// product back to the moderation queue when changed.
+const EDITABLE_PRODUCT_FIELDS = [
+  "title",
+  "description",
+  "price",
+  "discountPrice",
+  "category",
+  "thumbnailUrl",
+  "youtubeLink",
+  "demoLink",
+  "downloadLink",
+  "tags",
+  "currency",
+  "prices",
+];
+const REVIEWED_PRODUCT_FIELDS = [
+  "title",
+  "description",
+  "price",
+  "discountPrice",
+  "currency",
+  "prices",
+  "category",
+  "downloadLink",
+  "tags",
+];
+// Changing any of these rebuilds the product's search and price index fields
+const INDEXED_PRODUCT_FIELDS = [
+  "title",
+  "description",
+  "category",
+  "tags",
+  "price",
+  "discountPrice",
+  "currency",
+  "prices",
+];
+
+const MAX_PRODUCT_TAGS = 10;
+
+// Accepts an array or a comma-separated string; returns null when invalid.
+function parseTags(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(",");
+  if (list.some((tag) => typeof tag !== "string")) return null;
+  const tags = [...new Set(list.map((tag) => tag.trim().toLowerCase()).filter(Boolean))];
+  if (tags.length > MAX_PRODUCT_TAGS || tags.some((tag) => tag.length > 30)) return null;
+  return tags;
+}
+
+// Recompute the denormalized rating fields after a review is added, changed or removed.
+// Products created before reviews existed have no ratingSum, so they start from zero.
+function ratingFields(product, sumDelta, countDelta) {
+  const ratingSum = Math.max((product.ratingSum || 0) + sumDelta, 0);
+  const reviewCount = Math.max((product.reviewCount || 0) + countDelta, 0);
+  const rating = reviewCount > 0 ? Math.round((ratingSum / reviewCount) * 10) / 10 : 0;
+  return { ratingSum, reviewCount, rating };
+}
+
+function parseRating(value) {
+  const rating = Number(value);
+  return Number.isInteger(rating) && rating >= 1 && rating <= 5 ? rating : null;
+}
+
+// Build a moderation history entry for products.statusHistory.
+// Uses a plain Date because serverTimestamp() is not allowed inside arrayUnion.
+function productStatusEntry(status, by, reason = null) {
+  return { status, by, reason, at: new Date() };
+}
+
 // ─────────────────────────────────────────
 // AUTH ROUTES
 // ─────────────────────────────────────────
 
 // POST /api/auth/register
-app.post("/api/auth/register", async (req, res) => {
+app.post("/api/auth/register", rateLimit("auth"), async (req, res) => {
   try {
     const { uid, email, fullName, role } = req.body;
 
@@ -104,63 +275,164 @@ app.get("/api/auth/user", authenticateUser, async (req, res) => {
 // PATCH /api/user/profile
 app.patch("/api/user/profile", authenticateUser, async (req, res) => {
   try {
-    const { fullName, avatarUrl } = req.body;
+    const { fullName, avatarUrl, currency } = req.body;
     const updates = {};
     if (fullName !== undefined) updates.fullName = fullName;
     if (avatarUrl !== undefined) updates.avatarUrl = avatarUrl;
+    // A buyer's default checkout currency; for sellers also the default currency of new products
+    if (currency !== undefined) updates.currency = normalizeCurrency(currency);
 
     if (Object.keys(updates).length === 0) {
       return res.status(400).json({ error: "No valid fields to update" });
     }
 
     await db.collection("users").doc(req.user.uid).update(updates);
+
+    // Seller names are searchable, so their products' keywords follow a rename
+    if (updates.fullName !== undefined) {
+      await reindexProducts({ sellerId: req.user.uid });
+    }
+
     return res.json({ success: true });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
     console.error(`[UpdateProfile] Error: ${err.message}`);
     return res.status(500).json({ error: "Failed to update profile" });
   }
 });
 
+// GET /api/user/notification-preferences
+app.get("/api/user/notification-preferences", authenticateUser, async (req, res) => {
+  try {
+    const userDoc = await db.collection("users").doc(req.user.uid).get();
+    if (!userDoc.exists) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    return res.json({
+      preferences: preferencesOf(userDoc.data()),
+      events: Object.entries(NOTIFICATION_EVENTS).map(([event, { label, defaultChannel }]) => ({
+        event,
+        label,
+        defaultChannel,
+      })),
+      channels: CHANNELS,
+      emailAvailable: isEmailConfigured(),
+    });
+  } catch (err) {
+    console.error(`[GetNotificationPreferences] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to fetch notification preferences" });
+  }
+});
+
+// PATCH /api/user/notification-preferences
+// Body: { [event]: "push" | "email" | "both" | "none" }
+app.patch("/api/user/notification-preferences", authenticateUser, async (req, res) => {
+  try {
+    const updates = {};
+    for (const [event, channel] of Object.entries(req.body || {})) {
+      if (!NOTIFICATION_EVENTS[event]) {
+        return res.status(400).json({ error: `Unknown event "${event}"` });
+      }
+      if (!CHANNELS.includes(channel)) {
+        return res.status(400).json({ error: `Channel for ${event} must be one of: ${CHANNELS.join(", ")}` });
+      }
+      updates[`notificationPreferences.${event}`] = channel;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: "No valid fields to update" });
+    }
+
+    const userRef = db.collection("users").doc(req.user.uid);
+    await userRef.update(updates);
+
+    const userDoc = await userRef.get();
+    return res.json({ success: true, preferences: preferencesOf(userDoc.data()) });
+  } catch (err) {
+    console.error(`[UpdateNotificationPreferences] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to update notification preferences" });
+  }
+});
+
 // ─────────────────────────────────────────
 // PRODUCT ROUTES
 // ─────────────────────────────────────────
 
 // GET /api/products
+// Plain listings page through Firestore; search results are ranked in memory
+// from a bounded candidate set and paged with an offset cursor. Both return an
+// opaque nextCursor. `truncated` marks search results and counts that only
+// cover the first candidates.
 app.get("/api/products", async (req, res) => {
   try {
-    const { category, search, limit = 20, page = 1 } = req.query;
-    let query = db.collection("products").where("status", "==", "approved");
+    const { category, search, sort, cursor } = req.query;
+    const limit = parseLimit(req.query.limit);
 
-    if (category) {
-      query = query.where("category", "==", category);
+    if (sort && !SORTS.includes(sort)) {
+      return res.status(400).json({ error: `sort must be one of: ${SORTS.join(", ")}` });
     }
 
-    const snapshot = await query.get();
-    let products = snapshot.docs.map((doc) => sanitizeProduct({ id: doc.id, ...doc.data() }));
+    const priceRange = {};
+    for (const field of ["minPrice", "maxPrice"]) {
+      if (req.query[field] === undefined || req.query[field] === "") continue;
+      priceRange[field] = parseFloat(req.query[field]);
+      if (isNaN(priceRange[field]) || priceRange[field] < 0) {
+        return res.status(400).json({ error: `${field} must be a non-negative number` });
+      }
+    }
 
-    if (search) {
-      const searchLower = search.toLowerCase();
-      products = products.filter((p) => p.title && p.title.toLowerCase().includes(searchLower));
+    const params = { search, sort, ...priceRange };
+    if (category) params.categories = await categoryFilter(category);
+
+    if (canBrowse(params)) {
+      const { products, nextCursor, total } = await browseProducts({ ...params, cursor, limit });
+      return res.json({
+        products: products.map(sanitizeProduct),
+        nextCursor,
+        total,
+        facets: null,
+        truncated: false,
+      });
     }
 
-    const total = products.length;
-    const start = (parseInt(page) - 1) * parseInt(limit);
-    const paginated = products.slice(start, start + parseInt(limit));
+    const { products, facets, truncated } = await searchProducts(params);
+    const page = paginateArray(products, { cursor, limit });
 
-    return res.json({ products: paginated, total });
+    return res.json({
+      products: page.items.map(sanitizeProduct),
+      nextCursor: page.nextCursor,
+      total: products.length,
+      facets,
+      truncated,
+    });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
     console.error(`[GetProducts] Error: ${err.message}`);
     return res.status(500).json({ error: "Failed to fetch products" });
   }
 });
 
 // POST /api/products/click/:id
-app.post("/api/products/click/:id", async (req, res) => {
+app.post("/api/products/click/:id", rateLimit("click"), async (req, res) => {
   try {
     const { id } = req.params;
-    await db.collection("products").doc(id).update({
-      clicks: admin.firestore.FieldValue.increment(1),
-    });
+    const productRef = db.collection("products").doc(id);
+    const productDoc = await productRef.get();
+
+    if (!productDoc.exists) {
+      return res.status(404).json({ error: "Product not found" });
+    }
+
+    const batch = db.batch();
+    batch.update(productRef, { clicks: admin.firestore.FieldValue.increment(1) });
+    addSellerStats(batch, { sellerId: productDoc.data().sellerId, productId: id, clicks: 1 });
+    await batch.commit();
+
     return res.json({ success: true });
   } catch (err) {
     console.error(`[ProductClick] Error: ${err.message}`);
@@ -169,7 +441,8 @@ app.post("/api/products/click/:id", async (req, res) => {
 });
 
 // GET /api/products/:id
-app.get("/api/products/:id", async (req, res) => {
+// Pending and rejected products are only visible to their seller and the admin
+app.get("/api/products/:id", identifyUser, async (req, res) => {
   try {
     const { id } = req.params;
     const productDoc = await db.collection("products").doc(id).get();
@@ -177,6 +450,13 @@ app.get("/api/products/:id", async (req, res) => {
     if (!productDoc.exists) {
       return res.status(404).json({ error: "Product not found" });
     }
+    if (productDoc.data().status !== "approved") {
+      const isOwner = req.user && req.user.uid === productDoc.data().sellerId;
+      const isAdmin = req.user && req.user.email === process.env.ADMIN_EMAIL;
+      if (!isOwner && !isAdmin) {
+        return res.status(404).json({ error: "Product not found" });
+      }
+    }
 
     const product = sanitizeProduct({ id: productDoc.id, ...productDoc.data() });
     let sellerName = "Unknown";
@@ -209,6 +489,21 @@ app.post("/api/products/create", authenticateUser, async (req, res) => {
       return res.status(400).json({ error: "Missing required fields: title, description, price, category, downloadLink" });
     }
 
+    const tags = parseTags(req.body.tags);
+    if (!tags) {
+      return res.status(400).json({ error: `tags must be at most ${MAX_PRODUCT_TAGS} short strings` });
+    }
+
+    const resolvedCategory = await resolveCategory(category);
+    if (!resolvedCategory || resolvedCategory.active === false) {
+      return res.status(400).json({ error: `Unknown category "${category}"` });
+    }
+
+    const prices = parsePrices(req.body.prices);
+    if (!prices) {
+      return res.status(400).json({ error: "prices must map supported currency codes to positive amounts" });
+    }
+
     const encryptedLink = encryptLink(downloadLink);
 
     const productData = {
@@ -216,36 +511,228 @@ app.post("/api/products/create", authenticateUser, async (req, res) => {
       description,
       price: parseFloat(price),
       discountPrice: discountPrice ? parseFloat(discountPrice) : null,
-      category,
+      currency: normalizeCurrency(req.body.currency || userDoc.data().currency),
+      prices,
+      category: resolvedCategory.slug,
       thumbnailUrl: thumbnailUrl || null,
       youtubeLink: youtubeLink || null,
       demoLink: demoLink || null,
       downloadLink: encryptedLink,
+      tags,
       sellerId: req.user.uid,
-      status: "approved",
+      status: "pending",
+      statusHistory: [productStatusEntry("pending", req.user.uid)],
+      rejectionReason: null,
       clicks: 0,
       sales: 0,
-      rating: 5.0,
+      rating: 0,
+      ratingSum: 0,
+      reviewCount: 0,
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
     };
+    productData.ledgerPrice = priceIn(productData, LEDGER_CURRENCY, await loadExchangeRates());
+    Object.assign(productData, searchFields(productData, userDoc.data().fullName));
 
     const docRef = await db.collection("products").add(productData);
     console.log(`[CreateProduct] Product ${docRef.id} created by ${req.user.uid}`);
 
     // Notify admin via FCM
     const sellerName = userDoc.data().fullName || "A seller";
-    const adminToken = await getUserFCMToken(process.env.ADMIN_EMAIL);
-    if (adminToken) {
-      await sendFCM(adminToken, "New Product Uploaded 📦", `${sellerName} uploaded ${title}`);
-    }
+    await sendFCMToUser(process.env.ADMIN_EMAIL, "New Product Awaiting Review 📦", `${sellerName} uploaded ${title}`);
 
-    return res.status(201).json({ success: true, productId: docRef.id });
+    return res.status(201).json({ success: true, productId: docRef.id, status: "pending" });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
     console.error(`[CreateProduct] Error: ${err.message}`);
     return res.status(500).json({ error: "Failed to create product" });
   }
 });
 
+// PATCH /api/products/:id
+app.patch("/api/products/:id", authenticateUser, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const productRef = db.collection("products").doc(id);
+    const [productDoc, configDoc] = await Promise.all([
+      productRef.get(),
+      db.collection("config").doc("app_config").get(),
+    ]);
+
+    if (!productDoc.exists) {
+      return res.status(404).json({ error: "Product not found" });
+    }
+
+    const product = productDoc.data();
+    if (product.sellerId !== req.user.uid) {
+      return res.status(403).json({ error: "Not authorized to edit this product" });
+    }
+
+    const updates = {};
+    for (const field of EDITABLE_PRODUCT_FIELDS) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: "No valid fields to update" });
+    }
+
+    for (const field of ["title", "description", "category", "downloadLink"]) {
+      if (updates[field] !== undefined && !updates[field]) {
+        return res.status(400).json({ error: `${field} cannot be empty` });
+      }
+    }
+
+    if (updates.price !== undefined) {
+      updates.price = parseFloat(updates.price);
+      if (isNaN(updates.price) || updates.price <= 0) {
+        return res.status(400).json({ error: "price must be a positive number" });
+      }
+    }
+    if (updates.discountPrice !== undefined) {
+      updates.discountPrice = updates.discountPrice ? parseFloat(updates.discountPrice) : null;
+      if (updates.discountPrice !== null && (isNaN(updates.discountPrice) || updates.discountPrice <= 0)) {
+        return res.status(400).json({ error: "discountPrice must be a positive number" });
+      }
+    }
+    for (const field of ["thumbnailUrl", "youtubeLink", "demoLink"]) {
+      if (updates[field] !== undefined) updates[field] = updates[field] || null;
+    }
+    if (updates.category !== undefined) {
+      const resolvedCategory = await resolveCategory(updates.category);
+      if (!resolvedCategory || resolvedCategory.active === false) {
+        return res.status(400).json({ error: `Unknown category "${updates.category}"` });
+      }
+      updates.category = resolvedCategory.slug;
+    }
+    if (updates.tags !== undefined) {
+      updates.tags = parseTags(updates.tags);
+      if (!updates.tags) {
+        return res.status(400).json({ error: `tags must be at most ${MAX_PRODUCT_TAGS} short strings` });
+      }
+    }
+    if (updates.currency !== undefined) {
+      updates.currency = normalizeCurrency(updates.currency);
+    }
+    if (updates.prices !== undefined) {
+      updates.prices = parsePrices(updates.prices);
+      if (!updates.prices) {
+        return res.status(400).json({ error: "prices must map supported currency codes to positive amounts" });
+      }
+    }
+
+    // Record before/after for every field that actually changed. The download
+    // link is only stored encrypted on the product, so its revision just notes the change.
+    const changes = {};
+    for (const [field, value] of Object.entries(updates)) {
+      if (field === "downloadLink") {
+        changes.downloadLink = { changed: true };
+        continue;
+      }
+      let changed = product[field] !== value;
+      if (field === "tags") changed = (product.tags || []).join(",") !== value.join(",");
+      if (field === "prices") changed = JSON.stringify(product.prices || {}) !== JSON.stringify(value);
+      if (changed) {
+        changes[field] = { from: product[field] === undefined ? null : product[field], to: value };
+      }
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.json({ success: true, changed: [], status: product.status });
+    }
+
+    const finalUpdates = {};
+    for (const field of Object.keys(changes)) {
+      finalUpdates[field] = field === "downloadLink" ? encryptLink(updates.downloadLink) : updates[field];
+    }
+
+    if (Object.keys(changes).some((field) => INDEXED_PRODUCT_FIELDS.includes(field))) {
+      const sellerDoc = await db.collection("users").doc(req.user.uid).get();
+      const rates = await loadExchangeRates(configDoc.exists ? configDoc.data() : {});
+      finalUpdates.ledgerPrice = priceIn({ ...product, ...finalUpdates }, LEDGER_CURRENCY, rates);
+      Object.assign(finalUpdates, searchFields({ ...product, ...finalUpdates }, sellerDoc.data()?.fullName));
+    }
+
+    const requireReview = configDoc.exists ? configDoc.data().requireReviewOnEdit !== false : true;
+    // Editing a rejected product resubmits it; approved products only go back
+    // to review when a reviewed field changes and the admin has enabled it.
+    const needsReview =
+      product.status === "rejected" ||
+      (requireReview &&
+        product.status === "approved" &&
+        Object.keys(changes).some((field) => REVIEWED_PRODUCT_FIELDS.includes(field)));
+
+    if (needsReview) {
+      finalUpdates.status = "pending";
+      finalUpdates.statusHistory = admin.firestore.FieldValue.arrayUnion(
+        productStatusEntry("pending", req.user.uid, "Product edited")
+      );
+    }
+    finalUpdates.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+
+    const batch = db.batch();
+    batch.update(productRef, finalUpdates);
+    batch.set(productRef.collection("revisions").doc(), {
+      editedBy: req.user.uid,
+      changes,
+      statusBefore: product.status,
+      statusAfter: needsReview ? "pending" : product.status,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    await batch.commit();
+
+    console.log(`[EditProduct] Product ${id} edited by ${req.user.uid}: ${Object.keys(changes).join(", ")}`);
+
+    if (needsReview) {
+      await sendFCMToUser(
+        process.env.ADMIN_EMAIL,
+        "Product Edited — Review Needed 📝",
+        `"${finalUpdates.title || product.title}" was edited`
+      );
+    }
+
+    return res.json({
+      success: true,
+      changed: Object.keys(changes),
+      status: needsReview ? "pending" : product.status,
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[EditProduct] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to update product" });
+  }
+});
+
+// GET /api/products/:id/revisions
+app.get("/api/products/:id/revisions", authenticateUser, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const productRef = db.collection("products").doc(id);
+    const productDoc = await productRef.get();
+
+    if (!productDoc.exists) {
+      return res.status(404).json({ error: "Product not found" });
+    }
+
+    const isAdmin = req.user.email === process.env.ADMIN_EMAIL;
+    const isOwner = productDoc.data().sellerId === req.user.uid;
+
+    if (!isOwner && !isAdmin) {
+      return res.status(403).json({ error: "Not authorized to view this product's history" });
+    }
+
+    const snapshot = await productRef.collection("revisions").orderBy("createdAt", "desc").limit(50).get();
+    const revisions = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    return res.json({ revisions });
+  } catch (err) {
+    console.error(`[ProductRevisions] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to fetch product revisions" });
+  }
+});
+
 // DELETE /api/products/:id
 app.delete("/api/products/:id", authenticateUser, async (req, res) => {
   try {
@@ -274,121 +761,663 @@ app.delete("/api/products/:id", authenticateUser, async (req, res) => {
 });
 
 // ─────────────────────────────────────────
-// SELLER ROUTES
+// REVIEW ROUTES
 // ─────────────────────────────────────────
 
-// GET /api/seller/products
-app.get("/api/seller/products", authenticateUser, async (req, res) => {
+// GET /api/products/:id/reviews
+app.get("/api/products/:id/reviews", async (req, res) => {
   try {
-    const snapshot = await db.collection("products").where("sellerId", "==", req.user.uid).get();
-    const products = snapshot.docs.map((doc) => sanitizeProduct({ id: doc.id, ...doc.data() }));
-    return res.json({ products });
+    const { id } = req.params;
+    const { cursor } = req.query;
+    const limit = parseLimit(req.query.limit, 10, 50);
+
+    const reviewsRef = db.collection("products").doc(id).collection("reviews");
+    const query = reviewsRef.where("status", "==", "published").orderBy("createdAt", "desc");
+
+    const page = await paginateQuery(query, reviewsRef, { cursor, limit });
+    const reviews = page.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+
+    return res.json({ reviews, nextCursor: page.nextCursor });
   } catch (err) {
-    console.error(`[SellerProducts] Error: ${err.message}`);
-    return res.status(500).json({ error: "Failed to fetch seller products" });
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[GetReviews] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to fetch reviews" });
   }
 });
 
-// GET /api/seller/analytics
-app.get("/api/seller/analytics", authenticateUser, async (req, res) => {
+// POST /api/products/:id/reviews
+app.post("/api/products/:id/reviews", authenticateUser, async (req, res) => {
   try {
-    const snapshot = await db.collection("orders").where("sellerId", "==", req.user.uid).get();
+    const { id } = req.params;
+    const { comment } = req.body;
+    const rating = parseRating(req.body.rating);
 
-    const now = new Date();
-    const last7Days = {};
-
-    for (let i = 6; i >= 0; i--) {
-      const d = new Date(now);
-      d.setDate(d.getDate() - i);
-      const dateKey = d.toISOString().split("T")[0];
-      last7Days[dateKey] = { date: dateKey, amount: 0, count: 0 };
-    }
-
-    snapshot.docs.forEach((doc) => {
-      const order = doc.data();
-      if (order.status !== "completed") return;
-      const ts = order.completedAt || order.createdAt;
-      if (!ts) return;
-      const date = ts.toDate ? ts.toDate() : new Date(ts);
-      const dateKey = date.toISOString().split("T")[0];
-      if (last7Days[dateKey]) {
-        last7Days[dateKey].amount += order.sellerEarning || 0;
-        last7Days[dateKey].count += 1;
+    if (rating === null) {
+      return res.status(400).json({ error: "rating must be an integer from 1 to 5" });
+    }
+
+    const [orderSnapshot, userDoc] = await Promise.all([
+      db
+        .collection("orders")
+        .where("buyerId", "==", req.user.uid)
+        .where("productId", "==", id)
+        .where("status", "==", "completed")
+        .limit(1)
+        .get(),
+      db.collection("users").doc(req.user.uid).get(),
+    ]);
+
+    if (orderSnapshot.empty) {
+      return res.status(403).json({ error: "Purchase required to review this product" });
+    }
+
+    const productRef = db.collection("products").doc(id);
+    // One review per buyer, keyed by uid
+    const reviewRef = productRef.collection("reviews").doc(req.user.uid);
+
+    await db.runTransaction(async (tx) => {
+      const [productDoc, reviewDoc] = await Promise.all([tx.get(productRef), tx.get(reviewRef)]);
+
+      if (!productDoc.exists) {
+        throw Object.assign(new Error("Product not found"), { status: 404 });
       }
+      if (reviewDoc.exists) {
+        throw Object.assign(new Error("You have already reviewed this product"), { status: 409 });
+      }
+
+      tx.set(reviewRef, {
+        productId: id,
+        buyerId: req.user.uid,
+        buyerName: userDoc.exists ? userDoc.data().fullName || "Buyer" : "Buyer",
+        rating,
+        comment: comment ? String(comment).trim() : "",
+        status: "published",
+        sellerReply: null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      tx.update(productRef, ratingFields(productDoc.data(), rating, 1));
     });
 
-    return res.json({ dailySales: Object.values(last7Days) });
+    console.log(`[CreateReview] ${req.user.uid} reviewed product ${id} (${rating}★)`);
+    return res.status(201).json({ success: true, reviewId: req.user.uid });
   } catch (err) {
-    console.error(`[SellerAnalytics] Error: ${err.message}`);
-    return res.status(500).json({ error: "Failed to fetch analytics" });
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[CreateReview] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to submit review" });
   }
 });
 
-// ─────────────────────────────────────────
-// USER ROUTES
-// ─────────────────────────────────────────
-
-// GET /api/user/wishlist
-app.get("/api/user/wishlist", authenticateUser, async (req, res) => {
+// PATCH /api/products/:id/reviews/:reviewId
+app.patch("/api/products/:id/reviews/:reviewId", authenticateUser, async (req, res) => {
   try {
-    const userDoc = await db.collection("users").doc(req.user.uid).get();
-    if (!userDoc.exists) {
-      return res.status(404).json({ error: "User not found" });
+    const { id, reviewId } = req.params;
+    const { comment } = req.body;
+    const rating = req.body.rating !== undefined ? parseRating(req.body.rating) : undefined;
+
+    if (rating === null) {
+      return res.status(400).json({ error: "rating must be an integer from 1 to 5" });
+    }
+    if (rating === undefined && comment === undefined) {
+      return res.status(400).json({ error: "No valid fields to update" });
     }
 
-    const wishlist = userDoc.data().wishlist || [];
-    if (wishlist.length === 0) {
-      return res.json({ products: [] });
+    const productRef = db.collection("products").doc(id);
+    const reviewRef = productRef.collection("reviews").doc(reviewId);
+
+    await db.runTransaction(async (tx) => {
+      const [productDoc, reviewDoc] = await Promise.all([tx.get(productRef), tx.get(reviewRef)]);
+
+      if (!productDoc.exists || !reviewDoc.exists) {
+        throw Object.assign(new Error("Review not found"), { status: 404 });
+      }
+
+      const review = reviewDoc.data();
+      if (review.buyerId !== req.user.uid) {
+        throw Object.assign(new Error("Not authorized to edit this review"), { status: 403 });
+      }
+      if (review.status !== "published") {
+        throw Object.assign(new Error("This review has been removed"), { status: 410 });
+      }
+
+      const updates = { updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+      if (comment !== undefined) updates.comment = String(comment).trim();
+      if (rating !== undefined) updates.rating = rating;
+
+      tx.update(reviewRef, updates);
+      if (rating !== undefined && rating !== review.rating) {
+        tx.update(productRef, ratingFields(productDoc.data(), rating - review.rating, 0));
+      }
+    });
+
+    return res.json({ success: true });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
     }
+    console.error(`[EditReview] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to update review" });
+  }
+});
 
-    const productPromises = wishlist.map((pid) => db.collection("products").doc(pid).get());
-    const productDocs = await Promise.all(productPromises);
+// DELETE /api/products/:id/reviews/:reviewId
+app.delete("/api/products/:id/reviews/:reviewId", authenticateUser, async (req, res) => {
+  try {
+    const { id, reviewId } = req.params;
+    const productRef = db.collection("products").doc(id);
+    const reviewRef = productRef.collection("reviews").doc(reviewId);
 
-    const products = productDocs
-      .filter((d) => d.exists)
-      .map((d) => sanitizeProduct({ id: d.id, ...d.data() }));
+    await db.runTransaction(async (tx) => {
+      const [productDoc, reviewDoc] = await Promise.all([tx.get(productRef), tx.get(reviewRef)]);
 
-    return res.json({ products });
+      if (!reviewDoc.exists) {
+        throw Object.assign(new Error("Review not found"), { status: 404 });
+      }
+
+      const review = reviewDoc.data();
+      if (review.buyerId !== req.user.uid) {
+        throw Object.assign(new Error("Not authorized to delete this review"), { status: 403 });
+      }
+      // A review removed by an admin stays as a tombstone so the author can't re-post it
+      if (review.status !== "published") {
+        throw Object.assign(new Error("This review was removed by a moderator"), { status: 403 });
+      }
+
+      tx.delete(reviewRef);
+      if (productDoc.exists) {
+        tx.update(productRef, ratingFields(productDoc.data(), -review.rating, -1));
+      }
+    });
+
+    console.log(`[DeleteReview] Review ${reviewId} on product ${id} deleted by author`);
+    return res.json({ success: true });
   } catch (err) {
-    console.error(`[GetWishlist] Error: ${err.message}`);
-    return res.status(500).json({ error: "Failed to fetch wishlist" });
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[DeleteReview] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to delete review" });
   }
 });
 
-// POST /api/user/wishlist/toggle
-app.post("/api/user/wishlist/toggle", authenticateUser, async (req, res) => {
+// POST /api/products/:id/reviews/:reviewId/reply
+app.post("/api/products/:id/reviews/:reviewId/reply", authenticateUser, async (req, res) => {
   try {
-    const { productId } = req.body;
-    if (!productId) {
-      return res.status(400).json({ error: "productId is required" });
+    const { id, reviewId } = req.params;
+    const { reply } = req.body;
+
+    if (reply === undefined) {
+      return res.status(400).json({ error: "reply is required" });
     }
 
-    const userRef = db.collection("users").doc(req.user.uid);
-    const userDoc = await userRef.get();
+    const productRef = db.collection("products").doc(id);
+    const reviewRef = productRef.collection("reviews").doc(reviewId);
+    const [productDoc, reviewDoc] = await Promise.all([productRef.get(), reviewRef.get()]);
 
-    if (!userDoc.exists) {
-      return res.status(404).json({ error: "User not found" });
+    if (!productDoc.exists || !reviewDoc.exists) {
+      return res.status(404).json({ error: "Review not found" });
+    }
+    if (productDoc.data().sellerId !== req.user.uid) {
+      return res.status(403).json({ error: "Only the product's seller can reply" });
     }
 
-    const wishlist = userDoc.data().wishlist || [];
-    const inWishlist = wishlist.includes(productId);
+    // An empty reply clears the existing one
+    const text = String(reply).trim();
+    await reviewRef.update({
+      sellerReply: text ? { text, repliedAt: new Date() } : null,
+    });
 
-    if (inWishlist) {
-      await userRef.update({ wishlist: admin.firestore.FieldValue.arrayRemove(productId) });
-      return res.json({ added: false });
-    } else {
-      await userRef.update({ wishlist: admin.firestore.FieldValue.arrayUnion(productId) });
-      return res.json({ added: true });
+    const review = reviewDoc.data();
+    if (text && review.status === "published") {
+      await notifyUser(review.buyerId, {
+        type: NOTIFICATION_TYPES.REVIEW_REPLY,
+        title: "Seller Replied 💬",
+        body: `The seller replied to your review of "${productDoc.data().title}"`,
+        data: { productId: id },
+      });
     }
+
+    return res.json({ success: true });
   } catch (err) {
-    console.error(`[ToggleWishlist] Error: ${err.message}`);
-    return res.status(500).json({ error: "Failed to update wishlist" });
+    console.error(`[ReplyReview] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to reply to review" });
   }
 });
 
-// GET /api/user/purchases
-app.get("/api/user/purchases", authenticateUser, async (req, res) => {
-  try {
+// ─────────────────────────────────────────
+// SELLER ROUTES
+// ─────────────────────────────────────────
+
+// GET /api/seller/products
+app.get("/api/seller/products", authenticateUser, async (req, res) => {
+  try {
+    const { status, cursor } = req.query;
+    const limit = parseLimit(req.query.limit);
+
+    let query = db.collection("products").where("sellerId", "==", req.user.uid);
+    if (status) query = query.where("status", "==", status);
+
+    const page = await paginateQuery(query.orderBy("createdAt", "desc"), db.collection("products"), { cursor, limit });
+    const products = page.docs.map((doc) => sanitizeProduct({ id: doc.id, ...doc.data() }));
+    return res.json({ products, nextCursor: page.nextCursor });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[SellerProducts] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to fetch seller products" });
+  }
+});
+
+// GET /api/seller/analytics?from=YYYY-MM-DD&to=YYYY-MM-DD&granularity=day|week|month
+// Reads the pre-aggregated seller_stats documents; defaults to the last 7 days.
+app.get("/api/seller/analytics", authenticateUser, async (req, res) => {
+  try {
+    const granularity = req.query.granularity || "day";
+    if (!GRANULARITIES.includes(granularity)) {
+      return res.status(400).json({ error: `granularity must be one of: ${GRANULARITIES.join(", ")}` });
+    }
+
+    const range = parseDateRange(req.query);
+    const previousPeriod = previousRange(range);
+
+    const [current, previous] = await Promise.all([
+      summarizeSellerStats(req.user.uid, range, granularity),
+      summarizeSellerStats(req.user.uid, previousPeriod, granularity),
+    ]);
+
+    const change = {};
+    ["revenue", "netRevenue", "sales", "clicks", "refunds", "conversionRate"].forEach((field) => {
+      const before = previous.totals[field];
+      change[field] = before ? Math.round(((current.totals[field] - before) / before) * 1000) / 10 : null;
+    });
+
+    const productIds = Object.keys(current.products);
+    const productDocs = productIds.length
+      ? await db.getAll(...productIds.map((id) => db.collection("products").doc(id)))
+      : [];
+    const products = productDocs
+      .map((doc) => ({
+        productId: doc.id,
+        title: doc.exists ? doc.data().title : null,
+        ...withRates(current.products[doc.id]),
+      }))
+      .sort((a, b) => b.revenue - a.revenue);
+
+    const { totals } = current;
+    return res.json({
+      range: { from: range.from, to: range.to, granularity },
+      totals,
+      previous: { from: previousPeriod.from, to: previousPeriod.to, totals: previous.totals },
+      change,
+      funnel: {
+        clicks: totals.clicks,
+        purchases: totals.sales,
+        refunds: totals.refunds,
+        conversionRate: totals.conversionRate,
+        refundRate: totals.refundRate,
+      },
+      series: current.series,
+      products,
+      // Shape of the original 7-day chart, kept for existing clients
+      ...(granularity === "day"
+        ? { dailySales: current.series.map((p) => ({ date: p.period, amount: p.revenue, count: p.sales })) }
+        : {}),
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[SellerAnalytics] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to fetch analytics" });
+  }
+});
+
+// GET /api/seller/ledger
+app.get("/api/seller/ledger", authenticateUser, async (req, res) => {
+  try {
+    const { cursor } = req.query;
+    const limit = parseLimit(req.query.limit, 25);
+    const query = db
+      .collection("ledger_entries")
+      .where("sellerId", "==", req.user.uid)
+      .orderBy("createdAt", "desc");
+
+    const page = await paginateQuery(query, db.collection("ledger_entries"), { cursor, limit });
+    const entries = page.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+
+    return res.json({ entries, nextCursor: page.nextCursor });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[SellerLedger] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to fetch ledger" });
+  }
+});
+
+// GET /api/seller/webhooks
+app.get("/api/seller/webhooks", authenticateUser, async (req, res) => {
+  try {
+    const snapshot = await db.collection("webhook_endpoints").where("sellerId", "==", req.user.uid).get();
+    const endpoints = snapshot.docs.map(publicEndpoint);
+    const events = Object.entries(WEBHOOK_EVENTS).map(([event, description]) => ({ event, description }));
+    return res.json({ endpoints, events, maxAttempts: MAX_ATTEMPTS });
+  } catch (err) {
+    console.error(`[SellerWebhooks] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to fetch webhook endpoints" });
+  }
+});
+
+// POST /api/seller/webhooks
+// Body: { url, events: ["sale.completed", ...], description? } — the signing secret is only returned here
+app.post("/api/seller/webhooks", authenticateUser, async (req, res) => {
+  try {
+    const userDoc = await db.collection("users").doc(req.user.uid).get();
+    if (!userDoc.exists || userDoc.data().role !== "seller") {
+      return res.status(403).json({ error: "Only sellers can register webhooks" });
+    }
+
+    const endpoint = await createEndpoint(req.user.uid, req.body || {});
+    return res.status(201).json({ success: true, endpoint });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[CreateSellerWebhook] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to register webhook endpoint" });
+  }
+});
+
+// PATCH /api/seller/webhooks/:id
+// Body: { url?, events?, description?, status?: "active" | "disabled" }
+app.patch("/api/seller/webhooks/:id", authenticateUser, async (req, res) => {
+  try {
+    const endpointDoc = await findEndpoint(req.user.uid, req.params.id);
+    const { url, events, description, status } = req.body || {};
+
+    const updates = {};
+    if (url !== undefined) updates.url = parseEndpointUrl(url);
+    if (events !== undefined) updates.events = parseEvents(events);
+    if (description !== undefined) updates.description = description ? String(description).trim().slice(0, 200) : null;
+    if (status !== undefined) {
+      if (!["active", "disabled"].includes(status)) {
+        return res.status(400).json({ error: "status must be 'active' or 'disabled'" });
+      }
+      updates.status = status;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: "No valid fields to update" });
+    }
+
+    updates.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+    await endpointDoc.ref.update(updates);
+
+    return res.json({ success: true, endpoint: publicEndpoint(await endpointDoc.ref.get()) });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[UpdateSellerWebhook] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to update webhook endpoint" });
+  }
+});
+
+// POST /api/seller/webhooks/:id/rotate-secret
+app.post("/api/seller/webhooks/:id/rotate-secret", authenticateUser, async (req, res) => {
+  try {
+    const endpointDoc = await findEndpoint(req.user.uid, req.params.id);
+    const secret = generateSecret();
+    await endpointDoc.ref.update({ secret, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    return res.json({ success: true, secret });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[RotateSellerWebhookSecret] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to rotate webhook secret" });
+  }
+});
+
+// DELETE /api/seller/webhooks/:id
+// Pending retries to the endpoint are marked failed when they next come up
+app.delete("/api/seller/webhooks/:id", authenticateUser, async (req, res) => {
+  try {
+    const endpointDoc = await findEndpoint(req.user.uid, req.params.id);
+    await endpointDoc.ref.delete();
+    return res.json({ success: true });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[DeleteSellerWebhook] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to delete webhook endpoint" });
+  }
+});
+
+// POST /api/seller/webhooks/:id/test
+app.post("/api/seller/webhooks/:id/test", authenticateUser, async (req, res) => {
+  try {
+    const endpointDoc = await findEndpoint(req.user.uid, req.params.id);
+    const delivery = await sendTestEvent(endpointDoc);
+    return res.json({ success: delivery.status === "delivered", delivery });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[TestSellerWebhook] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to send test event" });
+  }
+});
+
+// GET /api/seller/webhooks/:id/deliveries?status=&cursor=&limit=
+app.get("/api/seller/webhooks/:id/deliveries", authenticateUser, async (req, res) => {
+  try {
+    const endpointDoc = await findEndpoint(req.user.uid, req.params.id);
+    const { status, cursor } = req.query;
+    const limit = parseLimit(req.query.limit);
+    if (status && !["pending", "delivered", "failed"].includes(status)) {
+      return res.status(400).json({ error: "status must be pending, delivered or failed" });
+    }
+
+    let query = db.collection("webhook_deliveries").where("endpointId", "==", endpointDoc.id);
+    if (status) query = query.where("status", "==", status);
+
+    const page = await paginateQuery(query.orderBy("createdAt", "desc"), db.collection("webhook_deliveries"), {
+      cursor,
+      limit,
+    });
+    const deliveries = page.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    return res.json({ deliveries, nextCursor: page.nextCursor });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[SellerWebhookDeliveries] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to fetch webhook deliveries" });
+  }
+});
+
+// ─────────────────────────────────────────
+// USER ROUTES
+// ─────────────────────────────────────────
+
+// GET /api/user/wishlist
+app.get("/api/user/wishlist", authenticateUser, async (req, res) => {
+  try {
+    const userDoc = await db.collection("users").doc(req.user.uid).get();
+    if (!userDoc.exists) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const wishlist = userDoc.data().wishlist || [];
+    if (wishlist.length === 0) {
+      return res.json({ products: [] });
+    }
+
+    const productPromises = wishlist.map((pid) => db.collection("products").doc(pid).get());
+    const productDocs = await Promise.all(productPromises);
+
+    const products = productDocs
+      .filter((d) => d.exists)
+      .map((d) => sanitizeProduct({ id: d.id, ...d.data() }));
+
+    return res.json({ products });
+  } catch (err) {
+    console.error(`[GetWishlist] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to fetch wishlist" });
+  }
+});
+
+// POST /api/user/wishlist/toggle
+app.post("/api/user/wishlist/toggle", authenticateUser, async (req, res) => {
+  try {
+    const { productId } = req.body;
+    if (!productId) {
+      return res.status(400).json({ error: "productId is required" });
+    }
+
+    const userRef = db.collection("users").doc(req.user.uid);
+    const userDoc = await userRef.get();
+
+    if (!userDoc.exists) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const wishlist = userDoc.data().wishlist || [];
+    const inWishlist = wishlist.includes(productId);
+
+    if (inWishlist) {
+      await userRef.update({ wishlist: admin.firestore.FieldValue.arrayRemove(productId) });
+      return res.json({ added: false });
+    } else {
+      await userRef.update({ wishlist: admin.firestore.FieldValue.arrayUnion(productId) });
+      return res.json({ added: true });
+    }
+  } catch (err) {
+    console.error(`[ToggleWishlist] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to update wishlist" });
+  }
+});
+
+// Matches MAX_CHECKOUT_ITEMS in api/payment.js
+const MAX_CART_ITEMS = 20;
+
+// GET /api/cart?currency=USD
+// Prices and total are in the requested currency, else the buyer's saved one
+app.get("/api/cart", authenticateUser, async (req, res) => {
+  try {
+    const [cartDoc, userDoc] = await Promise.all([
+      db.collection("carts").doc(req.user.uid).get(),
+      db.collection("users").doc(req.user.uid).get(),
+    ]);
+    const currency = normalizeCurrency(req.query.currency || (userDoc.exists ? userDoc.data().currency : null));
+    const items = cartDoc.exists ? cartDoc.data().items || [] : [];
+    if (items.length === 0) {
+      return res.json({ products: [], total: 0, currency });
+    }
+
+    const [productDocs, rates] = await Promise.all([
+      Promise.all(items.map((pid) => db.collection("products").doc(pid).get())),
+      loadExchangeRates(),
+    ]);
+    const products = productDocs
+      .filter((d) => d.exists && d.data().status === "approved")
+      .map((d) => {
+        let checkoutPrice = null;
+        try {
+          checkoutPrice = priceIn(d.data(), currency, rates);
+        } catch (priceErr) {
+          // No exchange rate for this pair, so the product can't be bought in this currency
+          if (!priceErr.status) throw priceErr;
+        }
+        return { ...sanitizeProduct({ id: d.id, ...d.data() }), checkoutPrice };
+      });
+
+    const total = products.reduce((sum, p) => sum + (p.checkoutPrice || 0), 0);
+    return res.json({ products, total: round2(total), currency });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[GetCart] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to fetch cart" });
+  }
+});
+
+// POST /api/cart/add
+app.post("/api/cart/add", authenticateUser, async (req, res) => {
+  try {
+    const { productId } = req.body;
+    if (!productId) {
+      return res.status(400).json({ error: "productId is required" });
+    }
+
+    const [productDoc, userDoc, cartDoc] = await Promise.all([
+      db.collection("products").doc(productId).get(),
+      db.collection("users").doc(req.user.uid).get(),
+      db.collection("carts").doc(req.user.uid).get(),
+    ]);
+
+    if (!productDoc.exists || productDoc.data().status !== "approved") {
+      return res.status(404).json({ error: "Product not found" });
+    }
+    if (productDoc.data().sellerId === req.user.uid) {
+      return res.status(400).json({ error: "You cannot buy your own product" });
+    }
+    if (userDoc.exists && (userDoc.data().purchases || []).includes(productId)) {
+      return res.status(409).json({ error: "You have already purchased this product" });
+    }
+
+    const items = cartDoc.exists ? cartDoc.data().items || [] : [];
+    if (!items.includes(productId) && items.length >= MAX_CART_ITEMS) {
+      return res.status(400).json({ error: `Cart can contain at most ${MAX_CART_ITEMS} products` });
+    }
+
+    await db.collection("carts").doc(req.user.uid).set(
+      {
+        items: admin.firestore.FieldValue.arrayUnion(productId),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+    return res.json({ success: true });
+  } catch (err) {
+    console.error(`[AddToCart] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to add to cart" });
+  }
+});
+
+// POST /api/cart/remove
+app.post("/api/cart/remove", authenticateUser, async (req, res) => {
+  try {
+    const { productId } = req.body;
+    if (!productId) {
+      return res.status(400).json({ error: "productId is required" });
+    }
+
+    await db.collection("carts").doc(req.user.uid).set(
+      {
+        items: admin.firestore.FieldValue.arrayRemove(productId),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+    return res.json({ success: true });
+  } catch (err) {
+    console.error(`[RemoveFromCart] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to remove from cart" });
+  }
+});
+
+// GET /api/user/purchases
+app.get("/api/user/purchases", authenticateUser, async (req, res) => {
+  try {
     const snapshot = await db
       .collection("orders")
       .where("buyerId", "==", req.user.uid)
@@ -420,12 +1449,49 @@ app.get("/api/user/purchases", authenticateUser, async (req, res) => {
   }
 });
 
+// GET /api/user/orders/:id/invoice?format=json
+// :id is a line-item order id or the payment (checkout) id. Returns printable HTML by default.
+app.get("/api/user/orders/:id/invoice", authenticateUser, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const orderDoc = await db.collection("orders").doc(id).get();
+    let order = orderDoc.exists ? orderDoc.data() : null;
+    if (!order) {
+      const snapshot = await db.collection("orders").where("paymentOrderId", "==", id).limit(1).get();
+      order = snapshot.empty ? null : snapshot.docs[0].data();
+    }
+    if (!order) {
+      return res.status(404).json({ error: "Order not found" });
+    }
+
+    const isAdmin = req.user.email === process.env.ADMIN_EMAIL;
+    if (order.buyerId !== req.user.uid && !isAdmin) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+
+    // Issued on completion; orders completed before invoicing existed get theirs on first request
+    const invoice = await issueInvoice(order.paymentOrderId || id);
+    if (!invoice) {
+      return res.status(409).json({ error: "Invoices are only available for completed orders" });
+    }
+
+    if (req.query.format === "json") {
+      return res.json({ invoice });
+    }
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    return res.send(renderInvoicesHtml([invoice]));
+  } catch (err) {
+    console.error(`[GetInvoice] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to fetch invoice" });
+  }
+});
+
 // ─────────────────────────────────────────
 // SECURE DOWNLOAD SYSTEM
 // ─────────────────────────────────────────
 
 // GET /api/download/request/:productId
-app.get("/api/download/request/:productId", authenticateUser, async (req, res) => {
+app.get("/api/download/request/:productId", authenticateUser, rateLimit("download"), async (req, res) => {
   try {
     const { productId } = req.params;
 
@@ -519,14 +1585,13 @@ app.get("/api/download/:token", async (req, res) => {
 // WITHDRAWAL ROUTES
 // ─────────────────────────────────────────
 
+// Defaults used when config/app_config doesn't set withdrawal limits
+const DEFAULT_MIN_WITHDRAWAL = 100;
+const DEFAULT_MAX_OPEN_WITHDRAWALS = 3;
+
 // POST /api/withdrawals/request
 app.post("/api/withdrawals/request", authenticateUser, async (req, res) => {
   try {
-    const userDoc = await db.collection("users").doc(req.user.uid).get();
-    if (!userDoc.exists || userDoc.data().role !== "seller") {
-      return res.status(403).json({ error: "Only sellers can request withdrawals" });
-    }
-
     const { amount, upiId } = req.body;
 
     if (!amount || !upiId) {
@@ -538,29 +1603,106 @@ app.post("/api/withdrawals/request", authenticateUser, async (req, res) => {
       return res.status(400).json({ error: "amount must be a positive number" });
     }
 
-    const walletBalance = userDoc.data().walletBalance || 0;
-    if (parsedAmount > walletBalance) {
-      return res.status(400).json({ error: "Insufficient wallet balance" });
+    const configDoc = await db.collection("config").doc("app_config").get();
+    const config = configDoc.exists ? configDoc.data() : {};
+    const minAmount = config.minWithdrawalAmount ?? DEFAULT_MIN_WITHDRAWAL;
+    const maxOpen = config.maxOpenWithdrawals ?? DEFAULT_MAX_OPEN_WITHDRAWALS;
+
+    if (parsedAmount < minAmount) {
+      return res.status(400).json({ error: `Minimum withdrawal amount is ${formatMoney(minAmount)}` });
     }
 
-    await db.collection("withdrawals").add({
-      sellerId: req.user.uid,
-      amount: parsedAmount,
-      upiId,
-      status: "pending",
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-    });
+    const userRef = db.collection("users").doc(req.user.uid);
+    const withdrawalRef = db.collection("withdrawals").doc();
+    const openQuery = db
+      .collection("withdrawals")
+      .where("sellerId", "==", req.user.uid)
+      .where("status", "in", ["pending", "processing"]);
 
-    console.log(`[Withdrawal] Request by ${req.user.uid} for ₹${parsedAmount}`);
-    return res.status(201).json({ success: true });
-  } catch (err) {
-    console.error(`[WithdrawalRequest] Error: ${err.message}`);
-    return res.status(500).json({ error: "Failed to submit withdrawal request" });
-  }
-});
+    // Move the funds into a hold atomically so concurrent requests can't
+    // spend the same balance twice
+    await db.runTransaction(async (tx) => {
+      const [userDoc, openSnapshot] = await Promise.all([tx.get(userRef), tx.get(openQuery)]);
 
-// GET /api/withdrawals/my
-app.get("/api/withdrawals/my", authenticateUser, async (req, res) => {
+      if (!userDoc.exists || userDoc.data().role !== "seller") {
+        throw Object.assign(new Error("Only sellers can request withdrawals"), { status: 403 });
+      }
+      if (openSnapshot.size >= maxOpen) {
+        throw Object.assign(
+          new Error(`You can have at most ${maxOpen} open withdrawal request(s)`),
+          { status: 409 }
+        );
+      }
+
+      const walletBalance = userDoc.data().walletBalance || 0;
+      if (parsedAmount > walletBalance) {
+        throw Object.assign(new Error("Insufficient wallet balance"), { status: 400 });
+      }
+
+      tx.set(withdrawalRef, {
+        sellerId: req.user.uid,
+        amount: parsedAmount,
+        upiId,
+        status: "pending",
+        held: true,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      tx.update(userRef, {
+        walletBalance: admin.firestore.FieldValue.increment(-parsedAmount),
+        pendingWithdrawal: admin.firestore.FieldValue.increment(parsedAmount),
+      });
+      addLedgerEntry(tx, {
+        sellerId: req.user.uid,
+        type: "withdrawal_hold",
+        amount: parsedAmount,
+        debit: ACCOUNTS.SELLER_WALLET,
+        credit: ACCOUNTS.SELLER_PENDING,
+        reference: { withdrawalId: withdrawalRef.id },
+      });
+    });
+
+    console.log(`[Withdrawal] Request by ${req.user.uid} for ₹${parsedAmount}`);
+    return res.status(201).json({ success: true, withdrawalId: withdrawalRef.id });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[WithdrawalRequest] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to submit withdrawal request" });
+  }
+});
+
+// PATCH /api/withdrawals/:id/cancel
+app.patch("/api/withdrawals/:id/cancel", authenticateUser, async (req, res) => {
+  try {
+    const { id } = req.params;
+    await releaseWithdrawal(id, "cancelled", "Cancelled by seller", req.user.uid, { ownerUid: req.user.uid });
+    console.log(`[CancelWithdrawal] Withdrawal ${id} cancelled by seller`);
+    return res.json({ success: true });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[CancelWithdrawal] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to cancel withdrawal" });
+  }
+});
+
+// POST /api/payouts/webhook
+app.post("/api/payouts/webhook", async (req, res) => {
+  // Always return 200 so the provider doesn't retry endlessly on our logic errors
+  try {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body.toString("utf8") : JSON.stringify(req.body);
+    const result = await handleWebhook("payout", rawBody, req.headers);
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error(`[PayoutWebhook] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to process webhook" });
+  }
+});
+
+// GET /api/withdrawals/my
+app.get("/api/withdrawals/my", authenticateUser, async (req, res) => {
   try {
     const snapshot = await db
       .collection("withdrawals")
@@ -576,23 +1718,548 @@ app.get("/api/withdrawals/my", authenticateUser, async (req, res) => {
   }
 });
 
+// ─────────────────────────────────────────
+// CATEGORY ROUTES
+// ─────────────────────────────────────────
+
+// Validate and normalize the editable category fields shared by create and update.
+// Returns an error message string, or null when the input is valid.
+function parseCategoryFields(body, target, categories, slug) {
+  if (body.name !== undefined) {
+    if (typeof body.name !== "string" || !body.name.trim()) return "name cannot be empty";
+    target.name = body.name.trim();
+  }
+  if (body.icon !== undefined) target.icon = body.icon || null;
+  if (body.order !== undefined) {
+    target.order = parseInt(body.order);
+    if (isNaN(target.order)) return "order must be an integer";
+  }
+  if (body.active !== undefined) target.active = body.active !== false;
+
+  if (body.parentSlug !== undefined) {
+    target.parentSlug = body.parentSlug || null;
+    if (target.parentSlug) {
+      // One level of nesting keeps counts and filters simple
+      const parent = categories.find((c) => c.slug === target.parentSlug);
+      if (!parent || parent.slug === slug) return "parentSlug must be another existing category";
+      if (parent.parentSlug) return "Categories can only be nested one level deep";
+      if (categories.some((c) => c.parentSlug === slug)) return "A category with subcategories cannot have a parent";
+    }
+  }
+  return null;
+}
+
+// GET /api/categories
+app.get("/api/categories", async (req, res) => {
+  try {
+    const categories = (await loadCategories()).filter((c) => c.active !== false);
+
+    const counts = await Promise.all(
+      categories.map((c) =>
+        db
+          .collection("products")
+          .where("status", "==", "approved")
+          .where("category", "==", c.slug)
+          .count()
+          .get()
+          .then((snap) => snap.data().count)
+      )
+    );
+
+    const nodes = categories.map((c, i) => ({
+      slug: c.slug,
+      name: c.name,
+      icon: c.icon || null,
+      order: c.order || 0,
+      parentSlug: c.parentSlug || null,
+      productCount: counts[i],
+      children: [],
+    }));
+
+    // Parents count their children's products too
+    const bySlug = Object.fromEntries(nodes.map((n) => [n.slug, n]));
+    const roots = [];
+    nodes.forEach((node) => {
+      const parent = node.parentSlug && bySlug[node.parentSlug];
+      if (parent) {
+        parent.children.push(node);
+        parent.productCount += node.productCount;
+      } else {
+        roots.push(node);
+      }
+    });
+
+    return res.json({ categories: roots });
+  } catch (err) {
+    console.error(`[GetCategories] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to fetch categories" });
+  }
+});
+
+// GET /api/admin/categories
+app.get("/api/admin/categories", authenticateAdmin, async (req, res) => {
+  try {
+    return res.json({ categories: await loadCategories() });
+  } catch (err) {
+    console.error(`[AdminCategories] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to fetch categories" });
+  }
+});
+
+// POST /api/admin/categories
+app.post("/api/admin/categories", authenticateAdmin, async (req, res) => {
+  try {
+    const { name } = req.body;
+    const slug = slugify(req.body.slug || name);
+
+    if (!name || !slug) {
+      return res.status(400).json({ error: "name is required" });
+    }
+
+    const categories = await loadCategories();
+    if (categories.some((c) => c.slug === slug || (c.aliases || []).includes(slug))) {
+      return res.status(409).json({ error: `Category "${slug}" already exists` });
+    }
+
+    const category = { name, icon: null, order: 0, parentSlug: null, active: true };
+    const fieldError = parseCategoryFields(req.body, category, categories, slug);
+    if (fieldError) {
+      return res.status(400).json({ error: fieldError });
+    }
+
+    await db.collection("categories").doc(slug).set({
+      ...category,
+      aliases: [],
+      createdBy: req.user.uid,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    console.log(`[CreateCategory] ${slug} created by ${req.user.uid}`);
+    return res.status(201).json({ success: true, category: { slug, ...category } });
+  } catch (err) {
+    console.error(`[CreateCategory] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to create category" });
+  }
+});
+
+// PATCH /api/admin/categories/:slug
+// Changing the slug renames the category and moves its products to the new slug
+app.patch("/api/admin/categories/:slug", authenticateAdmin, async (req, res) => {
+  try {
+    const categories = await loadCategories();
+    const category = categories.find((c) => c.slug === req.params.slug);
+
+    if (!category) {
+      return res.status(404).json({ error: "Category not found" });
+    }
+
+    const updates = {};
+    const fieldError = parseCategoryFields(req.body, updates, categories, category.slug);
+    if (fieldError) {
+      return res.status(400).json({ error: fieldError });
+    }
+
+    const newSlug = req.body.slug !== undefined ? slugify(req.body.slug) : category.slug;
+    if (!newSlug) {
+      return res.status(400).json({ error: "slug cannot be empty" });
+    }
+
+    if (newSlug === category.slug) {
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ error: "No valid fields to update" });
+      }
+      await db.collection("categories").doc(category.slug).update({
+        ...updates,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      console.log(`[UpdateCategory] ${category.slug} updated by ${req.user.uid}`);
+      return res.json({ success: true, slug: category.slug });
+    }
+
+    if (categories.some((c) => c.slug === newSlug)) {
+      return res.status(409).json({ error: `Category "${newSlug}" already exists` });
+    }
+
+    // A rename is a merge of the old category into a fresh one with the new slug
+    const { slug, ...existing } = category;
+    const renamed = { ...existing, ...updates, aliases: (existing.aliases || []).filter((a) => a !== newSlug) };
+    await db.collection("categories").doc(newSlug).set({
+      ...renamed,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    const result = await mergeCategories([slug], { slug: newSlug, ...renamed }, categories);
+
+    console.log(`[RenameCategory] ${slug} → ${newSlug} by ${req.user.uid} (${result.migratedProducts} products)`);
+    return res.json({
+      success: true,
+      slug: newSlug,
+      migratedProducts: result.migratedProducts,
+      migratedCoupons: result.migratedCoupons,
+    });
+  } catch (err) {
+    console.error(`[UpdateCategory] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to update category" });
+  }
+});
+
+// POST /api/admin/categories/:slug/merge
+// Body: { from: [...] } — category slugs or legacy free-text category values
+app.post("/api/admin/categories/:slug/merge", authenticateAdmin, async (req, res) => {
+  try {
+    const { from } = req.body;
+
+    if (!Array.isArray(from) || from.length === 0 || from.some((value) => typeof value !== "string" || !value)) {
+      return res.status(400).json({ error: "from must be a non-empty array of categories" });
+    }
+
+    const categories = await loadCategories();
+    const target = categories.find((c) => c.slug === req.params.slug);
+
+    if (!target) {
+      return res.status(404).json({ error: "Category not found" });
+    }
+    if (from.includes(target.slug)) {
+      return res.status(400).json({ error: "A category cannot be merged into itself" });
+    }
+
+    const result = await mergeCategories(from, target, categories);
+
+    console.log(
+      `[MergeCategories] ${from.join(", ")} → ${target.slug} by ${req.user.uid} (${result.migratedProducts} products)`
+    );
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    console.error(`[MergeCategories] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to merge categories" });
+  }
+});
+
+// DELETE /api/admin/categories/:slug
+app.delete("/api/admin/categories/:slug", authenticateAdmin, async (req, res) => {
+  try {
+    const categories = await loadCategories();
+    const category = categories.find((c) => c.slug === req.params.slug);
+
+    if (!category) {
+      return res.status(404).json({ error: "Category not found" });
+    }
+    if (categories.some((c) => c.parentSlug === category.slug)) {
+      return res.status(409).json({ error: "Move or delete its subcategories first" });
+    }
+
+    const countSnap = await db.collection("products").where("category", "==", category.slug).count().get();
+    if (countSnap.data().count > 0) {
+      return res.status(409).json({
+        error: `${countSnap.data().count} product(s) still use this category; merge it into another category instead`,
+      });
+    }
+
+    await db.collection("categories").doc(category.slug).delete();
+    console.log(`[DeleteCategory] ${category.slug} deleted by ${req.user.uid}`);
+    return res.json({ success: true });
+  } catch (err) {
+    console.error(`[DeleteCategory] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to delete category" });
+  }
+});
+
+// ─────────────────────────────────────────
+// COUPON ROUTES
+// ─────────────────────────────────────────
+
+// Validate and normalize coupon limit fields shared by create and update.
+// Returns an error message string, or null when the input is valid.
+function parseCouponLimits(body, target) {
+  if (body.value !== undefined) {
+    target.value = parseFloat(body.value);
+    if (isNaN(target.value) || target.value <= 0) return "value must be a positive number";
+  }
+  for (const field of ["minAmount", "maxDiscount"]) {
+    if (body[field] !== undefined) {
+      target[field] = body[field] ? parseFloat(body[field]) : null;
+      if (target[field] !== null && (isNaN(target[field]) || target[field] < 0)) {
+        return `${field} must be a non-negative number`;
+      }
+    }
+  }
+  for (const field of ["maxUses", "maxUsesPerUser"]) {
+    if (body[field] !== undefined) {
+      target[field] = body[field] ? parseInt(body[field]) : null;
+      if (target[field] !== null && (isNaN(target[field]) || target[field] <= 0)) {
+        return `${field} must be a positive integer`;
+      }
+    }
+  }
+  if (body.expiresAt !== undefined) {
+    target.expiresAt = body.expiresAt ? new Date(body.expiresAt) : null;
+    if (target.expiresAt && isNaN(target.expiresAt.getTime())) return "expiresAt must be a valid date";
+  }
+  if (body.active !== undefined) target.active = Boolean(body.active);
+  return null;
+}
+
+// POST /api/coupons
+app.post("/api/coupons", authenticateUser, async (req, res) => {
+  try {
+    const isAdmin = req.user.email === process.env.ADMIN_EMAIL;
+    let isSeller = false;
+    if (!isAdmin) {
+      const userDoc = await db.collection("users").doc(req.user.uid).get();
+      isSeller = userDoc.exists && userDoc.data().role === "seller";
+    }
+    if (!isAdmin && !isSeller) {
+      return res.status(403).json({ error: "Only admins and sellers can create coupons" });
+    }
+
+    const code = normalizeCode(req.body.code);
+    const { type, value } = req.body;
+    let { scope, scopeId } = req.body;
+
+    if (!code || !type || value === undefined) {
+      return res.status(400).json({ error: "Missing required fields: code, type, value" });
+    }
+    if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+      return res.status(400).json({ error: "code must be 3-32 letters, digits, '-' or '_'" });
+    }
+    if (!COUPON_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${COUPON_TYPES.join(", ")}` });
+    }
+
+    scope = scope || (isAdmin ? "platform" : "seller");
+    if (!COUPON_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: `scope must be one of: ${COUPON_SCOPES.join(", ")}` });
+    }
+
+    // Sellers may only discount their own catalogue
+    if (isSeller) {
+      if (scope === "seller") {
+        scopeId = req.user.uid;
+      } else if (scope === "product") {
+        const productDoc = scopeId ? await db.collection("products").doc(scopeId).get() : null;
+        if (!productDoc || !productDoc.exists || productDoc.data().sellerId !== req.user.uid) {
+          return res.status(403).json({ error: "Sellers can only create coupons for their own products" });
+        }
+      } else {
+        return res.status(403).json({ error: "Sellers can only create seller or product coupons" });
+      }
+    }
+    if (scope !== "platform" && !scopeId) {
+      return res.status(400).json({ error: "scopeId is required for this scope" });
+    }
+    if (scope === "category") {
+      const category = await resolveCategory(scopeId);
+      if (!category) {
+        return res.status(400).json({ error: `Unknown category "${scopeId}"` });
+      }
+      scopeId = category.slug;
+    }
+
+    const coupon = {
+      code,
+      type,
+      scope,
+      scopeId: scope === "platform" ? null : scopeId,
+      minAmount: null,
+      maxDiscount: null,
+      maxUses: null,
+      maxUsesPerUser: null,
+      expiresAt: null,
+      active: true,
+    };
+    const limitError = parseCouponLimits(req.body, coupon);
+    if (limitError) {
+      return res.status(400).json({ error: limitError });
+    }
+    if (type === "percentage" && coupon.value > 100) {
+      return res.status(400).json({ error: "Percentage value cannot exceed 100" });
+    }
+
+    const couponRef = db.collection("coupons").doc(code);
+    const existing = await couponRef.get();
+    if (existing.exists) {
+      return res.status(409).json({ error: "A coupon with this code already exists" });
+    }
+
+    await couponRef.set({
+      ...coupon,
+      usedCount: 0,
+      createdBy: req.user.uid,
+      creatorRole: isAdmin ? "admin" : "seller",
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    console.log(`[CreateCoupon] Coupon ${code} created by ${req.user.uid}`);
+    return res.status(201).json({ success: true, code });
+  } catch (err) {
+    console.error(`[CreateCoupon] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to create coupon" });
+  }
+});
+
+// GET /api/coupons
+app.get("/api/coupons", authenticateUser, async (req, res) => {
+  try {
+    const isAdmin = req.user.email === process.env.ADMIN_EMAIL;
+    const query = isAdmin
+      ? db.collection("coupons")
+      : db.collection("coupons").where("createdBy", "==", req.user.uid);
+
+    const snapshot = await query.get();
+    const coupons = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    return res.json({ coupons });
+  } catch (err) {
+    console.error(`[GetCoupons] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to fetch coupons" });
+  }
+});
+
+// POST /api/coupons/validate
+app.post("/api/coupons/validate", authenticateUser, rateLimit("coupon"), async (req, res) => {
+  try {
+    const { code, productId } = req.body;
+    if (!code || !productId) {
+      return res.status(400).json({ error: "code and productId are required" });
+    }
+
+    const [productDoc, buyerDoc] = await Promise.all([
+      db.collection("products").doc(productId).get(),
+      db.collection("users").doc(req.user.uid).get(),
+    ]);
+    if (!productDoc.exists || productDoc.data().status !== "approved") {
+      return res.status(404).json({ error: "Product not found" });
+    }
+
+    // Quote in the checkout currency so the preview matches /api/payment/create
+    const buyer = buyerDoc.exists ? buyerDoc.data() : {};
+    const quote = await quotePurchase({
+      product: { id: productDoc.id, ...productDoc.data() },
+      currency: req.body.currency || buyer.currency,
+      couponCode: code,
+      userId: req.user.uid,
+    });
+
+    return res.json({
+      valid: true,
+      code: quote.coupon.code,
+      currency: quote.currency,
+      originalAmount: quote.originalAmount,
+      discountAmount: quote.discountAmount,
+      finalAmount: quote.amount,
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ valid: false, error: err.message });
+    }
+    console.error(`[ValidateCoupon] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to validate coupon" });
+  }
+});
+
+// PATCH /api/coupons/:code
+app.patch("/api/coupons/:code", authenticateUser, async (req, res) => {
+  try {
+    const couponRef = db.collection("coupons").doc(normalizeCode(req.params.code));
+    const couponDoc = await couponRef.get();
+
+    if (!couponDoc.exists) {
+      return res.status(404).json({ error: "Coupon not found" });
+    }
+
+    const isAdmin = req.user.email === process.env.ADMIN_EMAIL;
+    if (!isAdmin && couponDoc.data().createdBy !== req.user.uid) {
+      return res.status(403).json({ error: "Not authorized to edit this coupon" });
+    }
+
+    // Code, type and scope are fixed once created; only limits and state change
+    const updates = {};
+    const limitError = parseCouponLimits(req.body, updates);
+    if (limitError) {
+      return res.status(400).json({ error: limitError });
+    }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: "No valid fields to update" });
+    }
+    if (couponDoc.data().type === "percentage" && updates.value > 100) {
+      return res.status(400).json({ error: "Percentage value cannot exceed 100" });
+    }
+
+    updates.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+    await couponRef.update(updates);
+    return res.json({ success: true });
+  } catch (err) {
+    console.error(`[UpdateCoupon] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to update coupon" });
+  }
+});
+
+// DELETE /api/coupons/:code
+app.delete("/api/coupons/:code", authenticateUser, async (req, res) => {
+  try {
+    const couponRef = db.collection("coupons").doc(normalizeCode(req.params.code));
+    const couponDoc = await couponRef.get();
+
+    if (!couponDoc.exists) {
+      return res.status(404).json({ error: "Coupon not found" });
+    }
+
+    const isAdmin = req.user.email === process.env.ADMIN_EMAIL;
+    if (!isAdmin && couponDoc.data().createdBy !== req.user.uid) {
+      return res.status(403).json({ error: "Not authorized to delete this coupon" });
+    }
+
+    // Pending orders may still reference the code, so deactivate instead of deleting
+    await couponRef.update({ active: false, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    console.log(`[DeleteCoupon] Coupon ${couponDoc.id} deactivated by ${req.user.uid}`);
+    return res.json({ success: true });
+  } catch (err) {
+    console.error(`[DeleteCoupon] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to delete coupon" });
+  }
+});
+
 // ─────────────────────────────────────────
 // NOTIFICATION ROUTES
 // ─────────────────────────────────────────
 
+const DEVICE_PLATFORMS = ["web", "android", "ios"];
+
 // POST /api/notify/save-token
+// Registers (or refreshes) one device; a user can have any number of devices
 app.post("/api/notify/save-token", authenticateUser, async (req, res) => {
   try {
-    const { token } = req.body;
-    if (!token) {
+    const { token, platform = "web", deviceName } = req.body;
+    if (!token || typeof token !== "string") {
       return res.status(400).json({ error: "token is required" });
     }
+    if (!DEVICE_PLATFORMS.includes(platform)) {
+      return res.status(400).json({ error: `platform must be one of: ${DEVICE_PLATFORMS.join(", ")}` });
+    }
 
-    await db.collection("fcm_tokens").doc(req.user.uid).set({
-      userId: req.user.uid,
-      token,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    });
+    const tokenRef = db.collection("fcm_tokens").doc(tokenDocId(token));
+    const legacyRef = db.collection("fcm_tokens").doc(req.user.uid);
+    const [tokenDoc, legacyDoc] = await Promise.all([tokenRef.get(), legacyRef.get()]);
+
+    // A token moves to whoever signed in on the device last
+    const batch = db.batch();
+    batch.set(
+      tokenRef,
+      {
+        userId: req.user.uid,
+        token,
+        platform,
+        deviceName: deviceName ? String(deviceName).slice(0, 100) : null,
+        lastSeenAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        ...(tokenDoc.exists ? {} : { createdAt: admin.firestore.FieldValue.serverTimestamp() }),
+      },
+      { merge: true }
+    );
+    // The single per-user doc from before multi-device support would duplicate this device
+    if (legacyDoc.exists && legacyDoc.data().token === token) {
+      batch.delete(legacyRef);
+    }
+    await batch.commit();
 
     return res.json({ success: true });
   } catch (err) {
@@ -601,6 +2268,55 @@ app.post("/api/notify/save-token", authenticateUser, async (req, res) => {
   }
 });
 
+// POST /api/notify/unregister-token
+// Called on logout so the device stops receiving this user's notifications
+app.post("/api/notify/unregister-token", authenticateUser, async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token || typeof token !== "string") {
+      return res.status(400).json({ error: "token is required" });
+    }
+
+    // The device's own doc, or the legacy per-user doc if it still holds this token
+    const docs = await db.getAll(
+      db.collection("fcm_tokens").doc(tokenDocId(token)),
+      db.collection("fcm_tokens").doc(req.user.uid)
+    );
+    const owned = docs.filter((doc) => doc.exists && doc.data().userId === req.user.uid && doc.data().token === token);
+
+    const batch = db.batch();
+    owned.forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+
+    return res.json({ success: true, removed: owned.length });
+  } catch (err) {
+    console.error(`[UnregisterFCMToken] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to unregister notification token" });
+  }
+});
+
+// GET /api/notify/devices
+app.get("/api/notify/devices", authenticateUser, async (req, res) => {
+  try {
+    const snapshot = await db.collection("fcm_tokens").where("userId", "==", req.user.uid).get();
+    const devices = snapshot.docs.map((doc) => {
+      const { token, platform, deviceName, lastSeenAt, updatedAt } = doc.data();
+      return {
+        id: doc.id,
+        // The token itself is a credential for pushing to the device
+        tokenPreview: token ? `${token.slice(0, 12)}…` : null,
+        platform: platform || null,
+        deviceName: deviceName || null,
+        lastSeenAt: lastSeenAt || updatedAt || null,
+      };
+    });
+    return res.json({ devices });
+  } catch (err) {
+    console.error(`[GetDevices] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to fetch devices" });
+  }
+});
+
 // POST /api/notify/broadcast
 app.post("/api/notify/broadcast", authenticateAdmin, async (req, res) => {
   try {
@@ -639,13 +2355,27 @@ app.post("/api/notify/send-role", authenticateAdmin, async (req, res) => {
     }
 
     const usersSnapshot = await db.collection("users").where("role", "==", role).get();
-    const userIds = usersSnapshot.docs.map((d) => d.id);
 
-    const tokenDocs = await Promise.all(userIds.map((uid) => db.collection("fcm_tokens").doc(uid).get()));
-    const tokens = tokenDocs.map((d) => (d.exists ? d.data().token : null)).filter(Boolean);
+    // Each user gets the message on the channels they chose for admin messages
+    const pushUserIds = [];
+    const emailRecipients = [];
+    usersSnapshot.docs.forEach((userDoc) => {
+      const channels = channelsFor(userDoc.data(), NOTIFICATION_TYPES.ROLE);
+      if (channels.push) pushUserIds.push(userDoc.id);
+      if (channels.email && userDoc.data().email) emailRecipients.push(userDoc.data().email);
+    });
 
+    const tokens = await getUserFCMTokens(pushUserIds);
     const sent = await sendFCMMulticast(tokens, title, message);
 
+    let emailed = 0;
+    if (emailRecipients.length > 0 && isEmailConfigured()) {
+      const brand = await loadBrand();
+      for (const to of emailRecipients) {
+        if (await sendEmail({ to, template: "admin_message", data: { title, message }, brand })) emailed++;
+      }
+    }
+
     const batch = db.batch();
     usersSnapshot.docs.forEach((userDoc) => {
       const notifRef = db.collection("notifications").doc();
@@ -660,7 +2390,7 @@ app.post("/api/notify/send-role", authenticateAdmin, async (req, res) => {
     });
     await batch.commit();
 
-    return res.json({ success: true, sent });
+    return res.json({ success: true, sent, emailed });
   } catch (err) {
     console.error(`[SendRole] Error: ${err.message}`);
     return res.status(500).json({ error: "Failed to send role notification" });
@@ -675,18 +2405,11 @@ app.post("/api/notify/send-user", authenticateAdmin, async (req, res) => {
       return res.status(400).json({ error: "title, message, and userId are required" });
     }
 
-    const fcmToken = await getUserFCMToken(userId);
-    if (fcmToken) {
-      await sendFCM(fcmToken, title, message);
-    }
-
-    await db.collection("notifications").add({
-      userId,
+    await notifyUser(userId, {
+      type: NOTIFICATION_TYPES.DIRECT,
       title,
       body: message,
-      type: "direct",
-      isRead: false,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      email: { template: "admin_message", data: { title, message } },
     });
 
     return res.json({ success: true });
@@ -696,6 +2419,80 @@ app.post("/api/notify/send-user", authenticateAdmin, async (req, res) => {
   }
 });
 
+// GET /api/notifications?cursor=&limit=&unread=true
+// The signed-in user's inbox: their own notifications merged with broadcasts
+app.get("/api/notifications", authenticateUser, async (req, res) => {
+  try {
+    const result = await listNotifications(req.user.uid, {
+      cursor: req.query.cursor,
+      limit: parseLimit(req.query.limit),
+      unreadOnly: req.query.unread === "true",
+    });
+    return res.json(result);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[GetNotifications] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to fetch notifications" });
+  }
+});
+
+// GET /api/notifications/unread-count
+app.get("/api/notifications/unread-count", authenticateUser, async (req, res) => {
+  try {
+    const unread = await countUnread(req.user.uid);
+    return res.json({ unread });
+  } catch (err) {
+    console.error(`[UnreadNotifications] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to count notifications" });
+  }
+});
+
+// POST /api/notifications/read-all
+app.post("/api/notifications/read-all", authenticateUser, async (req, res) => {
+  try {
+    const updated = await markAllRead(req.user.uid);
+    return res.json({ success: true, updated });
+  } catch (err) {
+    console.error(`[ReadAllNotifications] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to mark notifications as read" });
+  }
+});
+
+// POST /api/notifications/:id/read
+app.post("/api/notifications/:id/read", authenticateUser, async (req, res) => {
+  try {
+    const notification = await findNotification(req.user.uid, req.params.id);
+    if (!notification) {
+      return res.status(404).json({ error: "Notification not found" });
+    }
+
+    await markRead(req.user.uid, notification);
+    return res.json({ success: true });
+  } catch (err) {
+    console.error(`[ReadNotification] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to mark notification as read" });
+  }
+});
+
+// DELETE /api/notifications/:id
+// Broadcasts are only hidden from this user's inbox
+app.delete("/api/notifications/:id", authenticateUser, async (req, res) => {
+  try {
+    const notification = await findNotification(req.user.uid, req.params.id);
+    if (!notification) {
+      return res.status(404).json({ error: "Notification not found" });
+    }
+
+    await deleteNotification(req.user.uid, notification);
+    return res.json({ success: true });
+  } catch (err) {
+    console.error(`[DeleteNotification] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to delete notification" });
+  }
+});
+
 // ─────────────────────────────────────────
 // PUBLIC CONFIG ROUTE
 // ─────────────────────────────────────────
@@ -708,7 +2505,20 @@ app.get("/api/config", async (req, res) => {
       return res.status(404).json({ error: "App configuration not found" });
     }
     const { brandName, brandLogoUrl, adminEmail, adminPhone, commissionRate } = configDoc.data();
-    return res.json({ brandName, brandLogoUrl, adminEmail, adminPhone, commissionRate });
+    // Buyers can check out in any currency with a configured exchange rate
+    const rates = await loadExchangeRates(configDoc.data());
+    const currencies = Object.entries(CURRENCIES)
+      .filter(([code]) => rates[code] > 0)
+      .map(([code, { symbol, name }]) => ({ code, symbol, name, rate: rates[code] }));
+    return res.json({
+      brandName,
+      brandLogoUrl,
+      adminEmail,
+      adminPhone,
+      commissionRate,
+      ledgerCurrency: LEDGER_CURRENCY,
+      currencies,
+    });
   } catch (err) {
     console.error(`[GetConfig] Error: ${err.message}`);
     return res.status(500).json({ error: "Failed to fetch app config" });
@@ -722,44 +2532,29 @@ app.get("/api/config", async (req, res) => {
 // GET /api/admin/revenue
 app.get("/api/admin/revenue", authenticateAdmin, async (req, res) => {
   try {
-    const ordersSnapshot = await db.collection("orders").where("status", "==", "completed").get();
     const now = new Date();
     const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
     const startOfWeek = new Date(startOfToday);
     startOfWeek.setDate(startOfToday.getDate() - startOfToday.getDay());
     const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
 
-    let totalRevenue = 0;
-    let todayRevenue = 0;
-    let weekRevenue = 0;
-    let monthRevenue = 0;
-
-    ordersSnapshot.docs.forEach((doc) => {
-      const order = doc.data();
-      const fee = order.platformFee || 0;
-      totalRevenue += fee;
-      const ts = order.completedAt || order.createdAt;
-      if (ts) {
-        const date = ts.toDate ? ts.toDate() : new Date(ts);
-        if (date >= startOfToday) todayRevenue += fee;
-        if (date >= startOfWeek) weekRevenue += fee;
-        if (date >= startOfMonth) monthRevenue += fee;
-      }
-    });
-
-    const [usersSnap, productsSnap] = await Promise.all([
-      db.collection("users").get(),
-      db.collection("products").get(),
-    ]);
-
-    const allUsers = usersSnap.docs.map((d) => d.data());
-    const totalUsers = allUsers.length;
-    const totalSellers = allUsers.filter((u) => u.role === "seller").length;
-    const totalBuyers = allUsers.filter((u) => u.role === "buyer").length;
-    const totalProducts = productsSnap.size;
+    const completed = db.collection("orders").where("status", "==", "completed");
+    const feesSince = (start) =>
+      countAndSum(start ? completed.where("completedAt", ">=", start) : completed, "platformFee").then((r) => r.amount);
+
+    const [[total, today, thisWeek, thisMonth], [totalUsers, totalSellers, totalBuyers, totalProducts]] =
+      await Promise.all([
+        Promise.all([feesSince(null), feesSince(startOfToday), feesSince(startOfWeek), feesSince(startOfMonth)]),
+        Promise.all([
+          countOf(db.collection("users")),
+          countOf(db.collection("users").where("role", "==", "seller")),
+          countOf(db.collection("users").where("role", "==", "buyer")),
+          countOf(db.collection("products")),
+        ]),
+      ]);
 
     return res.json({
-      revenue: { total: totalRevenue, today: todayRevenue, thisWeek: weekRevenue, thisMonth: monthRevenue },
+      revenue: { total, today, thisWeek, thisMonth },
       counts: { totalUsers, totalSellers, totalBuyers, totalProducts },
     });
   } catch (err) {
@@ -768,42 +2563,246 @@ app.get("/api/admin/revenue", authenticateAdmin, async (req, res) => {
   }
 });
 
+// GET /api/admin/reports/:report?from=&to=&granularity=&limit=&format=csv
+// Reports: summary, revenue, top-sellers, top-products, payouts
+app.get("/api/admin/reports/:report", authenticateAdmin, async (req, res) => {
+  try {
+    const { report } = req.params;
+    if (!REPORTS[report]) {
+      return res.status(404).json({ error: `Unknown report. Available: ${Object.keys(REPORTS).join(", ")}` });
+    }
+
+    const granularity = req.query.granularity || "day";
+    if (!GRANULARITIES.includes(granularity)) {
+      return res.status(400).json({ error: `granularity must be one of: ${GRANULARITIES.join(", ")}` });
+    }
+
+    const range = parseDateRange(req.query, { defaultDays: 30, maxDays: 731 });
+    const limit = parseLimit(req.query.limit, 10);
+    const result = await buildReport(report, range, { granularity, limit });
+
+    if (req.query.format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${report}_${range.from}_${range.to}.csv"`);
+      return res.send(toCsv(result));
+    }
+
+    return res.json({
+      report,
+      range: { from: range.from, to: range.to, granularity },
+      columns: result.columns.map(([key, label]) => ({ key, label })),
+      rows: result.rows,
+      totals: result.totals || null,
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[AdminReports] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to build report" });
+  }
+});
+
+// GET /api/admin/invoices/export?from=&to=&format=csv|html|json
+// Invoices issued in the range (inclusive days, UTC), oldest first
+app.get("/api/admin/invoices/export", authenticateAdmin, async (req, res) => {
+  try {
+    const format = req.query.format || "csv";
+    if (!["csv", "html", "json"].includes(format)) {
+      return res.status(400).json({ error: "format must be one of: csv, html, json" });
+    }
+
+    const range = parseDateRange(req.query, { defaultDays: 30, maxDays: 366 });
+    const end = new Date(`${range.to}T00:00:00Z`);
+    end.setUTCDate(end.getUTCDate() + 1);
+    const snapshot = await db
+      .collection("invoices")
+      .where("issuedAt", ">=", new Date(`${range.from}T00:00:00Z`))
+      .where("issuedAt", "<", end)
+      .orderBy("issuedAt", "asc")
+      .get();
+    const invoices = snapshot.docs.map((doc) => doc.data());
+
+    const filename = `invoices_${range.from}_${range.to}`;
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}.csv"`);
+      return res.send(invoicesToCsv(invoices));
+    }
+    if (format === "html") {
+      res.setHeader("Content-Type", "text/html; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}.html"`);
+      return res.send(renderInvoicesHtml(invoices));
+    }
+    return res.json({ range: { from: range.from, to: range.to }, count: invoices.length, invoices });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[AdminInvoiceExport] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to export invoices" });
+  }
+});
+
+// Add sellerName (and optionally sellerEmail) to admin list items with one batched read
+async function attachSellers(items, { withEmail = false } = {}) {
+  const sellerIds = [...new Set(items.map((item) => item.sellerId).filter(Boolean))];
+  const sellerDocs = sellerIds.length ? await db.getAll(...sellerIds.map((id) => db.collection("users").doc(id))) : [];
+  const sellers = {};
+  sellerDocs.forEach((doc) => {
+    if (doc.exists) sellers[doc.id] = doc.data();
+  });
+
+  return items.map((item) => {
+    const seller = sellers[item.sellerId] || {};
+    const extra = { sellerName: seller.fullName || "Unknown" };
+    if (withEmail) extra.sellerEmail = seller.email || "Unknown";
+    return { ...item, ...extra };
+  });
+}
+
 // GET /api/admin/products
 app.get("/api/admin/products", authenticateAdmin, async (req, res) => {
   try {
-    const { search, category } = req.query;
+    const { search, category, status, sellerId, cursor } = req.query;
+    const limit = parseLimit(req.query.limit);
     let query = db.collection("products");
 
-    if (category) {
-      query = query.where("category", "==", category);
-    }
-
-    const snapshot = await query.get();
-    let products = snapshot.docs.map((doc) => sanitizeProduct({ id: doc.id, ...doc.data() }));
+    if (category) query = query.where("category", "in", (await categoryFilter(category)).slice(0, 30));
+    if (status) query = query.where("status", "==", status);
+    if (sellerId) query = query.where("sellerId", "==", sellerId);
 
-    if (search) {
-      const searchLower = search.toLowerCase();
-      products = products.filter((p) => p.title && p.title.toLowerCase().includes(searchLower));
+    // Admin search matches the longest query word against the keyword index
+    const searchTokens = tokenize(search);
+    if (searchTokens.length) {
+      const anchor = searchTokens.reduce((longest, token) => (token.length > longest.length ? token : longest));
+      query = query.where("searchKeywords", "array-contains", anchor);
     }
 
-    const enriched = await Promise.all(
-      products.map(async (product) => {
-        let sellerName = "Unknown";
-        if (product.sellerId) {
-          const sellerDoc = await db.collection("users").doc(product.sellerId).get();
-          if (sellerDoc.exists) sellerName = sellerDoc.data().fullName || "Unknown";
-        }
-        return { ...product, sellerName };
-      })
-    );
+    const page = await paginateQuery(query.orderBy("createdAt", "desc"), db.collection("products"), { cursor, limit });
+    const products = page.docs.map((doc) => sanitizeProduct({ id: doc.id, ...doc.data() }));
 
-    return res.json({ products: enriched });
+    return res.json({ products: await attachSellers(products), nextCursor: page.nextCursor });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
     console.error(`[AdminProducts] Error: ${err.message}`);
     return res.status(500).json({ error: "Failed to fetch products" });
   }
 });
 
+// GET /api/admin/products/pending
+// Oldest submissions first so the queue is reviewed in order
+app.get("/api/admin/products/pending", authenticateAdmin, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const query = db.collection("products").where("status", "==", "pending").orderBy("createdAt", "asc");
+    const page = await paginateQuery(query, db.collection("products"), { cursor: req.query.cursor, limit });
+    const products = page.docs.map((doc) => sanitizeProduct({ id: doc.id, ...doc.data() }));
+
+    return res.json({ products: await attachSellers(products), nextCursor: page.nextCursor });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[AdminPendingProducts] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to fetch pending products" });
+  }
+});
+
+// PATCH /api/admin/products/:id/approve
+app.patch("/api/admin/products/:id/approve", authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const productRef = db.collection("products").doc(id);
+    const productDoc = await productRef.get();
+
+    if (!productDoc.exists) {
+      return res.status(404).json({ error: "Product not found" });
+    }
+
+    const { title, sellerId, status } = productDoc.data();
+    if (status === "approved") {
+      return res.status(409).json({ error: "Product is already approved" });
+    }
+
+    await productRef.update({
+      status: "approved",
+      rejectionReason: null,
+      reviewedBy: req.user.uid,
+      reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+      statusHistory: admin.firestore.FieldValue.arrayUnion(productStatusEntry("approved", req.user.uid)),
+    });
+    console.log(`[AdminApproveProduct] Product ${id} approved by admin`);
+
+    if (sellerId) {
+      await notifyUser(sellerId, {
+        type: NOTIFICATION_TYPES.PRODUCT_STATUS,
+        title: "Product Approved ✅",
+        body: `Your product "${title}" is now live`,
+        data: { productId: id, status: "approved" },
+      });
+    }
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error(`[AdminApproveProduct] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to approve product" });
+  }
+});
+
+// PATCH /api/admin/products/:id/reject
+app.patch("/api/admin/products/:id/reject", authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ error: "reason is required" });
+    }
+
+    const productRef = db.collection("products").doc(id);
+    const productDoc = await productRef.get();
+
+    if (!productDoc.exists) {
+      return res.status(404).json({ error: "Product not found" });
+    }
+
+    const { title, sellerId, status } = productDoc.data();
+    if (status === "rejected") {
+      return res.status(409).json({ error: "Product is already rejected" });
+    }
+
+    const rejectionReason = String(reason).trim();
+
+    await productRef.update({
+      status: "rejected",
+      rejectionReason,
+      reviewedBy: req.user.uid,
+      reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+      statusHistory: admin.firestore.FieldValue.arrayUnion(
+        productStatusEntry("rejected", req.user.uid, rejectionReason)
+      ),
+    });
+    console.log(`[AdminRejectProduct] Product ${id} rejected by admin`);
+
+    if (sellerId) {
+      await notifyUser(sellerId, {
+        type: NOTIFICATION_TYPES.PRODUCT_STATUS,
+        title: "Product Rejected ❌",
+        body: `Your product "${title}" was rejected: ${rejectionReason}`,
+        data: { productId: id, status: "rejected" },
+      });
+    }
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error(`[AdminRejectProduct] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to reject product" });
+  }
+});
+
 // DELETE /api/admin/products/:id
 app.delete("/api/admin/products/:id", authenticateAdmin, async (req, res) => {
   try {
@@ -818,107 +2817,442 @@ app.delete("/api/admin/products/:id", authenticateAdmin, async (req, res) => {
     await db.collection("products").doc(id).delete();
     console.log(`[AdminDeleteProduct] Product ${id} deleted by admin`);
 
-    if (sellerId) {
-      const sellerToken = await getUserFCMToken(sellerId);
-      await sendFCM(sellerToken, "Product Removed ⚠️", `Your product "${title}" was removed by admin`);
+    if (sellerId) {
+      const reason = req.body && req.body.reason ? String(req.body.reason).trim() : null;
+      await notifyUser(sellerId, {
+        type: NOTIFICATION_TYPES.PRODUCT_STATUS,
+        title: "Product Removed ⚠️",
+        body: `Your product "${title}" was removed by admin${reason ? `: ${reason}` : ""}`,
+        data: { productId: id, status: "removed" },
+        email: { template: "product_removed", data: { productTitle: title, reason } },
+      });
+    }
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error(`[AdminDeleteProduct] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to delete product" });
+  }
+});
+
+// POST /api/admin/products/reindex
+// Rebuilds search keywords and ledger-currency prices, e.g. for products created
+// before search existed or after the exchange rates change
+app.post("/api/admin/products/reindex", authenticateAdmin, async (req, res) => {
+  try {
+    const count = await reindexProducts({ sellerId: req.body.sellerId || undefined });
+    console.log(`[AdminReindex] ${count} product(s) reindexed by ${req.user.uid}`);
+    return res.json({ success: true, reindexed: count });
+  } catch (err) {
+    console.error(`[AdminReindex] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to reindex products" });
+  }
+});
+
+// DELETE /api/admin/products/:id/reviews/:reviewId
+app.delete("/api/admin/products/:id/reviews/:reviewId", authenticateAdmin, async (req, res) => {
+  try {
+    const { id, reviewId } = req.params;
+    const { reason } = req.body || {};
+    const productRef = db.collection("products").doc(id);
+    const reviewRef = productRef.collection("reviews").doc(reviewId);
+
+    await db.runTransaction(async (tx) => {
+      const [productDoc, reviewDoc] = await Promise.all([tx.get(productRef), tx.get(reviewRef)]);
+
+      if (!reviewDoc.exists) {
+        throw Object.assign(new Error("Review not found"), { status: 404 });
+      }
+
+      const review = reviewDoc.data();
+      if (review.status !== "published") {
+        throw Object.assign(new Error("Review is already removed"), { status: 409 });
+      }
+
+      // Keep the document so the author can't simply re-post the same review
+      tx.update(reviewRef, {
+        status: "removed",
+        removedReason: reason || null,
+        removedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      if (productDoc.exists) {
+        tx.update(productRef, ratingFields(productDoc.data(), -review.rating, -1));
+      }
+    });
+
+    console.log(`[AdminRemoveReview] Review ${reviewId} on product ${id} removed by admin`);
+    return res.json({ success: true });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[AdminRemoveReview] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to remove review" });
+  }
+});
+
+// GET /api/admin/users
+app.get("/api/admin/users", authenticateAdmin, async (req, res) => {
+  try {
+    const { role, status, email, cursor } = req.query;
+    const limit = parseLimit(req.query.limit);
+    let query = db.collection("users");
+
+    if (role) query = query.where("role", "==", role);
+    if (status) query = query.where("status", "==", status);
+    if (email) query = query.where("email", "==", email);
+
+    const page = await paginateQuery(query.orderBy("createdAt", "desc"), db.collection("users"), { cursor, limit });
+    const users = page.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    return res.json({ users, nextCursor: page.nextCursor });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[AdminUsers] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to fetch users" });
+  }
+});
+
+// PATCH /api/admin/users/:id/ban
+app.patch("/api/admin/users/:id/ban", authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    await db.collection("users").doc(id).update({ status: "banned" });
+    console.log(`[AdminBanUser] User ${id} banned`);
+    return res.json({ success: true });
+  } catch (err) {
+    console.error(`[AdminBanUser] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to ban user" });
+  }
+});
+
+// GET /api/admin/withdrawals
+app.get("/api/admin/withdrawals", authenticateAdmin, async (req, res) => {
+  try {
+    const { status, sellerId, cursor } = req.query;
+    const limit = parseLimit(req.query.limit);
+    let query = db.collection("withdrawals");
+
+    if (status) query = query.where("status", "==", status);
+    if (sellerId) query = query.where("sellerId", "==", sellerId);
+
+    const withdrawalsRef = db.collection("withdrawals");
+    const page = await paginateQuery(query.orderBy("createdAt", "desc"), withdrawalsRef, { cursor, limit });
+    const withdrawals = await attachSellers(
+      page.docs.map((doc) => ({ id: doc.id, ...doc.data() })),
+      { withEmail: true }
+    );
+
+    return res.json({ withdrawals, nextCursor: page.nextCursor });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[AdminWithdrawals] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to fetch withdrawals" });
+  }
+});
+
+// PATCH /api/admin/withdrawals/:id/pay
+app.patch("/api/admin/withdrawals/:id/pay", authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { sellerId, amount, upiId } = await markWithdrawalPaid(id, req.user.uid);
+    console.log(`[AdminPayWithdrawal] Withdrawal ${id} marked as paid`);
+
+    await notifyUser(sellerId, {
+      type: NOTIFICATION_TYPES.WITHDRAWAL,
+      title: "Withdrawal Approved! 💰",
+      body: `${formatMoney(amount)} sent to ${upiId} successfully`,
+      data: { withdrawalId: id },
+      email: { template: "withdrawal_paid", data: { amount: formatMoney(amount), upiId } },
+    });
+    await emitSellerEvent(sellerId, "payout.paid", {
+      withdrawalId: id,
+      amount,
+      currency: LEDGER_CURRENCY,
+      upiId,
+      referenceId: null,
+    });
+
+    return res.json({ success: true });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[AdminPayWithdrawal] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to process withdrawal payment" });
+  }
+});
+
+// PATCH /api/admin/withdrawals/:id/approve
+app.patch("/api/admin/withdrawals/:id/approve", authenticateAdmin, async (req, res) => {
+  try {
+    const provider = getPayoutProvider();
+    if (!provider) {
+      return res.status(400).json({ error: "Automated payouts are not configured; use /pay after a manual transfer" });
+    }
+
+    const { id } = req.params;
+    const withdrawalRef = db.collection("withdrawals").doc(id);
+    const transferId = `WD_${id}`.slice(0, 40);
+
+    // Claim the withdrawal before calling the provider so a fast webhook
+    // (or a double click) finds it already in "processing"
+    const withdrawal = await db.runTransaction(async (tx) => {
+      const withdrawalDoc = await tx.get(withdrawalRef);
+      if (!withdrawalDoc.exists) {
+        throw Object.assign(new Error("Withdrawal not found"), { status: 404 });
+      }
+      const data = withdrawalDoc.data();
+      if (data.status !== "pending") {
+        throw Object.assign(new Error(`Withdrawal is already ${data.status}`), { status: 409 });
+      }
+      tx.update(withdrawalRef, {
+        status: "processing",
+        payoutProvider: provider.name,
+        transferId,
+        approvedBy: req.user.uid,
+        approvedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return data;
+    });
+
+    // Nothing was sent, so put the request back in the queue
+    const rollBack = async (payoutErr) => {
+      await withdrawalRef.update({
+        status: "pending",
+        payoutError: payoutErr.message,
+        transferId: admin.firestore.FieldValue.delete(),
+      });
+      console.error(`[AdminApproveWithdrawal] Payout ${transferId} failed to start: ${payoutErr.message}`);
+      return res.status(502).json({ error: `Payout provider error: ${payoutErr.message}` });
+    };
+
+    const beneficiaryId = beneficiaryIdFor(withdrawal.sellerId, withdrawal.upiId);
+    try {
+      const sellerDoc = await db.collection("users").doc(withdrawal.sellerId).get();
+      const seller = sellerDoc.exists ? sellerDoc.data() : {};
+
+      await provider.registerBeneficiary({
+        beneficiaryId,
+        name: seller.fullName || "Seller",
+        email: seller.email,
+        phone: seller.phone,
+        upiId: withdrawal.upiId,
+      });
+    } catch (payoutErr) {
+      return rollBack(payoutErr);
     }
 
-    return res.json({ success: true });
-  } catch (err) {
-    console.error(`[AdminDeleteProduct] Error: ${err.message}`);
-    return res.status(500).json({ error: "Failed to delete product" });
-  }
-});
+    let transfer;
+    try {
+      transfer = await provider.initiateTransfer({ transferId, beneficiaryId, amount: withdrawal.amount });
+    } catch (payoutErr) {
+      if (isTransferRejected(payoutErr)) return rollBack(payoutErr);
+
+      // The provider may have accepted the transfer, so the withdrawal keeps
+      // its transferId and stays "processing" until the webhook or the
+      // reconcile-payouts cron learns its outcome
+      await withdrawalRef.update({ beneficiaryId, payoutError: payoutErr.message });
+      console.error(`[AdminApproveWithdrawal] Payout ${transferId} outcome unknown: ${payoutErr.message}`);
+      return res.status(202).json({
+        success: true,
+        transferId,
+        status: "processing",
+        warning: `Payout provider error: ${payoutErr.message}. The payout will be settled once its outcome is known.`,
+      });
+    }
 
-// GET /api/admin/users
-app.get("/api/admin/users", authenticateAdmin, async (req, res) => {
-  try {
-    const snapshot = await db.collection("users").get();
-    const users = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
-    return res.json({ users });
+    // The money is on its way: from here on the withdrawal stays "processing"
+    // and the payout webhook settles it by transferId
+    try {
+      await withdrawalRef.update({ beneficiaryId, transferReferenceId: transfer.referenceId || null });
+    } catch (err) {
+      console.error(`[AdminApproveWithdrawal] Failed to record payout ${transferId}: ${err.message}`);
+    }
+    console.log(`[AdminApproveWithdrawal] Payout ${transferId} started via ${provider.name}`);
+    return res.json({ success: true, transferId, status: "processing" });
   } catch (err) {
-    console.error(`[AdminUsers] Error: ${err.message}`);
-    return res.status(500).json({ error: "Failed to fetch users" });
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[AdminApproveWithdrawal] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to approve withdrawal" });
   }
 });
 
-// PATCH /api/admin/users/:id/ban
-app.patch("/api/admin/users/:id/ban", authenticateAdmin, async (req, res) => {
+// PATCH /api/admin/withdrawals/:id/reject
+app.patch("/api/admin/withdrawals/:id/reject", authenticateAdmin, async (req, res) => {
   try {
     const { id } = req.params;
-    await db.collection("users").doc(id).update({ status: "banned" });
-    console.log(`[AdminBanUser] User ${id} banned`);
-    return res.json({ success: true });
-  } catch (err) {
-    console.error(`[AdminBanUser] Error: ${err.message}`);
-    return res.status(500).json({ error: "Failed to ban user" });
-  }
-});
+    const { reason } = req.body;
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ error: "reason is required" });
+    }
 
-// GET /api/admin/withdrawals
-app.get("/api/admin/withdrawals", authenticateAdmin, async (req, res) => {
-  try {
-    const snapshot = await db.collection("withdrawals").orderBy("createdAt", "desc").get();
-    const withdrawals = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    const { sellerId, amount } = await releaseWithdrawal(id, "rejected", String(reason).trim(), req.user.uid);
+    console.log(`[AdminRejectWithdrawal] Withdrawal ${id} rejected`);
 
-    const enriched = await Promise.all(
-      withdrawals.map(async (w) => {
-        let sellerName = "Unknown";
-        let sellerEmail = "Unknown";
-        if (w.sellerId) {
-          const sellerDoc = await db.collection("users").doc(w.sellerId).get();
-          if (sellerDoc.exists) {
-            sellerName = sellerDoc.data().fullName || sellerName;
-            sellerEmail = sellerDoc.data().email || sellerEmail;
-          }
-        }
-        return { ...w, sellerName, sellerEmail };
-      })
-    );
+    await notifyUser(sellerId, {
+      type: NOTIFICATION_TYPES.WITHDRAWAL,
+      title: "Withdrawal Rejected",
+      body: `${formatMoney(amount)} returned to your wallet: ${String(reason).trim()}`,
+      data: { withdrawalId: id },
+    });
+    await emitSellerEvent(sellerId, "payout.failed", {
+      withdrawalId: id,
+      amount,
+      currency: LEDGER_CURRENCY,
+      status: "rejected",
+      reason: String(reason).trim(),
+    });
 
-    return res.json({ withdrawals: enriched });
+    return res.json({ success: true });
   } catch (err) {
-    console.error(`[AdminWithdrawals] Error: ${err.message}`);
-    return res.status(500).json({ error: "Failed to fetch withdrawals" });
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[AdminRejectWithdrawal] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to reject withdrawal" });
   }
 });
 
-// PATCH /api/admin/withdrawals/:id/pay
-app.patch("/api/admin/withdrawals/:id/pay", authenticateAdmin, async (req, res) => {
+// PATCH /api/admin/withdrawals/:id/cancel
+app.patch("/api/admin/withdrawals/:id/cancel", authenticateAdmin, async (req, res) => {
   try {
     const { id } = req.params;
-    const withdrawalDoc = await db.collection("withdrawals").doc(id).get();
-
-    if (!withdrawalDoc.exists) {
-      return res.status(404).json({ error: "Withdrawal not found" });
+    const { reason } = req.body;
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ error: "reason is required" });
     }
 
-    const { sellerId, amount, upiId } = withdrawalDoc.data();
-    await db.collection("withdrawals").doc(id).update({ status: "paid", paidAt: admin.firestore.FieldValue.serverTimestamp() });
-    console.log(`[AdminPayWithdrawal] Withdrawal ${id} marked as paid`);
+    const { sellerId, amount } = await releaseWithdrawal(id, "cancelled", String(reason).trim(), req.user.uid);
+    console.log(`[AdminCancelWithdrawal] Withdrawal ${id} cancelled`);
 
-    if (sellerId) {
-      const sellerToken = await getUserFCMToken(sellerId);
-      await sendFCM(sellerToken, "Withdrawal Approved! 💰", `₹${amount} sent to ${upiId} successfully`);
-    }
+    await notifyUser(sellerId, {
+      type: NOTIFICATION_TYPES.WITHDRAWAL,
+      title: "Withdrawal Cancelled",
+      body: `${formatMoney(amount)} returned to your wallet: ${String(reason).trim()}`,
+      data: { withdrawalId: id },
+    });
+    await emitSellerEvent(sellerId, "payout.failed", {
+      withdrawalId: id,
+      amount,
+      currency: LEDGER_CURRENCY,
+      status: "cancelled",
+      reason: String(reason).trim(),
+    });
 
     return res.json({ success: true });
   } catch (err) {
-    console.error(`[AdminPayWithdrawal] Error: ${err.message}`);
-    return res.status(500).json({ error: "Failed to process withdrawal payment" });
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[AdminCancelWithdrawal] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to cancel withdrawal" });
   }
 });
 
 // PATCH /api/admin/config
 app.patch("/api/admin/config", authenticateAdmin, async (req, res) => {
   try {
-    const { brandName, brandLogoUrl, adminEmail, adminPhone, commissionRate } = req.body;
+    const {
+      brandName,
+      brandLogoUrl,
+      adminEmail,
+      adminPhone,
+      commissionRate,
+      requireReviewOnEdit,
+      minWithdrawalAmount,
+      maxOpenWithdrawals,
+      brandAddress,
+      taxId,
+      taxLabel,
+      taxRate,
+      taxInclusive,
+      invoicePrefix,
+      exchangeRates,
+      rateLimits,
+    } = req.body;
     const updates = {};
     if (brandName !== undefined) updates.brandName = brandName;
     if (brandLogoUrl !== undefined) updates.brandLogoUrl = brandLogoUrl;
     if (adminEmail !== undefined) updates.adminEmail = adminEmail;
     if (adminPhone !== undefined) updates.adminPhone = adminPhone;
     if (commissionRate !== undefined) updates.commissionRate = parseFloat(commissionRate);
+    if (requireReviewOnEdit !== undefined) updates.requireReviewOnEdit = Boolean(requireReviewOnEdit);
+    if (minWithdrawalAmount !== undefined) {
+      const amount = parseFloat(minWithdrawalAmount);
+      if (isNaN(amount) || amount <= 0) {
+        return res.status(400).json({ error: "minWithdrawalAmount must be a positive number" });
+      }
+      updates.minWithdrawalAmount = amount;
+    }
+    if (maxOpenWithdrawals !== undefined) {
+      const maxOpen = Number(maxOpenWithdrawals);
+      if (!Number.isInteger(maxOpen) || maxOpen < 1) {
+        return res.status(400).json({ error: "maxOpenWithdrawals must be a positive integer" });
+      }
+      updates.maxOpenWithdrawals = maxOpen;
+    }
+    if (brandAddress !== undefined) updates.brandAddress = brandAddress;
+    if (taxId !== undefined) updates.taxId = taxId;
+    if (taxLabel !== undefined) updates.taxLabel = taxLabel;
+    if (taxRate !== undefined) {
+      const rate = parseFloat(taxRate);
+      if (isNaN(rate) || rate < 0 || rate > 100) {
+        return res.status(400).json({ error: "taxRate must be a percentage between 0 and 100" });
+      }
+      updates.taxRate = rate;
+    }
+    if (taxInclusive !== undefined) updates.taxInclusive = Boolean(taxInclusive);
+    if (invoicePrefix !== undefined) {
+      if (!/^[A-Z0-9-]{1,10}$/.test(invoicePrefix)) {
+        return res.status(400).json({ error: "invoicePrefix must be 1-10 uppercase letters, digits or hyphens" });
+      }
+      updates.invoicePrefix = invoicePrefix;
+    }
+    if (exchangeRates !== undefined) {
+      if (!exchangeRates || typeof exchangeRates !== "object" || Array.isArray(exchangeRates)) {
+        return res.status(400).json({ error: "exchangeRates must be an object of currency codes to rates" });
+      }
+      // Rates are ledger-currency units per unit of the currency; null removes a currency
+      const rateUpdates = {};
+      for (const [code, rate] of Object.entries(exchangeRates)) {
+        const currency = code.toUpperCase();
+        if (!CURRENCIES[currency] || currency === LEDGER_CURRENCY) {
+          return res.status(400).json({ error: `Unsupported exchange rate currency "${code}"` });
+        }
+        if (rate === null) {
+          rateUpdates[currency] = admin.firestore.FieldValue.delete();
+          continue;
+        }
+        const parsed = parseFloat(rate);
+        if (isNaN(parsed) || parsed <= 0) {
+          return res.status(400).json({ error: `Exchange rate for ${currency} must be a positive number` });
+        }
+        rateUpdates[currency] = parsed;
+      }
+      updates.exchangeRates = rateUpdates;
+      updates.exchangeRatesUpdatedAt = admin.firestore.FieldValue.serverTimestamp();
+    }
+    if (rateLimits !== undefined) {
+      const error = validateRateLimits(rateLimits);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      // Instances pick up new limits within a minute; null restores a group's defaults
+      updates.rateLimits = Object.fromEntries(
+        Object.entries(rateLimits).map(([group, limits]) => [
+          group,
+          limits === null
+            ? admin.firestore.FieldValue.delete()
+            : { max: limits.max, windowSeconds: limits.windowSeconds },
+        ])
+      );
+    }
 
     await db.collection("config").doc("app_config").set(updates, { merge: true });
     return res.json({ success: true });
@@ -928,6 +3262,68 @@ app.patch("/api/admin/config", authenticateAdmin, async (req, res) => {
   }
 });
 
+// GET /api/admin/rate-limits
+app.get("/api/admin/rate-limits", authenticateAdmin, async (req, res) => {
+  try {
+    const groups = await Promise.all(
+      Object.entries(RATE_LIMIT_GROUPS).map(async ([group, { max, windowSeconds, by }]) => ({
+        group,
+        by,
+        defaults: { max, windowSeconds },
+        ...(await limitsFor(group)),
+      }))
+    );
+    const snapshot = await db.collection("blocked_ips").orderBy("createdAt", "desc").get();
+    const blockedIps = snapshot.docs.map((doc) => doc.data());
+    return res.json({ groups, blockedIps, store: process.env.RATE_LIMIT_STORE === "memory" ? "memory" : "firestore" });
+  } catch (err) {
+    console.error(`[AdminRateLimits] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to fetch rate limits" });
+  }
+});
+
+// POST /api/admin/blocked-ips
+// Body: { ip, reason?, expiresInHours? } — blocks the IP on every route
+app.post("/api/admin/blocked-ips", authenticateAdmin, async (req, res) => {
+  try {
+    const { reason, expiresInHours } = req.body;
+    const ip = parseIp(req.body.ip);
+    if (!ip) {
+      return res.status(400).json({ error: "ip must be a valid IPv4 or IPv6 address" });
+    }
+
+    let hours = null;
+    if (expiresInHours !== undefined && expiresInHours !== null) {
+      hours = parseFloat(expiresInHours);
+      if (isNaN(hours) || hours <= 0) {
+        return res.status(400).json({ error: "expiresInHours must be a positive number" });
+      }
+    }
+
+    await blockIp(ip, { reason: reason ? String(reason).trim() : null, expiresInHours: hours }, req.user.uid);
+    console.log(`[AdminBlockIp] ${ip} blocked${hours ? ` for ${hours}h` : ""}`);
+    return res.status(201).json({ success: true, ip });
+  } catch (err) {
+    console.error(`[AdminBlockIp] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to block IP" });
+  }
+});
+
+// DELETE /api/admin/blocked-ips/:ip
+app.delete("/api/admin/blocked-ips/:ip", authenticateAdmin, async (req, res) => {
+  try {
+    const ip = parseIp(req.params.ip);
+    if (!ip || !(await unblockIp(ip))) {
+      return res.status(404).json({ error: "IP is not blocked" });
+    }
+    console.log(`[AdminUnblockIp] ${ip} unblocked`);
+    return res.json({ success: true });
+  } catch (err) {
+    console.error(`[AdminUnblockIp] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to unblock IP" });
+  }
+});
+
 // POST /api/admin/simulate-sale
 app.post("/api/admin/simulate-sale", authenticateAdmin, async (req, res) => {
   try {
@@ -968,6 +3364,7 @@ app.post("/api/admin/simulate-sale", authenticateAdmin, async (req, res) => {
       status: "completed",
       simulated: true,
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      completedAt: admin.firestore.FieldValue.serverTimestamp(),
     });
 
     const sellerRef = db.collection("users").doc(sellerId);
@@ -979,11 +3376,20 @@ app.post("/api/admin/simulate-sale", authenticateAdmin, async (req, res) => {
     const productRef = db.collection("products").doc(productId);
     batch.update(productRef, { sales: admin.firestore.FieldValue.increment(1) });
 
+    addSaleEntries(batch, { sellerId, orderId: orderRef.id, amount: parsedAmount, platformFee });
+    addSellerStats(batch, {
+      sellerId,
+      productId,
+      revenue: sellerEarning,
+      grossRevenue: parsedAmount,
+      platformFee,
+      sales: 1,
+    });
+
     await batch.commit();
     console.log(`[SimulateSale] Sale simulated for product ${productId}: ₹${parsedAmount}`);
 
-    const sellerToken = await getUserFCMToken(sellerId);
-    await sendFCM(sellerToken, "🎉 New Sale!", `₹${sellerEarning} added to your wallet`);
+    await sendFCMToUser(sellerId, "🎉 New Sale!", `${formatMoney(sellerEarning)} added to your wallet`);
 
     return res.json({ success: true, platformFee, sellerEarning });
   } catch (err) {
@@ -992,6 +3398,292 @@ app.post("/api/admin/simulate-sale", authenticateAdmin, async (req, res) => {
   }
 });
 
+// GET /api/admin/orders/needs-refund
+// Line items the buyer already owned when the checkout settled; refund them
+// with POST /api/admin/orders/:id/refund
+app.get("/api/admin/orders/needs-refund", authenticateAdmin, async (req, res) => {
+  try {
+    const { cursor } = req.query;
+    const limit = parseLimit(req.query.limit);
+    const query = db.collection("orders").where("needsRefund", "==", true).orderBy("completedAt", "desc");
+
+    const page = await paginateQuery(query, db.collection("orders"), { cursor, limit });
+    const orders = page.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+
+    return res.json({ orders, nextCursor: page.nextCursor });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[AdminNeedsRefund] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to fetch orders needing a refund" });
+  }
+});
+
+// POST /api/admin/orders/:id/refund
+app.post("/api/admin/orders/:id/refund", authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount, reason } = req.body;
+
+    const refund = await initiateRefund({ orderId: id, amount, reason, initiatedBy: req.user.uid });
+    return res.status(201).json({ success: true, refund });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[AdminRefund] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to refund order" });
+  }
+});
+
+// GET /api/admin/orders/:id/refunds
+app.get("/api/admin/orders/:id/refunds", authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const snapshot = await db.collection("refunds").where("orderId", "==", id).get();
+    const refunds = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    return res.json({ refunds });
+  } catch (err) {
+    console.error(`[AdminOrderRefunds] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to fetch refunds" });
+  }
+});
+
+// POST /api/admin/sellers/:id/adjust
+app.post("/api/admin/sellers/:id/adjust", authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount, reason } = req.body;
+
+    const parsedAmount = parseFloat(amount);
+    if (isNaN(parsedAmount) || parsedAmount === 0) {
+      return res.status(400).json({ error: "amount must be a non-zero number" });
+    }
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ error: "reason is required" });
+    }
+
+    const sellerRef = db.collection("users").doc(id);
+    const sellerDoc = await sellerRef.get();
+    if (!sellerDoc.exists || sellerDoc.data().role !== "seller") {
+      return res.status(404).json({ error: "Seller not found" });
+    }
+
+    // Positive amounts credit the wallet, negative amounts debit it
+    const batch = db.batch();
+    batch.update(sellerRef, { walletBalance: admin.firestore.FieldValue.increment(parsedAmount) });
+    addLedgerEntry(batch, {
+      sellerId: id,
+      type: "adjustment",
+      amount: Math.abs(parsedAmount),
+      debit: parsedAmount > 0 ? ACCOUNTS.ADJUSTMENTS : ACCOUNTS.SELLER_WALLET,
+      credit: parsedAmount > 0 ? ACCOUNTS.SELLER_WALLET : ACCOUNTS.ADJUSTMENTS,
+      reference: { adminId: req.user.uid },
+      description: String(reason).trim(),
+    });
+    await batch.commit();
+
+    console.log(`[AdminAdjustWallet] Seller ${id} adjusted by ₹${parsedAmount}: ${reason}`);
+    return res.json({ success: true });
+  } catch (err) {
+    console.error(`[AdminAdjustWallet] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to adjust wallet" });
+  }
+});
+
+// POST /api/admin/ledger/opening-balances
+// Posts opening entries for wallets that predate the ledger, one page of
+// sellers per call; repeat with the returned cursor until it is null
+app.post("/api/admin/ledger/opening-balances", authenticateAdmin, async (req, res) => {
+  try {
+    const { cursor } = req.body;
+    const limit = parseLimit(req.body.limit, 50, 200);
+    const query = db
+      .collection("users")
+      .where("role", "==", "seller")
+      .orderBy(admin.firestore.FieldPath.documentId());
+
+    const page = await paginateQuery(query, db.collection("users"), { cursor, limit });
+    let opened = 0;
+    for (const doc of page.docs) {
+      if (doc.data().ledgerOpenedAt) continue;
+      if (await postOpeningBalance(doc.id)) opened++;
+    }
+
+    console.log(`[AdminOpeningBalances] ${opened} of ${page.docs.length} seller(s) opened by ${req.user.uid}`);
+    return res.json({ success: true, checked: page.docs.length, opened, nextCursor: page.nextCursor });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[AdminOpeningBalances] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to post opening balances" });
+  }
+});
+
+// POST /api/admin/seller-stats/rebuild
+// Rebuilds seller analytics for the days before `before` (the day seller_stats
+// went live) from orders, for one seller or one page of sellers per call;
+// repeat with the returned cursor until it is null
+app.post("/api/admin/seller-stats/rebuild", authenticateAdmin, async (req, res) => {
+  try {
+    const { before, sellerId, cursor } = req.body;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(before || "") || isNaN(new Date(`${before}T00:00:00Z`))) {
+      return res.status(400).json({ error: "before must be a date in YYYY-MM-DD format" });
+    }
+
+    let sellerIds = [sellerId];
+    let nextCursor = null;
+    if (!sellerId) {
+      const query = db
+        .collection("users")
+        .where("role", "==", "seller")
+        .orderBy(admin.firestore.FieldPath.documentId());
+      const page = await paginateQuery(query, db.collection("users"), {
+        cursor,
+        limit: parseLimit(req.body.limit, 20, 100),
+      });
+      sellerIds = page.docs.map((doc) => doc.id);
+      nextCursor = page.nextCursor;
+    }
+
+    let days = 0;
+    for (const id of sellerIds) {
+      days += await rebuildSellerStats(id, before);
+    }
+
+    console.log(`[AdminRebuildStats] ${days} day(s) rebuilt for ${sellerIds.length} seller(s) by ${req.user.uid}`);
+    return res.json({ success: true, sellers: sellerIds.length, days, nextCursor });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[AdminRebuildStats] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to rebuild seller stats" });
+  }
+});
+
+// GET /api/admin/ledger/reconcile
+// One page of sellers per call, each summed from the ledger by Firestore
+app.get("/api/admin/ledger/reconcile", authenticateAdmin, async (req, res) => {
+  try {
+    const { cursor } = req.query;
+    const limit = parseLimit(req.query.limit, 50, 200);
+    const query = db
+      .collection("users")
+      .where("role", "==", "seller")
+      .orderBy(admin.firestore.FieldPath.documentId());
+
+    const page = await paginateQuery(query, db.collection("users"), { cursor, limit });
+    const totals = await Promise.all(page.docs.map((doc) => ledgerTotals(doc.id)));
+
+    const sellers = page.docs.map((doc, i) => {
+      const seller = doc.data();
+      const ledger = totals[i];
+      const walletDrift = round2((seller.walletBalance || 0) - ledger.wallet);
+      const pendingDrift = round2((seller.pendingWithdrawal || 0) - ledger.pending);
+      return {
+        sellerId: doc.id,
+        fullName: seller.fullName || null,
+        walletBalance: seller.walletBalance || 0,
+        ledgerWalletBalance: ledger.wallet,
+        pendingWithdrawal: seller.pendingWithdrawal || 0,
+        ledgerPendingWithdrawal: ledger.pending,
+        walletDrift,
+        pendingDrift,
+        entries: ledger.entries,
+        // Without opening entries a legacy wallet always looks drifted
+        ledgerOpened: Boolean(seller.ledgerOpenedAt),
+        hasDrift: Math.abs(walletDrift) >= 0.01 || Math.abs(pendingDrift) >= 0.01,
+      };
+    });
+
+    const drifted = sellers.filter((s) => s.hasDrift);
+    console.log(`[AdminReconcile] ${sellers.length} sellers checked, ${drifted.length} with drift`);
+
+    return res.json({ checked: sellers.length, driftCount: drifted.length, sellers, nextCursor: page.nextCursor });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[AdminReconcile] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to reconcile ledger" });
+  }
+});
+
+// GET /api/admin/webhooks/failed
+app.get("/api/admin/webhooks/failed", authenticateAdmin, async (req, res) => {
+  try {
+    const { source } = req.query;
+    const statuses = req.query.status ? [req.query.status] : ["failed", "rejected"];
+
+    let query = db.collection("webhook_events").where("status", "in", statuses);
+    if (source) {
+      query = query.where("source", "==", source);
+    }
+
+    const snapshot = await query.orderBy("receivedAt", "desc").limit(100).get();
+    // rawBody can be large; fetch a single event to see it
+    const events = snapshot.docs.map((doc) => {
+      const { rawBody, ...summary } = doc.data();
+      return { id: doc.id, ...summary };
+    });
+    return res.json({ events });
+  } catch (err) {
+    console.error(`[AdminWebhookEvents] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to fetch webhook events" });
+  }
+});
+
+// GET /api/admin/webhooks/:id
+app.get("/api/admin/webhooks/:id", authenticateAdmin, async (req, res) => {
+  try {
+    const eventDoc = await db.collection("webhook_events").doc(req.params.id).get();
+    if (!eventDoc.exists) {
+      return res.status(404).json({ error: "Webhook event not found" });
+    }
+    return res.json({ event: { id: eventDoc.id, ...eventDoc.data() } });
+  } catch (err) {
+    console.error(`[AdminWebhookEvent] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to fetch webhook event" });
+  }
+});
+
+// POST /api/admin/webhooks/:id/replay
+app.post("/api/admin/webhooks/:id/replay", authenticateAdmin, async (req, res) => {
+  try {
+    const result = await replayWebhookEvent(req.params.id, req.user.uid);
+    return res.json({ success: result.status !== "error", result });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[AdminReplayWebhook] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to replay webhook event" });
+  }
+});
+
+// Read reconciliation window overrides from a request (query for cron, body for admin)
+function reconcileOptions(source) {
+  const options = {};
+  if (source.olderThanMinutes !== undefined) options.olderThanMinutes = Math.max(parseInt(source.olderThanMinutes) || 0, 0);
+  if (source.expireAfterMinutes !== undefined) options.expireAfterMinutes = Math.max(parseInt(source.expireAfterMinutes) || 0, 1);
+  if (source.limit !== undefined) options.limit = Math.min(Math.max(parseInt(source.limit) || 1, 1), 500);
+  return options;
+}
+
+// POST /api/admin/payments/reconcile
+app.post("/api/admin/payments/reconcile", authenticateAdmin, async (req, res) => {
+  try {
+    const summary = await reconcilePendingOrders(reconcileOptions(req.body));
+    return res.json({ success: true, ...summary });
+  } catch (err) {
+    console.error(`[AdminReconcilePayments] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to reconcile pending orders" });
+  }
+});
+
 // GET /api/admin/notifications
 app.get("/api/admin/notifications", authenticateAdmin, async (req, res) => {
   try {
@@ -1009,6 +3701,144 @@ app.get("/api/admin/notifications", authenticateAdmin, async (req, res) => {
   }
 });
 
+// GET /api/admin/campaigns/segments
+app.get("/api/admin/campaigns/segments", authenticateAdmin, (req, res) => {
+  const segments = Object.entries(SEGMENTS).map(([type, { label }]) => ({ type, label }));
+  return res.json({ segments });
+});
+
+// GET /api/admin/campaigns?status=&cursor=&limit=
+app.get("/api/admin/campaigns", authenticateAdmin, async (req, res) => {
+  try {
+    const { status, cursor } = req.query;
+    const limit = parseLimit(req.query.limit);
+    if (status && !CAMPAIGN_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${CAMPAIGN_STATUSES.join(", ")}` });
+    }
+
+    let query = db.collection("campaigns");
+    if (status) query = query.where("status", "==", status);
+
+    const page = await paginateQuery(query.orderBy("scheduledAt", "desc"), db.collection("campaigns"), {
+      cursor,
+      limit,
+    });
+    const campaigns = page.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    return res.json({ campaigns, nextCursor: page.nextCursor });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[AdminCampaigns] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to fetch campaigns" });
+  }
+});
+
+// POST /api/admin/campaigns
+// Body: { title, message, segment: { type, ...params }, scheduledAt? } — sent immediately without scheduledAt
+app.post("/api/admin/campaigns", authenticateAdmin, async (req, res) => {
+  try {
+    const campaign = await createCampaign(req.body || {}, req.user.uid);
+    return res.status(201).json({ success: true, campaign });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[CreateCampaign] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to create campaign" });
+  }
+});
+
+// GET /api/admin/campaigns/:id
+app.get("/api/admin/campaigns/:id", authenticateAdmin, async (req, res) => {
+  try {
+    const campaignDoc = await db.collection("campaigns").doc(req.params.id).get();
+    if (!campaignDoc.exists) {
+      return res.status(404).json({ error: "Campaign not found" });
+    }
+    return res.json({ campaign: { id: campaignDoc.id, ...campaignDoc.data() } });
+  } catch (err) {
+    console.error(`[GetCampaign] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to fetch campaign" });
+  }
+});
+
+// POST /api/admin/campaigns/:id/cancel
+app.post("/api/admin/campaigns/:id/cancel", authenticateAdmin, async (req, res) => {
+  try {
+    await cancelCampaign(req.params.id, req.user.uid);
+    return res.json({ success: true });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[CancelCampaign] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to cancel campaign" });
+  }
+});
+
+// ─────────────────────────────────────────
+// CRON ROUTES
+// ─────────────────────────────────────────
+
+// GET /api/cron/reconcile-payments
+app.get("/api/cron/reconcile-payments", authenticateCron, async (req, res) => {
+  try {
+    const summary = await reconcilePendingOrders(reconcileOptions(req.query));
+    return res.json({ success: true, ...summary });
+  } catch (err) {
+    console.error(`[CronReconcilePayments] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to reconcile pending orders" });
+  }
+});
+
+// GET /api/cron/reconcile-payouts
+// Settles automated payouts whose webhook never arrived by asking the provider
+app.get("/api/cron/reconcile-payouts", authenticateCron, async (req, res) => {
+  try {
+    const summary = await reconcileProcessingWithdrawals({ limit: parseLimit(req.query.limit, 50, 200) });
+    return res.json({ success: true, ...summary });
+  } catch (err) {
+    console.error(`[CronReconcilePayouts] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to reconcile payouts" });
+  }
+});
+
+// GET /api/cron/reconcile-refunds
+// Settles refunds left "initiating" by a request that died mid-way by asking the gateway
+app.get("/api/cron/reconcile-refunds", authenticateCron, async (req, res) => {
+  try {
+    const summary = await reconcileInitiatingRefunds({ limit: parseLimit(req.query.limit, 50, 200) });
+    return res.json({ success: true, ...summary });
+  } catch (err) {
+    console.error(`[CronReconcileRefunds] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to reconcile refunds" });
+  }
+});
+
+// GET /api/cron/retry-webhooks
+// Retries sellers' failed webhook deliveries once their backoff has elapsed
+app.get("/api/cron/retry-webhooks", authenticateCron, async (req, res) => {
+  try {
+    const summary = await retryDueDeliveries({ limit: parseLimit(req.query.limit, 50, 200) });
+    return res.json({ success: true, ...summary });
+  } catch (err) {
+    console.error(`[CronRetryWebhooks] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to retry webhook deliveries" });
+  }
+});
+
+// GET /api/cron/dispatch-campaigns
+app.get("/api/cron/dispatch-campaigns", authenticateCron, async (req, res) => {
+  try {
+    const summary = await dispatchDueCampaigns({ limit: parseLimit(req.query.limit, 10, 50) });
+    return res.json({ success: true, ...summary });
+  } catch (err) {
+    console.error(`[CronDispatchCampaigns] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to dispatch campaigns" });
+  }
+});
+
 // ─────────────────────────────────────────
 // GLOBAL ERROR HANDLER
 // ─────────────────────────────────────────
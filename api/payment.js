@@ -1,37 +1,33 @@
 require("dotenv").config({ path: require("path").resolve(__dirname, "../.env") });
 const express = require("express");
 const cors = require("cors");
-const crypto = require("crypto");
 const { v4: uuidv4 } = require("uuid");
-const { Cashfree } = require("cashfree-pg");
-const { db, admin, sendFCM, getUserFCMToken } = require("../lib/firebase");
+const { db, admin } = require("../lib/firebase");
 const { authenticateUser } = require("../lib/middleware");
+const { rateLimit, blockIps } = require("../lib/ratelimit");
+const { quotePurchase } = require("../lib/coupons");
+const { getGateway, mockGatewayEnabled } = require("../lib/gateways");
+const { normalizeCurrency, loadExchangeRates, rateFor, priceIn } = require("../lib/currency");
+const { loadPayment, reconcilePayment } = require("../lib/settlement");
+const { handleWebhook } = require("../lib/webhooks");
+
+const round2 = (n) => Math.round(n * 100) / 100;
 
 const app = express();
 app.use(cors({ origin: "*" }));
+app.use(blockIps);
 
-// Cashfree webhook needs raw body for signature verification
+// Gateway webhooks need the raw body for signature verification
 app.use("/api/payment/webhook", express.raw({ type: "application/json" }));
 app.use(express.json());
 
-// ─────────────────────────────────────────
-// CASHFREE INITIALIZATION
-// ─────────────────────────────────────────
-
-Cashfree.XClientId = process.env.CASHFREE_APP_ID;
-Cashfree.XClientSecret = process.env.CASHFREE_SECRET_KEY;
-Cashfree.XEnvironment =
-  process.env.CASHFREE_ENV === "production"
-    ? Cashfree.Environment.PRODUCTION
-    : Cashfree.Environment.SANDBOX;
-
 // ─────────────────────────────────────────
 // POST /api/payment/create
 // ─────────────────────────────────────────
 
-app.post("/api/payment/create", authenticateUser, async (req, res) => {
+app.post("/api/payment/create", authenticateUser, rateLimit("payment"), async (req, res) => {
   try {
-    const { productId } = req.body;
+    const { productId, couponCode } = req.body;
 
     if (!productId) {
       return res.status(400).json({ error: "productId is required" });
@@ -68,42 +64,61 @@ app.post("/api/payment/create", authenticateUser, async (req, res) => {
       return res.status(409).json({ error: "You have already purchased this product" });
     }
 
-    const orderAmount = product.discountPrice || product.price;
+    // The buyer is charged in their currency at today's rate; the rate is
+    // stored on the order so settlement credits the exact ledger equivalent
+    let quote;
+    try {
+      quote = await quotePurchase({
+        product: { id: productId, ...product },
+        currency: req.body.currency || buyer.currency,
+        couponCode,
+        userId: req.user.uid,
+      });
+    } catch (quoteErr) {
+      if (quoteErr.status) {
+        return res.status(quoteErr.status).json({ error: quoteErr.message });
+      }
+      throw quoteErr;
+    }
+    const { currency, exchangeRate, originalAmount, discountAmount, coupon: appliedCoupon } = quote;
+    const orderAmount = quote.amount;
+
     const orderId = "ORD_" + uuidv4().replace(/-/g, "").slice(0, 20).toUpperCase();
 
-    const cashfreeOrderPayload = {
-      order_id: orderId,
-      order_amount: orderAmount,
-      order_currency: "INR",
-      customer_details: {
-        customer_id: req.user.uid,
-        customer_email: buyer.email,
-        customer_phone: buyer.phone || "9999999999",
-        customer_name: buyer.fullName,
-      },
-      order_meta: {
-        return_url:
-          `${process.env.FRONTEND_URL}/user.html?payment=success&product=${productId}&order=${orderId}`,
-        notify_url: `${process.env.BACKEND_URL}/api/payment/webhook`,
-      },
-    };
-
-    let cashfreeOrder;
+    const gateway = getGateway();
+    let gatewayOrder;
     try {
-      const response = await Cashfree.PGCreateOrder("2023-08-01", cashfreeOrderPayload);
-      cashfreeOrder = response.data;
-    } catch (cfErr) {
-      const errMsg = cfErr.response?.data?.message || cfErr.message;
-      console.error(`[Payment] Cashfree order creation failed: ${errMsg}`);
-      return res.status(502).json({ error: `Payment gateway error: ${errMsg}` });
+      gatewayOrder = await gateway.createOrder({
+        orderId,
+        amount: orderAmount,
+        currency,
+        customer: { id: req.user.uid, email: buyer.email, phone: buyer.phone, name: buyer.fullName },
+        returnUrl: `${process.env.FRONTEND_URL}/user.html?payment=success&product=${productId}&order=${orderId}`,
+        notifyUrl: `${process.env.BACKEND_URL}/api/payment/webhook/${gateway.name}`,
+      });
+    } catch (gwErr) {
+      if (!gwErr.gatewayError) throw gwErr;
+      console.error(`[Payment] ${gateway.name} order creation failed: ${gwErr.message}`);
+      return res.status(502).json({ error: `Payment gateway error: ${gwErr.message}` });
     }
 
     await db.collection("orders").doc(orderId).set({
       orderId,
+      paymentOrderId: orderId,
+      gateway: gateway.name,
+      gatewayOrderId: gatewayOrder.gatewayOrderId,
       buyerId: req.user.uid,
       sellerId: product.sellerId,
       productId,
       amount: orderAmount,
+      originalAmount,
+      discountAmount,
+      currency,
+      exchangeRate,
+      ledgerAmount: round2(orderAmount * exchangeRate),
+      couponCode: appliedCoupon ? appliedCoupon.code : null,
+      couponType: appliedCoupon ? appliedCoupon.type : null,
+      couponValue: appliedCoupon ? appliedCoupon.value : null,
       status: "pending",
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
     });
@@ -111,8 +126,15 @@ app.post("/api/payment/create", authenticateUser, async (req, res) => {
     console.log(`[Payment] Order ${orderId} created for product ${productId} by ${req.user.uid}`);
 
     return res.status(201).json({
-      paymentSessionId: cashfreeOrder.payment_session_id,
+      paymentSessionId: gatewayOrder.paymentSessionId,
       orderId,
+      gateway: gateway.name,
+      gatewayOrderId: gatewayOrder.gatewayOrderId,
+      checkout: gatewayOrder.checkout,
+      amount: orderAmount,
+      originalAmount,
+      discountAmount,
+      currency,
     });
   } catch (err) {
     console.error(`[Payment/Create] Error: ${err.message}`);
@@ -121,136 +143,219 @@ app.post("/api/payment/create", authenticateUser, async (req, res) => {
 });
 
 // ─────────────────────────────────────────
-// POST /api/payment/webhook
+// POST /api/payment/checkout
 // ─────────────────────────────────────────
 
-app.post("/api/payment/webhook", async (req, res) => {
-  // Always return 200 so Cashfree doesn't retry endlessly on our logic errors
+const MAX_CHECKOUT_ITEMS = 20;
+
+app.post("/api/payment/checkout", authenticateUser, rateLimit("payment"), async (req, res) => {
   try {
-    const rawBody = Buffer.isBuffer(req.body) ? req.body.toString("utf8") : JSON.stringify(req.body);
-    const signature = req.headers["x-webhook-signature"];
-    const timestamp = req.headers["x-webhook-timestamp"];
+    const buyerDoc = await db.collection("users").doc(req.user.uid).get();
+    if (!buyerDoc.exists) {
+      return res.status(404).json({ error: "Buyer account not found" });
+    }
+    const buyer = buyerDoc.data();
 
-    if (!signature || !timestamp) {
-      console.error("[Webhook] Missing signature or timestamp headers");
-      return res.status(200).json({ status: "signature_missing" });
+    // Explicit productIds take precedence; otherwise check out the whole cart
+    let productIds = req.body.productIds;
+    if (!Array.isArray(productIds) || productIds.length === 0) {
+      const cartDoc = await db.collection("carts").doc(req.user.uid).get();
+      productIds = cartDoc.exists ? cartDoc.data().items || [] : [];
     }
+    productIds = [...new Set(productIds.filter(Boolean))];
 
-    // Cashfree HMAC-SHA256 signature verification
-    const signedPayload = timestamp + rawBody;
-    const expectedSignature = crypto
-      .createHmac("sha256", process.env.CASHFREE_SECRET_KEY)
-      .update(signedPayload)
-      .digest("base64");
+    if (productIds.length === 0) {
+      return res.status(400).json({ error: "Cart is empty" });
+    }
+    if (productIds.length > MAX_CHECKOUT_ITEMS) {
+      return res.status(400).json({ error: `A checkout can contain at most ${MAX_CHECKOUT_ITEMS} products` });
+    }
 
-    if (expectedSignature !== signature) {
-      console.error("[Webhook] Invalid signature — possible spoofed request");
-      return res.status(200).json({ status: "invalid_signature" });
+    let currency, rates;
+    try {
+      currency = normalizeCurrency(req.body.currency || buyer.currency);
+      rates = await loadExchangeRates();
+      rateFor(currency, rates);
+    } catch (currencyErr) {
+      if (currencyErr.status) {
+        return res.status(currencyErr.status).json({ error: currencyErr.message });
+      }
+      throw currencyErr;
     }
+    const exchangeRate = rates[currency];
+
+    const productDocs = await db.getAll(...productIds.map((id) => db.collection("products").doc(id)));
+    const owned = new Set(buyer.purchases || []);
+    const lineItems = [];
+    const skipped = [];
+
+    productDocs.forEach((doc) => {
+      if (!doc.exists || doc.data().status !== "approved") {
+        skipped.push({ productId: doc.id, reason: "unavailable" });
+      } else if (owned.has(doc.id)) {
+        skipped.push({ productId: doc.id, reason: "already_owned" });
+      } else {
+        const product = doc.data();
+        let amount;
+        try {
+          amount = priceIn(product, currency, rates);
+        } catch (priceErr) {
+          // The product's own currency has no rate configured
+          if (!priceErr.status) throw priceErr;
+          skipped.push({ productId: doc.id, reason: "unavailable_in_currency" });
+          return;
+        }
+        lineItems.push({
+          productId: doc.id,
+          sellerId: product.sellerId,
+          title: product.title,
+          amount,
+        });
+      }
+    });
 
-    const event = JSON.parse(rawBody);
-    const paymentStatus = event?.data?.payment?.payment_status;
-    const orderId = event?.data?.order?.order_id;
+    if (lineItems.length === 0) {
+      return res.status(400).json({ error: "None of the selected products can be purchased", skipped });
+    }
 
-    console.log(`[Webhook] Event received for order ${orderId}, status: ${paymentStatus}`);
+    const checkoutId = "CHK_" + uuidv4().replace(/-/g, "").slice(0, 20).toUpperCase();
+    const totalAmount = round2(lineItems.reduce((sum, item) => sum + item.amount, 0));
 
-    if (!orderId) {
-      console.error("[Webhook] Missing orderId in payload");
-      return res.status(200).json({ status: "missing_order_id" });
+    const gateway = getGateway();
+    let gatewayOrder;
+    try {
+      gatewayOrder = await gateway.createOrder({
+        orderId: checkoutId,
+        amount: totalAmount,
+        currency,
+        customer: { id: req.user.uid, email: buyer.email, phone: buyer.phone, name: buyer.fullName },
+        returnUrl: `${process.env.FRONTEND_URL}/user.html?payment=success&order=${checkoutId}`,
+        notifyUrl: `${process.env.BACKEND_URL}/api/payment/webhook/${gateway.name}`,
+      });
+    } catch (gwErr) {
+      if (!gwErr.gatewayError) throw gwErr;
+      console.error(`[Payment] ${gateway.name} checkout creation failed: ${gwErr.message}`);
+      return res.status(502).json({ error: `Payment gateway error: ${gwErr.message}` });
     }
 
-    const orderRef = db.collection("orders").doc(orderId);
-    const orderDoc = await orderRef.get();
+    // Each line item is its own order doc so per-product lookups
+    // (downloads, purchases, reviews) work the same as single purchases
+    const batch = db.batch();
+    const orderIds = lineItems.map((item, i) => {
+      const orderId = `${checkoutId}_${i + 1}`;
+      batch.set(db.collection("orders").doc(orderId), {
+        orderId,
+        paymentOrderId: checkoutId,
+        checkoutId,
+        gateway: gateway.name,
+        gatewayOrderId: gatewayOrder.gatewayOrderId,
+        buyerId: req.user.uid,
+        sellerId: item.sellerId,
+        productId: item.productId,
+        amount: item.amount,
+        originalAmount: item.amount,
+        discountAmount: 0,
+        currency,
+        exchangeRate,
+        ledgerAmount: round2(item.amount * exchangeRate),
+        couponCode: null,
+        status: "pending",
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return orderId;
+    });
 
-    if (!orderDoc.exists) {
-      console.error(`[Webhook] Order ${orderId} not found in Firestore`);
-      return res.status(200).json({ status: "order_not_found" });
-    }
+    batch.set(db.collection("checkouts").doc(checkoutId), {
+      checkoutId,
+      gateway: gateway.name,
+      gatewayOrderId: gatewayOrder.gatewayOrderId,
+      buyerId: req.user.uid,
+      orderIds,
+      productIds: lineItems.map((item) => item.productId),
+      amount: totalAmount,
+      currency,
+      exchangeRate,
+      status: "pending",
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    await batch.commit();
 
-    const order = orderDoc.data();
+    console.log(`[Payment] Checkout ${checkoutId} created with ${lineItems.length} item(s) by ${req.user.uid}`);
 
-    if (paymentStatus === "SUCCESS") {
-      // Prevent double processing
-      if (order.status === "completed") {
-        console.log(`[Webhook] Order ${orderId} already completed — skipping`);
-        return res.status(200).json({ status: "already_completed" });
-      }
+    return res.status(201).json({
+      paymentSessionId: gatewayOrder.paymentSessionId,
+      orderId: checkoutId,
+      gateway: gateway.name,
+      gatewayOrderId: gatewayOrder.gatewayOrderId,
+      checkout: gatewayOrder.checkout,
+      amount: totalAmount,
+      currency,
+      items: lineItems,
+      skipped,
+    });
+  } catch (err) {
+    console.error(`[Payment/Checkout] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to create checkout" });
+  }
+});
 
-      const configDoc = await db.collection("config").doc("app_config").get();
-      const commissionRate = configDoc.exists ? configDoc.data().commissionRate || 10 : 10;
-      const amount = order.amount;
-      const platformFee = amount * (commissionRate / 100);
-      const sellerEarning = amount - platformFee;
+// ─────────────────────────────────────────
+// POST /api/payment/webhook/:gateway
+// ─────────────────────────────────────────
 
-      // Atomic batch write
-      const batch = db.batch();
+async function receivePaymentWebhook(req, res) {
+  // Always return 200 so the gateway doesn't retry endlessly on our logic errors.
+  // Every event is logged to webhook_events so failures can be replayed by an admin.
+  try {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body.toString("utf8") : JSON.stringify(req.body);
+    const result = await handleWebhook("payment", rawBody, req.headers, { gateway: req.params.gateway || "cashfree" });
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error(`[Payment/Webhook] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to process webhook" });
+  }
+}
 
-      batch.update(orderRef, {
-        status: "completed",
-        platformFee,
-        sellerEarning,
-        completedAt: admin.firestore.FieldValue.serverTimestamp(),
-      });
+// The bare path is the notify_url of orders created before gateways were pluggable
+app.post("/api/payment/webhook", receivePaymentWebhook);
+app.post("/api/payment/webhook/:gateway", receivePaymentWebhook);
 
-      const sellerRef = db.collection("users").doc(order.sellerId);
-      batch.update(sellerRef, {
-        walletBalance: admin.firestore.FieldValue.increment(sellerEarning),
-        totalEarnings: admin.firestore.FieldValue.increment(sellerEarning),
-      });
+// ─────────────────────────────────────────
+// POST /api/payment/mock/:orderId/simulate
+// ─────────────────────────────────────────
 
-      const productRef = db.collection("products").doc(order.productId);
-      batch.update(productRef, {
-        sales: admin.firestore.FieldValue.increment(1),
-      });
+app.post("/api/payment/mock/:orderId/simulate", authenticateUser, async (req, res) => {
+  try {
+    if (!mockGatewayEnabled()) {
+      return res.status(404).json({ error: "Mock payment gateway is disabled" });
+    }
 
-      const buyerRef = db.collection("users").doc(order.buyerId);
-      batch.update(buyerRef, {
-        purchases: admin.firestore.FieldValue.arrayUnion(order.productId),
-      });
+    const { orderId } = req.params;
+    const status = req.body.status || "SUCCESS";
 
-      await batch.commit();
-      console.log(`[Webhook] Order ${orderId} completed. Seller earns ₹${sellerEarning}, platform fee ₹${platformFee}`);
-
-      // FCM to seller
-      const sellerToken = await getUserFCMToken(order.sellerId);
-      await sendFCM(
-        sellerToken,
-        "🎉 New Sale!",
-        `₹${sellerEarning} added to your wallet`,
-        { type: "payment", orderId }
-      );
-
-      // FCM to buyer
-      const buyerToken = await getUserFCMToken(order.buyerId);
-      await sendFCM(
-        buyerToken,
-        "✅ Purchase Confirmed!",
-        "Your download is ready. Tap to download!",
-        { type: "download", productId: order.productId }
-      );
-    } else if (paymentStatus === "FAILED") {
-      if (order.status !== "completed") {
-        await orderRef.update({
-          status: "failed",
-          failedAt: admin.firestore.FieldValue.serverTimestamp(),
-        });
-        console.log(`[Webhook] Order ${orderId} marked as failed`);
-
-        const buyerToken = await getUserFCMToken(order.buyerId);
-        await sendFCM(
-          buyerToken,
-          "❌ Payment Failed",
-          "Something went wrong. Please try again."
-        );
-      }
-    } else {
-      console.log(`[Webhook] Unhandled payment status "${paymentStatus}" for order ${orderId}`);
+    if (status !== "SUCCESS" && status !== "FAILED") {
+      return res.status(400).json({ error: 'status must be "SUCCESS" or "FAILED"' });
+    }
+
+    const payment = await loadPayment(orderId);
+    if (!payment || payment.items.length === 0) {
+      return res.status(404).json({ error: "Order not found" });
+    }
+
+    const source = payment.checkout || payment.items[0].data;
+    if (source.gateway !== "mock") {
+      return res.status(400).json({ error: "Only mock gateway orders can be simulated" });
+    }
+    if (source.buyerId !== req.user.uid) {
+      return res.status(403).json({ error: "Access denied to this order" });
     }
 
-    return res.status(200).json({ status: "ok" });
+    const result = await getGateway("mock").simulatePayment(orderId, status);
+    console.log(`[Payment] Mock ${status} simulated for ${orderId} by ${req.user.uid}`);
+    return res.json({ message: "Payment simulated", status, webhook: result });
   } catch (err) {
-    console.error(`[Webhook] Unexpected error: ${err.message}`, err.stack);
-    return res.status(200).json({ status: "error", message: err.message });
+    console.error(`[Payment/MockSimulate] Error: ${err.message}`);
+    return res.status(500).json({ error: "Failed to simulate payment" });
   }
 });
 
@@ -261,18 +366,39 @@ app.post("/api/payment/webhook", async (req, res) => {
 app.get("/api/payment/status/:orderId", authenticateUser, async (req, res) => {
   try {
     const { orderId } = req.params;
-    const orderDoc = await db.collection("orders").doc(orderId).get();
+    let payment = await loadPayment(orderId);
 
-    if (!orderDoc.exists) {
+    if (!payment || payment.items.length === 0) {
       return res.status(404).json({ error: "Order not found" });
     }
 
-    const order = orderDoc.data();
-
-    if (order.buyerId !== req.user.uid) {
+    if (payment.items[0].data.buyerId !== req.user.uid) {
       return res.status(403).json({ error: "Access denied to this order" });
     }
 
+    // ?refresh=true asks the gateway directly when the webhook hasn't arrived yet
+    const isPending = payment.items.some((item) => item.data.status === "pending");
+    if (req.query.refresh === "true" && isPending) {
+      try {
+        await reconcilePayment(orderId);
+        payment = await loadPayment(orderId);
+      } catch (gwErr) {
+        console.error(`[Payment/Status] On-demand check failed for ${orderId}: ${gwErr.message}`);
+      }
+    }
+
+    if (payment.checkout) {
+      return res.json({
+        status: payment.checkout.status,
+        items: payment.items.map((item) => ({
+          orderId: item.data.orderId,
+          productId: item.data.productId,
+          status: item.data.status,
+        })),
+      });
+    }
+
+    const order = payment.items[0].data;
     return res.json({ status: order.status, productId: order.productId });
   } catch (err) {
     console.error(`[Payment/Status] Error: ${err.message}`);
@@ -295,7 +421,7 @@ app.use((err, req, res, next) => {
 
 const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
-  console.log(`[Payment Server] Cashfree Payment API running on port ${PORT}`);
+  console.log(`[Payment Server] Payment API running on port ${PORT}`);
 });
 
 module.exports = app;
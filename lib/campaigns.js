@@ -0,0 +1,427 @@
+const crypto = require("crypto");
+const { db, admin, getUserFCMTokens, sendFCMMulticast } = require("./firebase");
+const { resolveCategory, categoryFilter } = require("./categories");
+const { isEmailConfigured, loadBrand, sendEmail } = require("./email");
+const { NOTIFICATION_TYPES, channelsFor } = require("./notifications");
+
+// Admin campaigns live in `campaigns/{id}`. A campaign targets a segment of
+// users and is either sent right away or left `scheduled` until the cron
+// dispatcher picks it up once `scheduledAt` has passed. Every targeted user
+// gets an inbox copy; push and email follow their admin_message preference.
+// Status flow: scheduled → sending → sent | failed, or scheduled → cancelled.
+// Users are sent to in chunks ordered by id, and `progress.lastUserId` and
+// `stats` are saved after each one. A run holds a lease on the campaign while
+// sending; if it dies, the dispatcher resumes after the last finished chunk
+// once the lease has lapsed.
+
+const CAMPAIGN_STATUSES = ["scheduled", "sending", "sent", "failed", "cancelled"];
+
+const ROLES = ["buyer", "seller"];
+
+// Firestore "in" and "array-contains-any" filters take at most 30 values
+const IN_LIMIT = 30;
+
+const CHUNK_SIZE = 200;
+// Renewed after every chunk, so only a run that stopped making progress loses it
+const SEND_LEASE_MS = 5 * 60 * 1000;
+
+function campaignError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function chunk(values, size) {
+  const chunks = [];
+  for (let i = 0; i < values.length; i += size) chunks.push(values.slice(i, i + size));
+  return chunks;
+}
+
+const toUsers = (snapshot) => snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+
+async function usersByIds(ids) {
+  if (ids.length === 0) return [];
+  const docs = await db.getAll(...ids.map((id) => db.collection("users").doc(id)));
+  return docs.filter((doc) => doc.exists).map((doc) => ({ id: doc.id, ...doc.data() }));
+}
+
+// Each segment validates its params (throwing a 400 error) and resolves the users it targets
+const SEGMENTS = {
+  all: {
+    label: "Everyone",
+    params: () => ({}),
+    resolve: async () => toUsers(await db.collection("users").get()),
+  },
+  role: {
+    label: "Everyone with a role",
+    params: ({ role }) => {
+      if (!ROLES.includes(role)) throw campaignError(400, `role must be one of: ${ROLES.join(", ")}`);
+      return { role };
+    },
+    resolve: async ({ role }) => toUsers(await db.collection("users").where("role", "==", role).get()),
+  },
+  buyers_without_purchases: {
+    label: "Buyers with no purchases",
+    params: () => ({}),
+    resolve: async () => {
+      const buyers = toUsers(await db.collection("users").where("role", "==", "buyer").get());
+      return buyers.filter((user) => (user.purchases || []).length === 0);
+    },
+  },
+  sellers_without_products: {
+    label: "Sellers with no products",
+    params: () => ({}),
+    resolve: async () => {
+      const sellers = toUsers(await db.collection("users").where("role", "==", "seller").get());
+      const withProducts = new Set();
+      for (const ids of chunk(sellers.map((s) => s.id), IN_LIMIT)) {
+        const snapshot = await db.collection("products").where("sellerId", "in", ids).select("sellerId").get();
+        snapshot.docs.forEach((doc) => withProducts.add(doc.data().sellerId));
+      }
+      return sellers.filter((seller) => !withProducts.has(seller.id));
+    },
+  },
+  wishlisted_product: {
+    label: "Users who wishlisted a product",
+    params: ({ productId }) => {
+      if (!productId || typeof productId !== "string") throw campaignError(400, "productId is required");
+      return { productId };
+    },
+    resolve: async ({ productId }) =>
+      toUsers(await db.collection("users").where("wishlist", "array-contains", productId).get()),
+  },
+  // Sellers with products in the category (or its children) and buyers who purchased one
+  category: {
+    label: "Buyers and sellers in a category",
+    params: async ({ category, role }) => {
+      const resolved = await resolveCategory(category);
+      if (!resolved) throw campaignError(400, "category must be an existing category");
+      if (role && !ROLES.includes(role)) throw campaignError(400, `role must be one of: ${ROLES.join(", ")}`);
+      return { category: resolved.slug, ...(role ? { role } : {}) };
+    },
+    resolve: async ({ category, role }) => {
+      const slugs = await categoryFilter(category);
+      const productIds = [];
+      const sellerIds = new Set();
+      for (const values of chunk(slugs, IN_LIMIT)) {
+        const snapshot = await db.collection("products").where("category", "in", values).select("sellerId").get();
+        snapshot.docs.forEach((doc) => {
+          productIds.push(doc.id);
+          sellerIds.add(doc.data().sellerId);
+        });
+      }
+
+      const users = new Map();
+      if (role !== "buyer") {
+        (await usersByIds([...sellerIds])).forEach((user) => users.set(user.id, user));
+      }
+      if (role !== "seller") {
+        for (const ids of chunk(productIds, IN_LIMIT)) {
+          const snapshot = await db.collection("users").where("purchases", "array-contains-any", ids).get();
+          toUsers(snapshot).forEach((user) => users.set(user.id, user));
+        }
+      }
+      return [...users.values()];
+    },
+  },
+};
+
+/**
+ * Validate a segment from a request body. Throws an error with `status` 400
+ * for unknown segments or missing params.
+ * @param {Object} segment - e.g. { type: "wishlisted_product", productId }
+ * @returns {Promise<Object>} The normalized segment
+ */
+async function parseSegment(segment) {
+  const type = segment && segment.type;
+  if (!SEGMENTS[type]) {
+    throw campaignError(400, `segment.type must be one of: ${Object.keys(SEGMENTS).join(", ")}`);
+  }
+  return { type, ...(await SEGMENTS[type].params(segment)) };
+}
+
+/**
+ * The users a segment targets, excluding banned accounts.
+ * @param {Object} segment - From parseSegment()
+ * @returns {Promise<Object[]>}
+ */
+async function resolveSegment(segment) {
+  const users = await SEGMENTS[segment.type].resolve(segment);
+  return users.filter((user) => user.status !== "banned");
+}
+
+/**
+ * Create a campaign. Without `scheduledAt` it is sent before returning.
+ * Throws an error with `status` 400 for invalid input.
+ * @param {Object} params
+ * @param {string} params.title
+ * @param {string} params.message
+ * @param {Object} params.segment - { type, ...params }, see SEGMENTS
+ * @param {string} [params.scheduledAt] - ISO date-time in the future
+ * @param {string} createdBy - Admin uid
+ * @returns {Promise<Object>} The campaign
+ */
+async function createCampaign({ title, message, segment, scheduledAt }, createdBy) {
+  if (!title || !message) throw campaignError(400, "title and message are required");
+
+  let sendAt = null;
+  if (scheduledAt) {
+    const date = new Date(scheduledAt);
+    if (isNaN(date.getTime())) throw campaignError(400, "scheduledAt must be an ISO date-time");
+    if (date <= new Date()) throw campaignError(400, "scheduledAt must be in the future");
+    sendAt = admin.firestore.Timestamp.fromDate(date);
+  }
+
+  const campaignRef = db.collection("campaigns").doc();
+  await campaignRef.set({
+    title: String(title).trim(),
+    message: String(message).trim(),
+    segment: await parseSegment(segment),
+    status: "scheduled",
+    scheduledAt: sendAt || admin.firestore.Timestamp.now(),
+    stats: null,
+    createdBy,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  if (!sendAt) return sendCampaign(campaignRef.id);
+  const created = await campaignRef.get();
+  return { id: created.id, ...created.data() };
+}
+
+const leaseExpiry = () => admin.firestore.Timestamp.fromMillis(Date.now() + SEND_LEASE_MS);
+
+// Move a scheduled campaign (or a `sending` one whose lease has lapsed) to
+// `sending` under a new lease, so overlapping dispatcher runs can't both send it
+async function claimCampaign(campaignRef) {
+  return db.runTransaction(async (tx) => {
+    const doc = await tx.get(campaignRef);
+    if (!doc.exists) return null;
+    const campaign = doc.data();
+    const abandoned =
+      campaign.status === "sending" && (!campaign.leaseExpiresAt || campaign.leaseExpiresAt.toMillis() <= Date.now());
+    if (campaign.status !== "scheduled" && !abandoned) return null;
+
+    const leaseId = crypto.randomBytes(8).toString("hex");
+    tx.update(campaignRef, {
+      status: "sending",
+      leaseId,
+      leaseExpiresAt: leaseExpiry(),
+      ...(abandoned ? {} : { sendingAt: admin.firestore.FieldValue.serverTimestamp() }),
+    });
+    return { id: doc.id, ...campaign, leaseId };
+  });
+}
+
+// Apply an update only while this run still holds the lease; false once another run took over
+async function updateUnderLease(campaignRef, leaseId, update) {
+  return db.runTransaction(async (tx) => {
+    const doc = await tx.get(campaignRef);
+    if (!doc.exists || doc.data().status !== "sending" || doc.data().leaseId !== leaseId) return false;
+    tx.update(campaignRef, update);
+    return true;
+  });
+}
+
+const emptyStats = () => ({
+  targeted: 0,
+  sent: 0,
+  failed: 0,
+  push: { devices: 0, sent: 0, failed: 0 },
+  email: { recipients: 0, sent: 0, failed: 0 },
+});
+
+function addStats(a, b) {
+  return {
+    targeted: a.targeted + b.targeted,
+    sent: a.sent + b.sent,
+    failed: a.failed + b.failed,
+    push: {
+      devices: a.push.devices + b.push.devices,
+      sent: a.push.sent + b.push.sent,
+      failed: a.push.failed + b.push.failed,
+    },
+    email: {
+      recipients: a.email.recipients + b.email.recipients,
+      sent: a.email.sent + b.email.sent,
+      failed: a.email.failed + b.email.failed,
+    },
+  };
+}
+
+async function deliverChunk(campaign, users, brand) {
+  const { title, message } = campaign;
+
+  // One inbox copy per user, keyed so a resumed chunk doesn't duplicate it
+  const batch = db.batch();
+  users.forEach((user) => {
+    batch.set(db.collection("notifications").doc(`${campaign.id}_${user.id}`), {
+      userId: user.id,
+      title,
+      body: message,
+      type: NOTIFICATION_TYPES.CAMPAIGN,
+      data: { campaignId: campaign.id },
+      isRead: false,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  });
+  await batch.commit();
+
+  const pushUsers = users.filter((user) => channelsFor(user, NOTIFICATION_TYPES.CAMPAIGN).push);
+  const emailUsers = users.filter((user) => user.email && channelsFor(user, NOTIFICATION_TYPES.CAMPAIGN).email);
+
+  const tokens = [...new Set(await getUserFCMTokens(pushUsers.map((user) => user.id)))];
+  const pushSent = await sendFCMMulticast(tokens, title, message, {
+    type: NOTIFICATION_TYPES.CAMPAIGN,
+    campaignId: campaign.id,
+  });
+
+  let emailSent = 0;
+  let emailFailed = 0;
+  if (brand) {
+    for (const user of emailUsers) {
+      const ok = await sendEmail({ to: user.email, template: "admin_message", data: { title, message }, brand });
+      if (ok) emailSent++;
+      else emailFailed++;
+    }
+  }
+
+  // `sent` and `failed` count push deliveries (per device) plus emails
+  return {
+    targeted: users.length,
+    sent: pushSent + emailSent,
+    failed: tokens.length - pushSent + emailFailed,
+    push: { devices: tokens.length, sent: pushSent, failed: tokens.length - pushSent },
+    email: { recipients: emailUsers.length, sent: emailSent, failed: emailFailed },
+  };
+}
+
+// Send to every targeted user after `progress.lastUserId`, saving progress
+// after each chunk. Returns the final stats, or null when the lease was lost.
+async function deliver(campaignRef, campaign) {
+  const lastUserId = campaign.progress ? campaign.progress.lastUserId : null;
+  const users = (await resolveSegment(campaign.segment))
+    .filter((user) => !lastUserId || user.id > lastUserId)
+    .sort((a, b) => (a.id < b.id ? -1 : 1));
+  const brand = users.some((user) => user.email) && isEmailConfigured() ? await loadBrand() : null;
+
+  let stats = campaign.stats || emptyStats();
+  for (const group of chunk(users, CHUNK_SIZE)) {
+    stats = addStats(stats, await deliverChunk(campaign, group, brand));
+    const saved = await updateUnderLease(campaignRef, campaign.leaseId, {
+      stats,
+      progress: { lastUserId: group[group.length - 1].id, delivered: stats.targeted },
+      leaseExpiresAt: leaseExpiry(),
+    });
+    if (!saved) return null;
+  }
+  return stats;
+}
+
+/**
+ * Send a scheduled campaign now, or resume one whose sending run died, and
+ * record its delivery stats. Returns null when the campaign isn't due for
+ * this run (already sent, cancelled or being sent by another run).
+ * @param {string} campaignId
+ * @returns {Promise<Object|null>} The campaign after this run
+ */
+async function sendCampaign(campaignId) {
+  const campaignRef = db.collection("campaigns").doc(campaignId);
+  const campaign = await claimCampaign(campaignRef);
+  if (!campaign) return null;
+
+  try {
+    const stats = await deliver(campaignRef, campaign);
+    if (!stats) {
+      console.log(`[Campaigns] Lost the lease on ${campaignId}; another run is sending it`);
+    } else {
+      await updateUnderLease(campaignRef, campaign.leaseId, {
+        status: "sent",
+        stats,
+        leaseExpiresAt: null,
+        sentAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      console.log(
+        `[Campaigns] Sent ${campaignId}: ${stats.targeted} targeted, ${stats.sent} sent, ${stats.failed} failed`
+      );
+    }
+  } catch (err) {
+    console.error(`[Campaigns] Failed to send ${campaignId}: ${err.message}`);
+    await updateUnderLease(campaignRef, campaign.leaseId, {
+      status: "failed",
+      error: err.message,
+      leaseExpiresAt: null,
+    });
+  }
+
+  const sent = await campaignRef.get();
+  return { id: sent.id, ...sent.data() };
+}
+
+/**
+ * Send every scheduled campaign whose time has come, oldest first, then
+ * resume campaigns whose sending run stopped before finishing.
+ * @param {Object} [options]
+ * @param {number} [options.limit=10] - Max campaigns per run
+ * @returns {Promise<{ due: number, sent: number, failed: number }>}
+ */
+async function dispatchDueCampaigns({ limit = 10 } = {}) {
+  const now = admin.firestore.Timestamp.now();
+  const [scheduled, abandoned] = await Promise.all([
+    db
+      .collection("campaigns")
+      .where("status", "==", "scheduled")
+      .where("scheduledAt", "<=", now)
+      .orderBy("scheduledAt", "asc")
+      .limit(limit)
+      .get(),
+    db
+      .collection("campaigns")
+      .where("status", "==", "sending")
+      .where("leaseExpiresAt", "<=", now)
+      .orderBy("leaseExpiresAt", "asc")
+      .limit(limit)
+      .get(),
+  ]);
+  const docs = [...scheduled.docs, ...abandoned.docs].slice(0, limit);
+
+  const summary = { due: docs.length, sent: 0, failed: 0 };
+  for (const doc of docs) {
+    const campaign = await sendCampaign(doc.id);
+    if (campaign && campaign.status === "sent") summary.sent++;
+    else if (campaign && campaign.status === "failed") summary.failed++;
+  }
+  return summary;
+}
+
+/**
+ * Cancel a campaign that hasn't been sent yet.
+ * Throws an error with a `status` property when it can't be cancelled.
+ * @param {string} campaignId
+ * @param {string} adminUid
+ * @returns {Promise<void>}
+ */
+async function cancelCampaign(campaignId, adminUid) {
+  const campaignRef = db.collection("campaigns").doc(campaignId);
+  await db.runTransaction(async (tx) => {
+    const doc = await tx.get(campaignRef);
+    if (!doc.exists) throw campaignError(404, "Campaign not found");
+    if (doc.data().status !== "scheduled") {
+      throw campaignError(409, `Campaign is already ${doc.data().status}`);
+    }
+    tx.update(campaignRef, {
+      status: "cancelled",
+      cancelledBy: adminUid,
+      cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  });
+}
+
+module.exports = {
+  CAMPAIGN_STATUSES,
+  SEGMENTS,
+  parseSegment,
+  resolveSegment,
+  createCampaign,
+  sendCampaign,
+  dispatchDueCampaigns,
+  cancelCampaign,
+};
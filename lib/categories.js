@@ -0,0 +1,196 @@
+const { db, admin } = require("./firebase");
+const { searchFields } = require("./search");
+
+// Categories live in `categories/{slug}`. Products store the slug in
+// `category`, and category-scoped coupons in `scopeId`. Slugs retired by a
+// rename or merge are kept in the surviving category's `aliases` so old
+// links and clients still resolve.
+
+/**
+ * Lowercase, hyphenated slug: "E-Books & Guides" → "e-books-guides".
+ * @param {string} value
+ * @returns {string}
+ */
+function slugify(value) {
+  return String(value || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+}
+
+// Looser key for matching free-text input: "E-Books", "ebooks" and "Ebook" all become "ebook"
+function looseKey(value) {
+  return slugify(value).replace(/-/g, "").replace(/s$/, "");
+}
+
+/**
+ * Load every category, ordered for display.
+ * @returns {Promise<Object[]>}
+ */
+async function loadCategories() {
+  const snapshot = await db.collection("categories").get();
+  return snapshot.docs
+    .map((doc) => ({ slug: doc.id, ...doc.data() }))
+    .sort((a, b) => (a.order || 0) - (b.order || 0) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Find the category a free-text value refers to, by slug, alias or name.
+ * @param {string} value
+ * @param {Object[]} [categories] - Preloaded list from loadCategories()
+ * @returns {Promise<Object|null>}
+ */
+async function resolveCategory(value, categories) {
+  if (!value) return null;
+  const list = categories || (await loadCategories());
+  const slug = slugify(value);
+  const key = looseKey(value);
+
+  return (
+    list.find((c) => c.slug === slug) ||
+    list.find((c) => (c.aliases || []).includes(slug)) ||
+    list.find((c) => looseKey(c.name) === key || looseKey(c.slug) === key) ||
+    null
+  );
+}
+
+/**
+ * Category slugs a listing filter should match: the category and its
+ * children. Unknown values are returned as-is so products that still carry
+ * a legacy free-text category stay reachable.
+ * @param {string} value
+ * @returns {Promise<string[]>}
+ */
+async function categoryFilter(value) {
+  const categories = await loadCategories();
+  const category = await resolveCategory(value, categories);
+  if (!category) return [value];
+  return [category.slug, ...categories.filter((c) => c.parentSlug === category.slug).map((c) => c.slug)];
+}
+
+/**
+ * Move every product whose `category` is one of `fromValues` to `toSlug`,
+ * rebuilding their search keywords.
+ * @param {string[]} fromValues - Old slugs or legacy free-text categories
+ * @param {string} toSlug
+ * @returns {Promise<number>} Number of products migrated
+ */
+async function migrateProducts(fromValues, toSlug) {
+  let migrated = 0;
+
+  // Firestore "in" filters take at most 30 values
+  for (let i = 0; i < fromValues.length; i += 30) {
+    const snapshot = await db
+      .collection("products")
+      .where("category", "in", fromValues.slice(i, i + 30))
+      .get();
+
+    for (let j = 0; j < snapshot.docs.length; j += 500) {
+      const batch = db.batch();
+      snapshot.docs.slice(j, j + 500).forEach((doc) => {
+        const product = { ...doc.data(), category: toSlug };
+        batch.update(doc.ref, {
+          category: toSlug,
+          ...searchFields(product, product.sellerName),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      });
+      await batch.commit();
+    }
+    migrated += snapshot.size;
+  }
+
+  return migrated;
+}
+
+/**
+ * Point every category-scoped coupon whose `scopeId` is one of `fromValues`
+ * at `toSlug`, so it keeps applying to the migrated products.
+ * @param {string[]} fromValues - Old slugs or legacy free-text categories
+ * @param {string} toSlug
+ * @returns {Promise<number>} Number of coupons migrated
+ */
+async function migrateCoupons(fromValues, toSlug) {
+  let migrated = 0;
+
+  for (let i = 0; i < fromValues.length; i += 30) {
+    const snapshot = await db
+      .collection("coupons")
+      .where("scope", "==", "category")
+      .where("scopeId", "in", fromValues.slice(i, i + 30))
+      .get();
+
+    for (let j = 0; j < snapshot.docs.length; j += 500) {
+      const batch = db.batch();
+      snapshot.docs.slice(j, j + 500).forEach((doc) => {
+        batch.update(doc.ref, { scopeId: toSlug, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+      });
+      await batch.commit();
+    }
+    migrated += snapshot.size;
+  }
+
+  return migrated;
+}
+
+/**
+ * Fold `sources` into the `target` category: products and coupons move over, child
+ * categories are re-parented, source category docs are deleted and their
+ * slugs become aliases of the target. Sources that aren't categories are
+ * treated as legacy free-text values and only their products move.
+ * @param {string[]} sources
+ * @param {Object} target - Category from loadCategories()
+ * @param {Object[]} categories - All categories
+ * @returns {Promise<{ migratedProducts: number, migratedCoupons: number, removedCategories: string[] }>}
+ */
+async function mergeCategories(sources, target, categories) {
+  const sourceCategories = [];
+  const fromValues = new Set();
+
+  for (const source of sources) {
+    const category = categories.find((c) => c.slug === source);
+    if (category && category.slug !== target.slug) {
+      sourceCategories.push(category);
+      fromValues.add(category.slug);
+      (category.aliases || []).forEach((alias) => fromValues.add(alias));
+    } else if (!category) {
+      fromValues.add(source);
+    }
+  }
+
+  const migratedProducts = await migrateProducts([...fromValues], target.slug);
+  const migratedCoupons = await migrateCoupons([...fromValues], target.slug);
+
+  const removed = sourceCategories.map((c) => c.slug);
+  const batch = db.batch();
+  categories
+    .filter((c) => removed.includes(c.parentSlug) && c.slug !== target.slug)
+    .forEach((child) => {
+      batch.update(db.collection("categories").doc(child.slug), { parentSlug: target.slug });
+    });
+  removed.forEach((slug) => batch.delete(db.collection("categories").doc(slug)));
+
+  const aliases = [...(target.aliases || []), ...fromValues].map(slugify).filter((a) => a && a !== target.slug);
+  batch.update(db.collection("categories").doc(target.slug), {
+    aliases: [...new Set(aliases)],
+    // The target's own parent may have been one of the merged categories
+    ...(removed.includes(target.parentSlug) ? { parentSlug: null } : {}),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  await batch.commit();
+
+  return { migratedProducts, migratedCoupons, removedCategories: removed };
+}
+
+module.exports = {
+  slugify,
+  loadCategories,
+  resolveCategory,
+  categoryFilter,
+  migrateProducts,
+  migrateCoupons,
+  mergeCategories,
+};
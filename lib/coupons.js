@@ -0,0 +1,205 @@
+const { db, admin } = require("./firebase");
+const { formatMoney, normalizeCurrency, loadExchangeRates, rateFor, priceIn } = require("./currency");
+const { categoryFilter } = require("./categories");
+
+const COUPON_TYPES = ["percentage", "flat"];
+const COUPON_SCOPES = ["platform", "seller", "category", "product"];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Normalize a user-entered coupon code. Codes are stored upper-cased as the doc id.
+ * @param {string} code
+ * @returns {string}
+ */
+function normalizeCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+/**
+ * Build an error carrying an HTTP status for the route handler to return.
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error}
+ */
+function couponError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function toDate(ts) {
+  if (!ts) return null;
+  if (ts instanceof Date) return ts;
+  return ts.toDate ? ts.toDate() : new Date(ts);
+}
+
+/**
+ * Check whether a coupon's scope covers the given product. A category coupon
+ * also covers the category's children, as listing filters do.
+ * @param {Object} coupon
+ * @param {Object} product - Product data (needs id, sellerId, category)
+ * @returns {Promise<boolean>}
+ */
+async function couponAppliesTo(coupon, product) {
+  switch (coupon.scope) {
+    case "platform":
+      return true;
+    case "seller":
+      return product.sellerId === coupon.scopeId;
+    case "category":
+      return (await categoryFilter(coupon.scopeId)).includes(product.category);
+    case "product":
+      return product.id === coupon.scopeId;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Compute the discount a coupon gives on an amount. The charged amount never
+ * drops below 1 in the ledger currency, which is Cashfree's minimum order amount.
+ * @param {Object} coupon
+ * @param {number} amount
+ * @returns {{ discountAmount: number, finalAmount: number }}
+ */
+function computeDiscount(coupon, amount) {
+  let discount = coupon.type === "percentage" ? (amount * coupon.value) / 100 : coupon.value;
+  if (coupon.maxDiscount) discount = Math.min(discount, coupon.maxDiscount);
+  discount = Math.min(discount, amount - 1);
+  const discountAmount = Math.max(Math.round(discount * 100) / 100, 0);
+  const finalAmount = Math.round((amount - discountAmount) * 100) / 100;
+  return { discountAmount, finalAmount };
+}
+
+/**
+ * Validate a coupon for a buyer and product and compute the discount.
+ * Throws an error with a `status` property when the coupon cannot be used.
+ * @param {Object} params
+ * @param {string} params.code - Coupon code as entered by the buyer
+ * @param {string} params.userId - Buyer uid
+ * @param {Object} params.product - Product data including id
+ * @param {number} params.amount - Price before the coupon
+ * @returns {Promise<{ coupon: Object, discountAmount: number, finalAmount: number }>}
+ */
+async function validateCoupon({ code, userId, product, amount }) {
+  const normalized = normalizeCode(code);
+  if (!normalized) throw couponError(400, "couponCode is required");
+
+  const couponDoc = await db.collection("coupons").doc(normalized).get();
+  if (!couponDoc.exists) throw couponError(404, "Invalid coupon code");
+
+  const coupon = { code: couponDoc.id, ...couponDoc.data() };
+
+  if (!coupon.active) throw couponError(400, "This coupon is no longer active");
+
+  const expiresAt = toDate(coupon.expiresAt);
+  if (expiresAt && expiresAt < new Date()) throw couponError(400, "This coupon has expired");
+
+  if (!(await couponAppliesTo(coupon, product))) {
+    throw couponError(400, "This coupon does not apply to this product");
+  }
+
+  if (coupon.minAmount && amount < coupon.minAmount) {
+    throw couponError(400, `This coupon requires a minimum amount of ${formatMoney(coupon.minAmount)}`);
+  }
+
+  if (coupon.maxUses && (coupon.usedCount || 0) >= coupon.maxUses) {
+    throw couponError(400, "This coupon has reached its usage limit");
+  }
+
+  if (coupon.maxUsesPerUser) {
+    const redemptions = await db
+      .collection("coupon_redemptions")
+      .where("couponCode", "==", coupon.code)
+      .where("userId", "==", userId)
+      .get();
+    if (redemptions.size >= coupon.maxUsesPerUser) {
+      throw couponError(400, "You have already used this coupon");
+    }
+  }
+
+  return { coupon, ...computeDiscount(coupon, amount) };
+}
+
+/**
+ * Price a single-product purchase exactly as it will be charged: in the
+ * buyer's currency at today's rate, with any coupon validated against the
+ * ledger-currency amount and its discount converted back. Throws an error
+ * with a `status` property for unsupported currencies and unusable coupons.
+ * @param {Object} params
+ * @param {Object} params.product - Product data including id
+ * @param {string} [params.currency] - Requested currency; defaults to the ledger currency
+ * @param {string} [params.couponCode]
+ * @param {string} params.userId - Buyer uid
+ * @returns {Promise<{ currency: string, exchangeRate: number, originalAmount: number,
+ *   discountAmount: number, amount: number, coupon: Object|null }>}
+ */
+async function quotePurchase({ product, currency, couponCode, userId }) {
+  const code = normalizeCurrency(currency);
+  const rates = await loadExchangeRates();
+  const exchangeRate = rateFor(code, rates);
+  const originalAmount = priceIn(product, code, rates);
+  const quote = {
+    currency: code,
+    exchangeRate,
+    originalAmount,
+    discountAmount: 0,
+    amount: originalAmount,
+    coupon: null,
+  };
+  if (!couponCode) return quote;
+
+  // Coupon values and limits are in the ledger currency
+  const result = await validateCoupon({
+    code: couponCode,
+    userId,
+    product,
+    amount: round2(originalAmount * exchangeRate),
+  });
+  quote.coupon = result.coupon;
+  quote.discountAmount = round2(result.discountAmount / exchangeRate);
+  quote.amount = round2(originalAmount - quote.discountAmount);
+  return quote;
+}
+
+/**
+ * The redemption doc of a paid order, keyed by orderId.
+ * @param {string} orderId
+ * @returns {FirebaseFirestore.DocumentReference}
+ */
+function redemptionRef(orderId) {
+  return db.collection("coupon_redemptions").doc(orderId);
+}
+
+/**
+ * Add the redemption writes for a paid order to a transaction. `usedCount`
+ * only moves when the order's redemption doc doesn't exist yet, so a replayed
+ * webhook can't count twice.
+ * @param {FirebaseFirestore.Transaction} tx
+ * @param {Object} order - Order data including orderId, couponCode and discountAmount
+ * @param {FirebaseFirestore.DocumentSnapshot|null} existing - redemptionRef(orderId), read earlier in `tx`
+ */
+function addRedemptionToTransaction(tx, order, existing) {
+  if (!order.couponCode || (existing && existing.exists)) return;
+  tx.set(redemptionRef(order.orderId), {
+    couponCode: order.couponCode,
+    userId: order.buyerId,
+    orderId: order.orderId,
+    discountAmount: order.discountAmount || 0,
+    redeemedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  tx.update(db.collection("coupons").doc(order.couponCode), {
+    usedCount: admin.firestore.FieldValue.increment(1),
+  });
+}
+
+module.exports = {
+  COUPON_TYPES,
+  COUPON_SCOPES,
+  normalizeCode,
+  couponAppliesTo,
+  computeDiscount,
+  validateCoupon,
+  quotePurchase,
+  redemptionRef,
+  addRedemptionToTransaction,
+};
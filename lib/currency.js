@@ -0,0 +1,138 @@
+const { db } = require("./firebase");
+
+// Buyers pay in the currency they pick at checkout, but wallets, the ledger,
+// stats and platform fees are all kept in LEDGER_CURRENCY. Exchange rates live
+// in `config/app_config.exchangeRates` as units of the ledger currency per one
+// unit of the foreign currency, e.g. { USD: 83.2 }.
+
+const LEDGER_CURRENCY = "INR";
+
+const CURRENCIES = {
+  INR: { symbol: "₹", name: "Indian Rupee" },
+  USD: { symbol: "$", name: "US Dollar" },
+  EUR: { symbol: "€", name: "Euro" },
+  GBP: { symbol: "£", name: "British Pound" },
+  AED: { symbol: "AED ", name: "UAE Dirham" },
+  SGD: { symbol: "S$", name: "Singapore Dollar" },
+  AUD: { symbol: "A$", name: "Australian Dollar" },
+  CAD: { symbol: "C$", name: "Canadian Dollar" },
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function currencyError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+/**
+ * Normalize a currency code, defaulting to the ledger currency when empty.
+ * Throws an error with `status` 400 for unsupported codes.
+ * @param {string} [code]
+ * @returns {string}
+ */
+function normalizeCurrency(code) {
+  if (code === undefined || code === null || code === "") return LEDGER_CURRENCY;
+  const normalized = String(code).trim().toUpperCase();
+  if (!CURRENCIES[normalized]) {
+    throw currencyError(`Unsupported currency "${code}". Supported: ${Object.keys(CURRENCIES).join(", ")}`);
+  }
+  return normalized;
+}
+
+/**
+ * Format an amount with its currency symbol: formatMoney(12.5, "USD") → "$12.50".
+ * @param {number} amount
+ * @param {string} [currency=LEDGER_CURRENCY]
+ * @returns {string}
+ */
+function formatMoney(amount, currency = LEDGER_CURRENCY) {
+  const symbol = CURRENCIES[currency] ? CURRENCIES[currency].symbol : `${currency} `;
+  return `${symbol}${round2(amount).toFixed(2)}`;
+}
+
+/**
+ * Exchange rates from config, with the ledger currency fixed at 1.
+ * @param {Object} [config] - Preloaded `config/app_config` data
+ * @returns {Promise<Object<string, number>>}
+ */
+async function loadExchangeRates(config) {
+  let data = config;
+  if (!data) {
+    const configDoc = await db.collection("config").doc("app_config").get();
+    data = configDoc.exists ? configDoc.data() : {};
+  }
+  return { ...(data.exchangeRates || {}), [LEDGER_CURRENCY]: 1 };
+}
+
+/**
+ * Ledger-currency units per one unit of `currency`. Throws an error with
+ * `status` 400 when no rate is configured.
+ * @param {string} currency
+ * @param {Object<string, number>} rates - From loadExchangeRates()
+ * @returns {number}
+ */
+function rateFor(currency, rates) {
+  const rate = rates[currency];
+  if (!(rate > 0)) throw currencyError(`No exchange rate is configured for ${currency}`);
+  return rate;
+}
+
+/**
+ * Convert an amount between two currencies through the ledger currency.
+ * @param {number} amount
+ * @param {string} from
+ * @param {string} to
+ * @param {Object<string, number>} rates - From loadExchangeRates()
+ * @returns {number}
+ */
+function convert(amount, from, to, rates) {
+  if (from === to) return round2(amount);
+  return round2((amount * rateFor(from, rates)) / rateFor(to, rates));
+}
+
+/**
+ * What a product costs in `currency`: the seller's explicit price for that
+ * currency when set, otherwise the base price (discounted if on sale)
+ * converted from the product's own currency.
+ * @param {Object} product - Product data (price, discountPrice, currency, prices)
+ * @param {string} currency
+ * @param {Object<string, number>} rates - From loadExchangeRates()
+ * @returns {number}
+ */
+function priceIn(product, currency, rates) {
+  const explicit = product.prices && product.prices[currency];
+  if (explicit) return explicit;
+  const base = product.discountPrice || product.price;
+  return convert(base, product.currency || LEDGER_CURRENCY, currency, rates);
+}
+
+/**
+ * Parse a seller's per-currency price overrides. Returns null when invalid.
+ * @param {*} value - e.g. { USD: 9.99, EUR: 8.99 }
+ * @returns {Object<string, number>|null}
+ */
+function parsePrices(value) {
+  if (value === null || value === undefined) return {};
+  if (typeof value !== "object" || Array.isArray(value)) return null;
+
+  const prices = {};
+  for (const [code, amount] of Object.entries(value)) {
+    const currency = String(code).toUpperCase();
+    const parsed = parseFloat(amount);
+    if (!CURRENCIES[currency] || isNaN(parsed) || parsed <= 0) return null;
+    prices[currency] = round2(parsed);
+  }
+  return prices;
+}
+
+module.exports = {
+  LEDGER_CURRENCY,
+  CURRENCIES,
+  normalizeCurrency,
+  formatMoney,
+  loadExchangeRates,
+  rateFor,
+  convert,
+  priceIn,
+  parsePrices,
+};
@@ -0,0 +1,179 @@
+const nodemailer = require("nodemailer");
+const { db } = require("./firebase");
+
+// Transactional email over SMTP. Configure with SMTP_HOST, SMTP_PORT,
+// SMTP_SECURE ("true" for implicit TLS), SMTP_USER, SMTP_PASS and EMAIL_FROM.
+// For local testing point SMTP_HOST/SMTP_PORT at a sink such as MailHog
+// (localhost:1025). Without SMTP_HOST the email channel is disabled.
+
+let transporter = null;
+
+/**
+ * Whether an SMTP server is configured.
+ * @returns {boolean}
+ */
+function isEmailConfigured() {
+  return Boolean(process.env.SMTP_HOST);
+}
+
+function getTransporter() {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+  }
+  return transporter;
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const appUrl = (path) => `${process.env.FRONTEND_URL || ""}${path}`;
+
+// Each template returns { subject, heading, paragraphs, action? } from
+// already-formatted data; layout() turns that into text and HTML bodies.
+const TEMPLATES = {
+  sale: ({ earning, orderId }) => ({
+    subject: "You made a sale 🎉",
+    heading: "New sale!",
+    paragraphs: [`${earning} has been added to your wallet.`, `Order: ${orderId}`],
+  }),
+  purchase: ({ count, orderId }) => ({
+    subject: "Your purchase is ready to download",
+    heading: "Purchase confirmed",
+    paragraphs: [
+      count > 1 ? `Your ${count} downloads are ready.` : "Your download is ready.",
+      `Order: ${orderId}`,
+    ],
+    action: { label: "Go to your downloads", url: appUrl("/user.html") },
+  }),
+  payment_failed: ({ orderId }) => ({
+    subject: "Your payment didn't go through",
+    heading: "Payment failed",
+    paragraphs: [
+      "Something went wrong with your payment and you have not been charged for it.",
+      `Order: ${orderId}`,
+    ],
+    action: { label: "Try again", url: appUrl("/user.html") },
+  }),
+  withdrawal_paid: ({ amount, upiId }) => ({
+    subject: "Your withdrawal has been paid 💰",
+    heading: "Withdrawal paid",
+    paragraphs: [`${amount} has been sent to ${upiId}.`],
+  }),
+  product_removed: ({ productTitle, reason }) => ({
+    subject: `Your product "${productTitle}" was removed`,
+    heading: "Product removed",
+    paragraphs: [
+      `Your product "${productTitle}" was removed from the marketplace by an admin.`,
+      ...(reason ? [`Reason: ${reason}`] : []),
+      "Reply to this email if you have questions.",
+    ],
+  }),
+  admin_message: ({ title, message }) => ({
+    subject: title,
+    heading: title,
+    paragraphs: [message],
+  }),
+  // Any notification without a dedicated template
+  generic: ({ title, body }) => ({
+    subject: title,
+    heading: title,
+    paragraphs: [body],
+  }),
+};
+
+function layout(content, brand) {
+  const brandName = brand.brandName || "Marketplace";
+  const contact = [brand.adminEmail, brand.adminPhone].filter(Boolean).join(" · ");
+
+  const text = [
+    content.heading,
+    "",
+    ...content.paragraphs,
+    ...(content.action ? ["", `${content.action.label}: ${content.action.url}`] : []),
+    "",
+    "—",
+    brandName,
+    ...[brand.brandAddress, contact].filter(Boolean),
+  ].join("\n");
+
+  const html = `<!DOCTYPE html>
+<html>
+<body style="margin:0;background:#f5f5f5;font-family:-apple-system,'Segoe UI',Roboto,sans-serif;color:#222">
+  <div style="max-width:560px;margin:24px auto;background:#fff;border-radius:8px;padding:32px">
+    ${brand.brandLogoUrl ? `<img src="${escapeHtml(brand.brandLogoUrl)}" alt="" style="max-height:40px">` : ""}
+    <p style="font-weight:bold;margin:8px 0 24px">${escapeHtml(brandName)}</p>
+    <h1 style="font-size:20px;margin:0 0 16px">${escapeHtml(content.heading)}</h1>
+    ${content.paragraphs.map((p) => `<p style="line-height:1.5">${escapeHtml(p)}</p>`).join("\n    ")}
+    ${
+      content.action
+        ? `<p style="margin:24px 0"><a href="${escapeHtml(content.action.url)}" ` +
+          `style="background:#222;color:#fff;padding:10px 18px;border-radius:4px;text-decoration:none">` +
+          `${escapeHtml(content.action.label)}</a></p>`
+        : ""
+    }
+    <p style="color:#888;font-size:12px;margin-top:32px">
+      ${escapeHtml(brandName)}${brand.brandAddress ? ` · ${escapeHtml(brand.brandAddress)}` : ""}<br>
+      ${escapeHtml(contact)}
+    </p>
+  </div>
+</body>
+</html>`;
+
+  return { subject: content.subject, text, html };
+}
+
+async function loadBrand() {
+  const configDoc = await db.collection("config").doc("app_config").get();
+  return configDoc.exists ? configDoc.data() : {};
+}
+
+/**
+ * Render a template with the brand info from `config/app_config`.
+ * @param {string} template - A key of TEMPLATES
+ * @param {Object} data - Template data, with amounts already formatted
+ * @param {Object} [brand] - Preloaded config
+ * @returns {Promise<{ subject: string, text: string, html: string }>}
+ */
+async function renderEmail(template, data, brand) {
+  const render = TEMPLATES[template] || TEMPLATES.generic;
+  return layout(render(data), brand || (await loadBrand()));
+}
+
+/**
+ * Send a templated email. Fails silently — never crashes the main flow.
+ * @param {Object} params
+ * @param {string} params.to
+ * @param {string} params.template - A key of TEMPLATES
+ * @param {Object} params.data - Template data
+ * @param {Object} [params.brand] - Preloaded config, for bulk sends
+ * @returns {Promise<boolean>} Whether the email was accepted by the SMTP server
+ */
+async function sendEmail({ to, template, data, brand }) {
+  if (!to || !isEmailConfigured()) return false;
+  try {
+    const config = brand || (await loadBrand());
+    const { subject, text, html } = await renderEmail(template, data, config);
+    const from =
+      process.env.EMAIL_FROM ||
+      `"${(config.brandName || "Marketplace").replace(/"/g, "")}" <${config.adminEmail || process.env.SMTP_USER}>`;
+
+    await getTransporter().sendMail({ from, to, replyTo: config.adminEmail || undefined, subject, text, html });
+    console.log(`[Email] Sent ${template} email to ${to}`);
+    return true;
+  } catch (err) {
+    console.error(`[Email] Failed to send ${template} email to ${to}: ${err.message}`);
+    return false;
+  }
+}
+
+module.exports = { TEMPLATES, isEmailConfigured, loadBrand, renderEmail, sendEmail };
@@ -1,3 +1,4 @@
+const crypto = require("crypto");
 const admin = require("firebase-admin");
 
 let app;
@@ -25,6 +26,58 @@ async function verifyToken(token) {
   return decoded;
 }
 
+// Device tokens live in `fcm_tokens/{sha256(token)}` with the owner's userId,
+// so a user can have one doc per device. Docs created before multi-device
+// support are keyed by uid and still match the userId queries.
+
+// FCM error codes meaning the token will never work again
+const STALE_TOKEN_ERRORS = [
+  "messaging/registration-token-not-registered",
+  "messaging/invalid-registration-token",
+];
+
+// sendEachForMulticast accepts at most 500 tokens per call
+const MULTICAST_LIMIT = 500;
+
+/**
+ * Doc id of a device token in `fcm_tokens`.
+ * @param {string} token
+ * @returns {string}
+ */
+function tokenDocId(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function toDataPayload(data) {
+  return Object.fromEntries(
+    Object.entries(data).map(([k, v]) => [k, String(v)])
+  );
+}
+
+/**
+ * Delete device tokens FCM rejected as unregistered or invalid.
+ * Fails silently — never crashes the main flow.
+ * @param {string[]} tokens
+ */
+async function pruneFCMTokens(tokens) {
+  if (!tokens || tokens.length === 0) return;
+  try {
+    // Firestore "in" filters take at most 30 values
+    for (let i = 0; i < tokens.length; i += 30) {
+      const snapshot = await db
+        .collection("fcm_tokens")
+        .where("token", "in", tokens.slice(i, i + 30))
+        .get();
+      const batch = db.batch();
+      snapshot.docs.forEach((doc) => batch.delete(doc.ref));
+      await batch.commit();
+    }
+    console.log(`[FCM] Pruned ${tokens.length} stale token(s)`);
+  } catch (err) {
+    console.error(`[FCM] Failed to prune stale tokens: ${err.message}`);
+  }
+}
+
 /**
  * Send an FCM notification to a single token.
  * Fails silently — never crashes the main flow.
@@ -39,18 +92,18 @@ async function sendFCM(token, title, body, data = {}) {
     await admin.messaging().send({
       token,
       notification: { title, body },
-      data: Object.fromEntries(
-        Object.entries(data).map(([k, v]) => [k, String(v)])
-      ),
+      data: toDataPayload(data),
     });
     console.log(`[FCM] Sent to token ${token.slice(0, 20)}...`);
   } catch (err) {
     console.error(`[FCM] Failed to send to token: ${err.message}`);
+    if (STALE_TOKEN_ERRORS.includes(err.code)) await pruneFCMTokens([token]);
   }
 }
 
 /**
- * Send an FCM multicast notification to multiple tokens.
+ * Send an FCM multicast notification to multiple tokens, in chunks of 500.
+ * Tokens FCM reports as unregistered or invalid are deleted.
  * Fails silently — never crashes the main flow.
  * @param {string[]} tokens - Array of FCM device tokens
  * @param {string} title - Notification title
@@ -60,40 +113,77 @@ async function sendFCM(token, title, body, data = {}) {
  */
 async function sendFCMMulticast(tokens, title, body, data = {}) {
   if (!tokens || tokens.length === 0) return 0;
-  try {
-    const response = await admin.messaging().sendEachForMulticast({
-      tokens,
-      notification: { title, body },
-      data: Object.fromEntries(
-        Object.entries(data).map(([k, v]) => [k, String(v)])
-      ),
-    });
-    console.log(
-      `[FCM Multicast] Success: ${response.successCount}, Failed: ${response.failureCount}`
-    );
-    return response.successCount;
-  } catch (err) {
-    console.error(`[FCM Multicast] Failed: ${err.message}`);
-    return 0;
+  const unique = [...new Set(tokens)];
+  let successCount = 0;
+  let failureCount = 0;
+  const stale = [];
+
+  for (let i = 0; i < unique.length; i += MULTICAST_LIMIT) {
+    const chunk = unique.slice(i, i + MULTICAST_LIMIT);
+    try {
+      const response = await admin.messaging().sendEachForMulticast({
+        tokens: chunk,
+        notification: { title, body },
+        data: toDataPayload(data),
+      });
+      successCount += response.successCount;
+      failureCount += response.failureCount;
+      response.responses.forEach((result, j) => {
+        if (!result.success && STALE_TOKEN_ERRORS.includes(result.error?.code)) {
+          stale.push(chunk[j]);
+        }
+      });
+    } catch (err) {
+      console.error(`[FCM Multicast] Failed: ${err.message}`);
+      failureCount += chunk.length;
+    }
   }
+
+  console.log(
+    `[FCM Multicast] Success: ${successCount}, Failed: ${failureCount}, Stale: ${stale.length}`
+  );
+  await pruneFCMTokens(stale);
+  return successCount;
 }
 
 /**
- * Fetch a user's FCM token from the fcm_tokens collection.
- * @param {string} userId
- * @returns {Promise<string|null>}
+ * Fetch the FCM tokens of every registered device of one or more users.
+ * @param {string|string[]} userIds
+ * @returns {Promise<string[]>}
  */
-async function getUserFCMToken(userId) {
+async function getUserFCMTokens(userIds) {
+  const ids = [...new Set([].concat(userIds).filter(Boolean))];
+  const tokens = [];
   try {
-    const tokenDoc = await db.collection("fcm_tokens").doc(userId).get();
-    if (tokenDoc.exists) {
-      return tokenDoc.data().token || null;
+    // Firestore "in" filters take at most 30 values
+    for (let i = 0; i < ids.length; i += 30) {
+      const snapshot = await db
+        .collection("fcm_tokens")
+        .where("userId", "in", ids.slice(i, i + 30))
+        .get();
+      snapshot.docs.forEach((doc) => {
+        if (doc.data().token) tokens.push(doc.data().token);
+      });
     }
-    return null;
   } catch (err) {
-    console.error(`[FCM] Failed to fetch token for user ${userId}: ${err.message}`);
-    return null;
+    console.error(`[FCM] Failed to fetch tokens for ${ids.length} user(s): ${err.message}`);
   }
+  return [...new Set(tokens)];
+}
+
+/**
+ * Send an FCM notification to every device a user has registered.
+ * Fails silently — never crashes the main flow.
+ * @param {string} userId
+ * @param {string} title - Notification title
+ * @param {string} body - Notification body
+ * @param {Object} data - Optional key/value data payload
+ * @returns {Promise<number>} Number of devices reached
+ */
+async function sendFCMToUser(userId, title, body, data = {}) {
+  if (!userId) return 0;
+  const tokens = await getUserFCMTokens(userId);
+  return sendFCMMulticast(tokens, title, body, data);
 }
 
 module.exports = {
@@ -101,7 +191,10 @@ module.exports = {
   db,
   auth,
   verifyToken,
+  tokenDocId,
   sendFCM,
   sendFCMMulticast,
-  getUserFCMToken,
+  sendFCMToUser,
+  getUserFCMTokens,
+  pruneFCMTokens,
 };
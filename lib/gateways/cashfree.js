@@ -0,0 +1,137 @@
+const crypto = require("crypto");
+const { Cashfree } = require("cashfree-pg");
+
+const CASHFREE_API_VERSION = "2023-08-01";
+
+Cashfree.XClientId = process.env.CASHFREE_APP_ID;
+Cashfree.XClientSecret = process.env.CASHFREE_SECRET_KEY;
+Cashfree.XEnvironment =
+  process.env.CASHFREE_ENV === "production"
+    ? Cashfree.Environment.PRODUCTION
+    : Cashfree.Environment.SANDBOX;
+
+const REFUND_STATUSES = { SUCCESS: "SUCCESS", FAILED: "FAILED", CANCELLED: "FAILED" };
+
+/**
+ * Extract a readable message from a Cashfree SDK error.
+ * @param {Error} err
+ * @returns {string}
+ */
+function errorMessage(err) {
+  return err.response?.data?.message || err.message;
+}
+
+// Rethrow SDK errors with the API's message so callers can surface it
+async function call(fn) {
+  try {
+    return (await fn()).data;
+  } catch (err) {
+    throw Object.assign(new Error(errorMessage(err)), { gatewayError: true, httpStatus: err.response?.status });
+  }
+}
+
+module.exports = {
+  name: "cashfree",
+
+  async createOrder({ orderId, amount, currency, customer, returnUrl, notifyUrl }) {
+    const order = await call(() =>
+      Cashfree.PGCreateOrder(CASHFREE_API_VERSION, {
+        order_id: orderId,
+        order_amount: amount,
+        order_currency: currency,
+        customer_details: {
+          customer_id: customer.id,
+          customer_email: customer.email,
+          customer_phone: customer.phone || "9999999999",
+          customer_name: customer.name,
+        },
+        order_meta: { return_url: returnUrl, notify_url: notifyUrl },
+      })
+    );
+    return {
+      gatewayOrderId: orderId,
+      paymentSessionId: order.payment_session_id,
+      checkout: { paymentSessionId: order.payment_session_id },
+    };
+  },
+
+  // Cashfree HMAC-SHA256: base64(HMAC(secret, timestamp + rawBody))
+  verifyWebhook(rawBody, headers) {
+    const signature = headers["x-webhook-signature"];
+    const timestamp = headers["x-webhook-timestamp"];
+    if (!signature || !timestamp) return "signature_missing";
+
+    const expectedSignature = crypto
+      .createHmac("sha256", process.env.CASHFREE_SECRET_KEY)
+      .update(timestamp + rawBody)
+      .digest("base64");
+    return expectedSignature === signature ? null : "invalid_signature";
+  },
+
+  parseWebhook(rawBody) {
+    const event = JSON.parse(rawBody);
+
+    if (event?.type === "REFUND_STATUS_WEBHOOK") {
+      const refund = event.data?.refund || {};
+      return {
+        kind: "refund",
+        eventType: event.type,
+        refundId: refund.refund_id || null,
+        status: REFUND_STATUSES[refund.refund_status] || "PENDING",
+        reason: refund.status_description || refund.refund_status || null,
+      };
+    }
+
+    const paymentStatus = event?.data?.payment?.payment_status || null;
+    return {
+      kind: "payment",
+      eventType: event?.type || null,
+      orderId: event?.data?.order?.order_id || null,
+      status: paymentStatus === "SUCCESS" || paymentStatus === "FAILED" ? paymentStatus : "PENDING",
+      rawStatus: paymentStatus,
+    };
+  },
+
+  async fetchStatus({ orderId }) {
+    const order = await call(() => Cashfree.PGFetchOrder(CASHFREE_API_VERSION, orderId));
+    const gatewayStatus = order.order_status || null;
+
+    if (gatewayStatus === "PAID") return { status: "paid", gatewayStatus };
+    if (gatewayStatus === "EXPIRED" || gatewayStatus === "TERMINATED") return { status: "expired", gatewayStatus };
+
+    // An ACTIVE order can still have a failed (or just-succeeded) latest attempt
+    const payments = await call(() => Cashfree.PGOrderFetchPayments(CASHFREE_API_VERSION, orderId));
+    const latest = (Array.isArray(payments) ? payments : [])
+      .slice()
+      .sort((a, b) => new Date(b.payment_time || 0) - new Date(a.payment_time || 0))[0];
+
+    if (latest && latest.payment_status === "SUCCESS") return { status: "paid", gatewayStatus };
+    if (latest && latest.payment_status === "FAILED") return { status: "failed", gatewayStatus };
+    return { status: "pending", gatewayStatus };
+  },
+
+  async refund({ orderId, refundId, amount, note }) {
+    const refund = await call(() =>
+      Cashfree.PGOrderCreateRefund(CASHFREE_API_VERSION, orderId, {
+        refund_amount: amount,
+        refund_id: refundId,
+        refund_note: note,
+      })
+    );
+    return { gatewayRefundId: refund?.cf_refund_id || null };
+  },
+
+  async fetchRefund({ orderId, refundId }) {
+    try {
+      const refund = await call(() => Cashfree.PGOrderFetchRefund(CASHFREE_API_VERSION, orderId, refundId));
+      return {
+        status: REFUND_STATUSES[refund.refund_status] || "PENDING",
+        gatewayRefundId: refund.cf_refund_id || null,
+        reason: refund.status_description || null,
+      };
+    } catch (err) {
+      if (err.httpStatus !== 404) throw err;
+      return { status: "NOT_FOUND", gatewayRefundId: null, reason: null };
+    }
+  },
+};
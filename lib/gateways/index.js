@@ -0,0 +1,58 @@
+// Payment gateways share one interface so checkout, webhooks, refunds and
+// reconciliation don't depend on a specific provider:
+//   createOrder({ orderId, amount, currency, customer, returnUrl, notifyUrl })
+//     → Promise<{ gatewayOrderId, paymentSessionId, checkout }>
+//   verifyWebhook(rawBody, headers) → null | "signature_missing" | "invalid_signature"
+//   parseWebhook(rawBody) → (Promise of) one of
+//     { kind: "payment", orderId, status: "SUCCESS"|"FAILED"|"PENDING", rawStatus, eventType }
+//     { kind: "refund", refundId, status: "SUCCESS"|"FAILED"|"PENDING", reason, eventType }
+//     { kind: "ignored", eventType }
+//   fetchStatus({ orderId, gatewayOrderId }) → Promise<{ status: "paid"|"failed"|"expired"|"pending", gatewayStatus }>
+//   refund({ orderId, gatewayOrderId, refundId, amount, note }) → Promise<{ gatewayRefundId }>
+//   fetchRefund({ orderId, gatewayOrderId, refundId })
+//     → Promise<{ status: "SUCCESS"|"FAILED"|"PENDING"|"NOT_FOUND", gatewayRefundId, reason }>
+// Errors from the provider's API are thrown with `gatewayError: true`.
+
+const GATEWAYS = {
+  cashfree: () => require("./cashfree"),
+  razorpay: () => require("./razorpay"),
+  mock: () => require("./mock"),
+};
+
+const DEFAULT_GATEWAY = "cashfree";
+
+/**
+ * Name of the gateway new orders are created with (PAYMENT_GATEWAY env var).
+ * @returns {string}
+ */
+function activeGatewayName() {
+  return process.env.PAYMENT_GATEWAY || DEFAULT_GATEWAY;
+}
+
+/**
+ * Whether the mock gateway may be used. It accepts webhooks signed with a
+ * shared secret and lets buyers simulate payments, so it needs both an
+ * explicit opt-in and a secret of its own.
+ * @returns {boolean}
+ */
+function mockGatewayEnabled() {
+  return process.env.PAYMENT_GATEWAY === "mock" && Boolean(process.env.MOCK_GATEWAY_SECRET);
+}
+
+/**
+ * Get a gateway adapter by name. Orders remember the gateway they were
+ * created with, so refunds and reconciliation pass that name explicitly.
+ * @param {string} [name] - Defaults to the active gateway
+ * @returns {Object}
+ */
+function getGateway(name = activeGatewayName()) {
+  if (!GATEWAYS[name]) {
+    throw new Error(`Unknown payment gateway "${name}"`);
+  }
+  if (name === "mock" && !mockGatewayEnabled()) {
+    throw new Error("The mock payment gateway needs PAYMENT_GATEWAY=mock and MOCK_GATEWAY_SECRET");
+  }
+  return GATEWAYS[name]();
+}
+
+module.exports = { getGateway, activeGatewayName, mockGatewayEnabled, DEFAULT_GATEWAY };
@@ -0,0 +1,117 @@
+const crypto = require("crypto");
+
+// Local gateway for development and tests: no network calls except the
+// signed webhooks it sends back to this backend. State lives in memory, so
+// it only makes sense on a single long-running dev server. It is only
+// available with PAYMENT_GATEWAY=mock and a MOCK_GATEWAY_SECRET (see ./index).
+const orders = new Map();
+const refunds = new Map();
+
+function secret() {
+  return process.env.MOCK_GATEWAY_SECRET;
+}
+
+function sign(timestamp, rawBody) {
+  return crypto.createHmac("sha256", secret()).update(timestamp + rawBody).digest("base64");
+}
+
+/**
+ * POST a signed webhook to this backend's mock webhook route.
+ * @param {Object} payload - { type: "payment"|"refund", orderId?, refundId?, status }
+ * @returns {Promise<Object>} The webhook response body
+ */
+async function emitWebhook(payload) {
+  const rawBody = JSON.stringify(payload);
+  const timestamp = String(Date.now());
+  const response = await fetch(`${process.env.BACKEND_URL}/api/payment/webhook/mock`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "x-webhook-timestamp": timestamp,
+      "x-webhook-signature": sign(timestamp, rawBody),
+    },
+    body: rawBody,
+  });
+  return response.json().catch(() => ({}));
+}
+
+module.exports = {
+  name: "mock",
+
+  emitWebhook,
+
+  /**
+   * Pretend the buyer finished paying and deliver the resulting webhook.
+   * @param {string} orderId
+   * @param {"SUCCESS"|"FAILED"} status
+   * @returns {Promise<Object>} The webhook response body
+   */
+  async simulatePayment(orderId, status) {
+    orders.set(orderId, { ...(orders.get(orderId) || {}), status });
+    return emitWebhook({ type: "payment", orderId, status });
+  },
+
+  async createOrder({ orderId, amount, currency }) {
+    orders.set(orderId, { amount, currency, status: "ACTIVE" });
+    return {
+      gatewayOrderId: orderId,
+      paymentSessionId: `mock_session_${orderId}`,
+      checkout: { mock: true, simulateUrl: `/api/payment/mock/${orderId}/simulate` },
+    };
+  },
+
+  verifyWebhook(rawBody, headers) {
+    const signature = headers["x-webhook-signature"];
+    const timestamp = headers["x-webhook-timestamp"];
+    if (!signature || !timestamp) return "signature_missing";
+    if (!secret()) return "invalid_signature";
+    return sign(timestamp, rawBody) === signature ? null : "invalid_signature";
+  },
+
+  parseWebhook(rawBody) {
+    const event = JSON.parse(rawBody);
+    if (event.type === "refund") {
+      return {
+        kind: "refund",
+        eventType: "refund",
+        refundId: event.refundId || null,
+        status: event.status,
+        reason: event.reason || null,
+      };
+    }
+    return {
+      kind: "payment",
+      eventType: "payment",
+      orderId: event.orderId || null,
+      status: event.status,
+      rawStatus: event.status,
+    };
+  },
+
+  async fetchStatus({ orderId }) {
+    const order = orders.get(orderId);
+    const gatewayStatus = order ? order.status : null;
+    if (gatewayStatus === "SUCCESS") return { status: "paid", gatewayStatus };
+    if (gatewayStatus === "FAILED") return { status: "failed", gatewayStatus };
+    return { status: "pending", gatewayStatus };
+  },
+
+  // MOCK_GATEWAY_REFUND_OUTCOME=FAILED exercises the failed-refund path
+  async refund({ refundId }) {
+    const status = process.env.MOCK_GATEWAY_REFUND_OUTCOME === "FAILED" ? "FAILED" : "SUCCESS";
+    const reason = status === "FAILED" ? "Mock refund failure" : null;
+    refunds.set(refundId, { status, reason });
+    setTimeout(() => {
+      emitWebhook({ type: "refund", refundId, status, reason }).catch((err) =>
+        console.error(`[MockGateway] Refund webhook failed: ${err.message}`)
+      );
+    }, 1000);
+    return { gatewayRefundId: `MOCK_${refundId}` };
+  },
+
+  async fetchRefund({ refundId }) {
+    const refund = refunds.get(refundId);
+    if (!refund) return { status: "NOT_FOUND", gatewayRefundId: null, reason: null };
+    return { status: refund.status, gatewayRefundId: `MOCK_${refundId}`, reason: refund.reason };
+  },
+};
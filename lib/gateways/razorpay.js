@@ -0,0 +1,148 @@
+const crypto = require("crypto");
+
+const BASE_URL = "https://api.razorpay.com/v1";
+
+const PAYMENT_EVENTS = {
+  "order.paid": "SUCCESS",
+  "payment.captured": "SUCCESS",
+  "payment.failed": "FAILED",
+};
+
+const REFUND_EVENTS = {
+  "refund.processed": "SUCCESS",
+  "refund.failed": "FAILED",
+  "refund.created": "PENDING",
+};
+
+const REFUND_STATUSES = { processed: "SUCCESS", failed: "FAILED" };
+
+// Razorpay amounts are integers in the smallest currency unit
+const toSubunits = (amount) => Math.round(amount * 100);
+
+async function request(method, path, body) {
+  const auth = Buffer.from(`${process.env.RAZORPAY_KEY_ID}:${process.env.RAZORPAY_KEY_SECRET}`).toString("base64");
+  const response = await fetch(`${BASE_URL}${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", Authorization: `Basic ${auth}` },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw Object.assign(new Error(data.error?.description || `Razorpay returned ${response.status}`), {
+      gatewayError: true,
+    });
+  }
+  return data;
+}
+
+async function fetchOrderPayments(gatewayOrderId) {
+  const data = await request("GET", `/orders/${gatewayOrderId}/payments`);
+  return (data.items || []).slice().sort((a, b) => (b.created_at || 0) - (a.created_at || 0));
+}
+
+module.exports = {
+  name: "razorpay",
+
+  async createOrder({ orderId, amount, currency, customer }) {
+    const order = await request("POST", "/orders", {
+      amount: toSubunits(amount),
+      currency,
+      receipt: orderId,
+      notes: { orderId },
+    });
+    return {
+      gatewayOrderId: order.id,
+      paymentSessionId: null,
+      checkout: {
+        keyId: process.env.RAZORPAY_KEY_ID,
+        razorpayOrderId: order.id,
+        amount: order.amount,
+        currency: order.currency,
+        prefill: { name: customer.name, email: customer.email, contact: customer.phone || undefined },
+      },
+    };
+  },
+
+  // Razorpay signs the raw body with the webhook secret: hex(HMAC-SHA256)
+  verifyWebhook(rawBody, headers) {
+    const signature = headers["x-razorpay-signature"];
+    if (!signature) return "signature_missing";
+
+    const expected = Buffer.from(
+      crypto.createHmac("sha256", process.env.RAZORPAY_WEBHOOK_SECRET).update(rawBody).digest("hex")
+    );
+    const received = Buffer.from(String(signature));
+    const valid = expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    return valid ? null : "invalid_signature";
+  },
+
+  async parseWebhook(rawBody) {
+    const event = JSON.parse(rawBody);
+    const eventType = event?.event || null;
+
+    if (REFUND_EVENTS[eventType]) {
+      const refund = event.payload?.refund?.entity || {};
+      return {
+        kind: "refund",
+        eventType,
+        refundId: refund.notes?.refundId || refund.receipt || null,
+        status: REFUND_EVENTS[eventType],
+        reason: refund.error_description || null,
+      };
+    }
+
+    if (!PAYMENT_EVENTS[eventType]) {
+      return { kind: "ignored", eventType };
+    }
+
+    // order.paid carries our id as the receipt; payment events only have
+    // Razorpay's order id, so look the receipt up
+    let orderId = event.payload?.order?.entity?.receipt || null;
+    if (!orderId) {
+      const gatewayOrderId = event.payload?.payment?.entity?.order_id;
+      if (gatewayOrderId) orderId = (await request("GET", `/orders/${gatewayOrderId}`)).receipt || null;
+    }
+
+    return { kind: "payment", eventType, orderId, status: PAYMENT_EVENTS[eventType], rawStatus: eventType };
+  },
+
+  async fetchStatus({ gatewayOrderId }) {
+    const order = await request("GET", `/orders/${gatewayOrderId}`);
+    if (order.status === "paid") return { status: "paid", gatewayStatus: order.status };
+
+    // Razorpay orders never expire on their own; only attempts can fail
+    if (order.status === "attempted") {
+      const [latest] = await fetchOrderPayments(gatewayOrderId);
+      if (latest && latest.status === "captured") return { status: "paid", gatewayStatus: order.status };
+      if (latest && latest.status === "failed") return { status: "failed", gatewayStatus: order.status };
+    }
+    return { status: "pending", gatewayStatus: order.status };
+  },
+
+  async refund({ gatewayOrderId, refundId, amount, note }) {
+    const payments = await fetchOrderPayments(gatewayOrderId);
+    const captured = payments.find((p) => p.status === "captured" || p.status === "refunded");
+    if (!captured) {
+      throw Object.assign(new Error("No captured payment found for this order"), { gatewayError: true });
+    }
+
+    const refund = await request("POST", `/payments/${captured.id}/refund`, {
+      amount: toSubunits(amount),
+      receipt: refundId,
+      notes: { refundId, note },
+    });
+    return { gatewayRefundId: refund.id };
+  },
+
+  // Our refund id is the receipt, on whichever of the order's payments was refunded
+  async fetchRefund({ gatewayOrderId, refundId }) {
+    for (const payment of await fetchOrderPayments(gatewayOrderId)) {
+      const { items = [] } = await request("GET", `/payments/${payment.id}/refunds`);
+      const refund = items.find((r) => r.receipt === refundId || r.notes?.refundId === refundId);
+      if (refund) {
+        return { status: REFUND_STATUSES[refund.status] || "PENDING", gatewayRefundId: refund.id, reason: null };
+      }
+    }
+    return { status: "NOT_FOUND", gatewayRefundId: null, reason: null };
+  },
+};
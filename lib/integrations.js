@@ -0,0 +1,390 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const { db, admin } = require("./firebase");
+const { signWebhook } = require("./payouts");
+
+// Sellers' own integrations: HTTPS endpoints in `webhook_endpoints/{id}` that
+// receive the seller's events as signed JSON POSTs. Every event sent to an
+// endpoint is a `webhook_deliveries/{id}` doc, which doubles as the delivery
+// log. Emitting an event only queues its deliveries: the first attempt runs in
+// the background, and the cron route picks up whatever it doesn't finish and
+// retries failed deliveries with exponential backoff until MAX_ATTEMPTS.
+//
+// Requests are signed the way Cashfree signs its webhooks, so receivers can
+// verify both the same way: x-webhook-signature is
+// base64(HMAC-SHA256(endpoint secret, x-webhook-timestamp + raw body)).
+
+const WEBHOOK_EVENTS = {
+  "sale.completed": "A buyer paid for one of your products",
+  "refund.created": "An order for one of your products was refunded",
+  "payout.paid": "A withdrawal was paid out",
+  "payout.failed": "A withdrawal failed, or was rejected or cancelled, and returned to your wallet",
+};
+
+const TEST_EVENT = "webhook.test";
+
+const MAX_ENDPOINTS_PER_SELLER = 5;
+const MAX_ATTEMPTS = 6;
+const REQUEST_TIMEOUT_MS = 10000;
+// 30s, 2m, 8m, 32m, ~2h between attempts
+const BACKOFF_BASE_MS = 30 * 1000;
+// A claimed retry is left alone this long, in case the run that claimed it dies mid-request
+const RETRY_LEASE_MS = 2 * 60 * 1000;
+
+function integrationError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+// Loopback and private-network hosts are rejected so endpoints can't reach internal services
+const PRIVATE_HOST =
+  /^(localhost|.*\.local|.*\.internal|127\.|10\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.|169\.254\.|0\.|\[)/i;
+
+// Public names can still resolve to these (e.g. 127.0.0.1.nip.io), so every
+// address a host resolves to is checked before connecting
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+  ["224.0.0.0", 3],
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 127],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, "ipv6"));
+
+/**
+ * Resolve an endpoint's host and return the first private address it
+ * resolves to, or null when all of them are public.
+ * @param {string} url
+ * @returns {Promise<string|null>}
+ */
+async function findPrivateAddress(url) {
+  const { hostname } = new URL(url);
+  const addresses = await dns.promises.lookup(hostname, { all: true });
+  const match = addresses.find(({ address, family }) =>
+    PRIVATE_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4")
+  );
+  return match ? match.address : null;
+}
+
+/**
+ * Validate an endpoint URL. Throws an error with `status` 400 unless it is a public HTTPS URL.
+ * @param {string} value
+ * @returns {string} The normalized URL
+ */
+function parseEndpointUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value || "").trim());
+  } catch (err) {
+    throw integrationError(400, "url must be a valid URL");
+  }
+  if (url.protocol !== "https:") throw integrationError(400, "url must use https");
+  if (PRIVATE_HOST.test(url.hostname)) throw integrationError(400, "url must be a public host");
+  return url.toString();
+}
+
+/**
+ * Validate a list of event types. Throws an error with `status` 400 when empty or unknown.
+ * @param {*} value
+ * @returns {string[]}
+ */
+function parseEvents(value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw integrationError(400, "events must be a non-empty array");
+  }
+  const unknown = value.filter((event) => !WEBHOOK_EVENTS[event]);
+  if (unknown.length > 0) {
+    throw integrationError(
+      400,
+      `Unknown events: ${unknown.join(", ")}. Supported: ${Object.keys(WEBHOOK_EVENTS).join(", ")}`
+    );
+  }
+  return [...new Set(value)];
+}
+
+/**
+ * An endpoint as shown to its seller: the secret is masked.
+ * @param {FirebaseFirestore.DocumentSnapshot} doc
+ * @returns {Object}
+ */
+function publicEndpoint(doc) {
+  const { secret, ...endpoint } = doc.data();
+  return { id: doc.id, ...endpoint, secretHint: secret ? `${secret.slice(0, 10)}…${secret.slice(-4)}` : null };
+}
+
+/**
+ * Load an endpoint owned by a seller. Throws an error with `status` 404 otherwise.
+ * @param {string} sellerId
+ * @param {string} endpointId
+ * @returns {Promise<FirebaseFirestore.DocumentSnapshot>}
+ */
+async function findEndpoint(sellerId, endpointId) {
+  const doc = await db.collection("webhook_endpoints").doc(endpointId).get();
+  if (!doc.exists || doc.data().sellerId !== sellerId) throw integrationError(404, "Webhook endpoint not found");
+  return doc;
+}
+
+/**
+ * Register an endpoint. The secret is returned in full only here and on rotation.
+ * Throws an error with `status` 400 or 409 for invalid input or too many endpoints.
+ * @param {string} sellerId
+ * @param {Object} params
+ * @param {string} params.url
+ * @param {string[]} params.events
+ * @param {string} [params.description]
+ * @returns {Promise<Object>} The endpoint, including `secret`
+ */
+async function createEndpoint(sellerId, { url, events, description }) {
+  const endpoint = {
+    sellerId,
+    url: parseEndpointUrl(url),
+    events: parseEvents(events),
+    description: description ? String(description).trim().slice(0, 200) : null,
+    status: "active",
+    secret: generateSecret(),
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+
+  const existing = await db.collection("webhook_endpoints").where("sellerId", "==", sellerId).count().get();
+  if (existing.data().count >= MAX_ENDPOINTS_PER_SELLER) {
+    throw integrationError(409, `A seller can register at most ${MAX_ENDPOINTS_PER_SELLER} webhook endpoints`);
+  }
+
+  const ref = await db.collection("webhook_endpoints").add(endpoint);
+  return { id: ref.id, ...endpoint, createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() };
+}
+
+function backoffMs(attempts) {
+  return BACKOFF_BASE_MS * Math.pow(4, attempts - 1);
+}
+
+// POST one delivery attempt; never throws
+async function postDelivery(endpoint, delivery, attempt) {
+  const timestamp = String(Date.now());
+  const startedAt = Date.now();
+  try {
+    const privateAddress = await findPrivateAddress(endpoint.url);
+    if (privateAddress) throw new Error(`Host resolves to a private address (${privateAddress})`);
+
+    const response = await fetch(endpoint.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "Marketplace-Webhooks/1.0",
+        "x-webhook-id": delivery.eventId,
+        "x-webhook-event": delivery.event,
+        "x-webhook-timestamp": timestamp,
+        "x-webhook-signature": signWebhook(endpoint.secret, timestamp, delivery.payload),
+        "x-webhook-attempt": String(attempt),
+      },
+      body: delivery.payload,
+      redirect: "manual",
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    const body = await response.text().catch(() => "");
+    return {
+      ok: response.status >= 200 && response.status < 300,
+      responseStatus: response.status,
+      responseBody: body.slice(0, 1000),
+      error: null,
+      durationMs: Date.now() - startedAt,
+    };
+  } catch (err) {
+    return {
+      ok: false,
+      responseStatus: null,
+      responseBody: null,
+      error: err.name === "TimeoutError" ? `Timed out after ${REQUEST_TIMEOUT_MS / 1000}s` : err.message,
+      durationMs: Date.now() - startedAt,
+    };
+  }
+}
+
+/**
+ * Make the next attempt of a delivery and record it. Failed attempts are
+ * rescheduled with backoff; the last one marks the delivery `failed`.
+ * Test deliveries are never retried.
+ * @param {FirebaseFirestore.DocumentReference} deliveryRef
+ * @param {Object} delivery - Delivery data
+ * @param {Object} [endpointData] - Preloaded endpoint data
+ * @returns {Promise<Object>} The delivery update
+ */
+async function attemptDelivery(deliveryRef, delivery, endpointData) {
+  let endpoint = endpointData;
+  if (!endpoint) {
+    const endpointDoc = await db.collection("webhook_endpoints").doc(delivery.endpointId).get();
+    endpoint = endpointDoc.exists ? endpointDoc.data() : null;
+  }
+
+  // Deleted or disabled endpoints end their pending deliveries
+  if (!endpoint || endpoint.status !== "active") {
+    const update = { status: "failed", error: "Endpoint was deleted or disabled", nextAttemptAt: null };
+    await deliveryRef.update(update);
+    return update;
+  }
+
+  const attempt = (delivery.attempts || 0) + 1;
+  const result = await postDelivery(endpoint, delivery, attempt);
+  const retry = !result.ok && delivery.event !== TEST_EVENT && attempt < MAX_ATTEMPTS;
+
+  const update = {
+    status: result.ok ? "delivered" : retry ? "pending" : "failed",
+    attempts: attempt,
+    responseStatus: result.responseStatus,
+    responseBody: result.responseBody,
+    error: result.error,
+    durationMs: result.durationMs,
+    lastAttemptAt: admin.firestore.Timestamp.now(),
+    nextAttemptAt: retry ? admin.firestore.Timestamp.fromMillis(Date.now() + backoffMs(attempt)) : null,
+    ...(result.ok ? { deliveredAt: admin.firestore.FieldValue.serverTimestamp() } : {}),
+  };
+  await deliveryRef.update(update);
+
+  if (!result.ok) {
+    console.error(
+      `[SellerWebhooks] ${delivery.event} to ${endpoint.url} failed (attempt ${attempt}): ` +
+        `${result.error || `HTTP ${result.responseStatus}`}`
+    );
+  }
+  return update;
+}
+
+function newDelivery(endpointDoc, event, data) {
+  const eventId = `evt_${crypto.randomBytes(12).toString("hex")}`;
+  const payload = JSON.stringify({ id: eventId, type: event, createdAt: new Date().toISOString(), data });
+  return {
+    endpointId: endpointDoc.id,
+    sellerId: endpointDoc.data().sellerId,
+    event,
+    eventId,
+    payload,
+    status: "pending",
+    attempts: 0,
+    nextAttemptAt: admin.firestore.Timestamp.now(),
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+}
+
+// First attempt of a queued delivery, claimed like a retry so the cron can't send it too
+function sendQueued(deliveryRef) {
+  claimDelivery(deliveryRef)
+    .then((delivery) => delivery && attemptDelivery(deliveryRef, delivery))
+    .catch((err) => console.error(`[SellerWebhooks] Delivery ${deliveryRef.id} failed: ${err.message}`));
+}
+
+/**
+ * Queue an event for every active endpoint of a seller subscribed to it.
+ * Only the delivery docs are written before returning, so callers on the
+ * payment webhook path never wait on a seller's server.
+ * Fails silently — never crashes the main flow.
+ * @param {string} sellerId
+ * @param {string} event - A key of WEBHOOK_EVENTS
+ * @param {Object} data - Event payload
+ */
+async function emitSellerEvent(sellerId, event, data) {
+  if (!sellerId) return;
+  try {
+    const snapshot = await db
+      .collection("webhook_endpoints")
+      .where("sellerId", "==", sellerId)
+      .where("status", "==", "active")
+      .where("events", "array-contains", event)
+      .get();
+
+    if (snapshot.empty) return;
+
+    const batch = db.batch();
+    const deliveryRefs = snapshot.docs.map((endpointDoc) => {
+      const deliveryRef = db.collection("webhook_deliveries").doc();
+      batch.set(deliveryRef, newDelivery(endpointDoc, event, data));
+      return deliveryRef;
+    });
+    await batch.commit();
+    deliveryRefs.forEach(sendQueued);
+  } catch (err) {
+    console.error(`[SellerWebhooks] Failed to emit ${event} for seller ${sellerId}: ${err.message}`);
+  }
+}
+
+/**
+ * Send a test event to one endpoint right away, without retries.
+ * @param {FirebaseFirestore.DocumentSnapshot} endpointDoc - From findEndpoint()
+ * @returns {Promise<Object>} The logged delivery
+ */
+async function sendTestEvent(endpointDoc) {
+  const delivery = newDelivery(endpointDoc, TEST_EVENT, {
+    message: "This is a test event from the marketplace",
+    endpointId: endpointDoc.id,
+  });
+  const deliveryRef = await db.collection("webhook_deliveries").add(delivery);
+  // Test events also reach disabled endpoints, so sellers can check them before re-enabling
+  const result = await attemptDelivery(deliveryRef, delivery, { ...endpointDoc.data(), status: "active" });
+  return { id: deliveryRef.id, ...delivery, ...result };
+}
+
+// Push a due delivery's nextAttemptAt forward so overlapping cron runs don't both send it
+async function claimDelivery(deliveryRef) {
+  return db.runTransaction(async (tx) => {
+    const doc = await tx.get(deliveryRef);
+    if (!doc.exists) return null;
+    const delivery = doc.data();
+    if (delivery.status !== "pending" || delivery.nextAttemptAt.toMillis() > Date.now()) return null;
+    tx.update(deliveryRef, { nextAttemptAt: admin.firestore.Timestamp.fromMillis(Date.now() + RETRY_LEASE_MS) });
+    return delivery;
+  });
+}
+
+/**
+ * Retry pending deliveries whose backoff has elapsed, oldest first.
+ * @param {Object} [options]
+ * @param {number} [options.limit=50] - Max deliveries per run
+ * @returns {Promise<{ due: number, delivered: number, failed: number, rescheduled: number }>}
+ */
+async function retryDueDeliveries({ limit = 50 } = {}) {
+  const snapshot = await db
+    .collection("webhook_deliveries")
+    .where("status", "==", "pending")
+    .where("nextAttemptAt", "<=", admin.firestore.Timestamp.now())
+    .orderBy("nextAttemptAt", "asc")
+    .limit(limit)
+    .get();
+
+  const summary = { due: snapshot.size, delivered: 0, failed: 0, rescheduled: 0 };
+  for (const doc of snapshot.docs) {
+    const delivery = await claimDelivery(doc.ref);
+    if (!delivery) continue;
+    const { status } = await attemptDelivery(doc.ref, delivery);
+    if (status === "delivered") summary.delivered++;
+    else if (status === "failed") summary.failed++;
+    else summary.rescheduled++;
+  }
+  return summary;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  generateSecret,
+  parseEndpointUrl,
+  parseEvents,
+  publicEndpoint,
+  findEndpoint,
+  createEndpoint,
+  emitSellerEvent,
+  sendTestEvent,
+  retryDueDeliveries,
+};
@@ -0,0 +1,272 @@
+const { db, admin } = require("./firebase");
+const { toCsv } = require("./reports");
+const { LEDGER_CURRENCY, formatMoney } = require("./currency");
+
+// One invoice per paid gateway order: `invoices/{paymentOrderId}`, so a cart
+// checkout gets a single invoice with a line per product. Numbers come from
+// `counters/invoices` inside the same transaction that creates the invoice,
+// so they are sequential without gaps or duplicates.
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const DEFAULT_INVOICE_PREFIX = "INV";
+
+function formatNumber(prefix, sequence) {
+  return `${prefix}-${String(sequence).padStart(6, "0")}`;
+}
+
+// Tax is taken out of the paid amount when prices include it (the default)
+function taxFor(amount, rate, inclusive) {
+  if (!rate) return 0;
+  return round2(inclusive ? amount - amount / (1 + rate / 100) : amount * (rate / 100));
+}
+
+/**
+ * Issue the invoice for a completed gateway order, or return the existing
+ * one. Only completed line items are invoiced. Brand and tax settings from
+ * `config/app_config` are copied onto the invoice so later config changes
+ * don't alter issued invoices.
+ * @param {string} paymentOrderId
+ * @returns {Promise<Object|null>} The invoice, or null when nothing is invoiceable
+ */
+async function issueInvoice(paymentOrderId) {
+  const invoiceRef = db.collection("invoices").doc(paymentOrderId);
+  const existing = await invoiceRef.get();
+  if (existing.exists) return existing.data();
+
+  const orderDoc = await db.collection("orders").doc(paymentOrderId).get();
+  let orders;
+  if (orderDoc.exists) {
+    orders = [{ orderId: orderDoc.id, ...orderDoc.data() }];
+  } else {
+    const snapshot = await db.collection("orders").where("paymentOrderId", "==", paymentOrderId).get();
+    orders = snapshot.docs.map((doc) => ({ orderId: doc.id, ...doc.data() }));
+  }
+
+  // Refunded items were completed (and paid) before the refund, so they stay on the invoice
+  const invoiced = orders.filter((o) => o.status === "completed" || o.status === "refunded");
+  if (invoiced.length === 0) return null;
+
+  const buyerId = invoiced[0].buyerId;
+  const sellerIds = [...new Set(invoiced.map((o) => o.sellerId))];
+  const productIds = [...new Set(invoiced.map((o) => o.productId))];
+
+  const [configDoc, buyerDoc, sellerDocs, productDocs] = await Promise.all([
+    db.collection("config").doc("app_config").get(),
+    db.collection("users").doc(buyerId).get(),
+    db.getAll(...sellerIds.map((id) => db.collection("users").doc(id))),
+    db.getAll(...productIds.map((id) => db.collection("products").doc(id))),
+  ]);
+
+  const config = configDoc.exists ? configDoc.data() : {};
+  const taxRate = parseFloat(config.taxRate) || 0;
+  const taxInclusive = config.taxInclusive !== false;
+  const sellers = Object.fromEntries(sellerDocs.map((d) => [d.id, d.exists ? d.data() : {}]));
+  const products = Object.fromEntries(productDocs.map((d) => [d.id, d.exists ? d.data() : {}]));
+  const buyer = buyerDoc.exists ? buyerDoc.data() : {};
+
+  const items = invoiced.map((order) => {
+    const unitPrice = order.originalAmount || order.amount;
+    return {
+      orderId: order.orderId,
+      productId: order.productId,
+      title: products[order.productId].title || "Deleted product",
+      sellerId: order.sellerId,
+      sellerName: sellers[order.sellerId].fullName || null,
+      sellerEmail: sellers[order.sellerId].email || null,
+      unitPrice,
+      discount: order.discountAmount || 0,
+      amount: order.amount,
+      tax: taxFor(order.amount, taxRate, taxInclusive),
+      platformFee: order.platformFee || 0,
+    };
+  });
+
+  const sum = (field) => round2(items.reduce((total, item) => total + item[field], 0));
+  const tax = sum("tax");
+  const amountPaid = sum("amount");
+
+  const invoice = {
+    paymentOrderId,
+    buyer: { id: buyerId, name: buyer.fullName || null, email: buyer.email || null },
+    items,
+    couponCode: invoiced[0].couponCode || null,
+    subtotal: sum("unitPrice"),
+    discount: sum("discount"),
+    tax: { label: config.taxLabel || "Tax", rate: taxRate, inclusive: taxInclusive, amount: tax },
+    // Platform fees are settled in the ledger currency, everything else is what the buyer paid
+    platformFee: sum("platformFee"),
+    total: taxInclusive ? amountPaid : round2(amountPaid + tax),
+    currency: invoiced[0].currency || LEDGER_CURRENCY,
+    ledgerCurrency: LEDGER_CURRENCY,
+    brand: {
+      name: config.brandName || null,
+      logoUrl: config.brandLogoUrl || null,
+      address: config.brandAddress || null,
+      email: config.adminEmail || null,
+      phone: config.adminPhone || null,
+      taxId: config.taxId || null,
+    },
+    paidAt: invoiced[0].completedAt || null,
+  };
+
+  const counterRef = db.collection("counters").doc("invoices");
+  return db.runTransaction(async (tx) => {
+    const [current, counterDoc] = await Promise.all([tx.get(invoiceRef), tx.get(counterRef)]);
+    if (current.exists) return current.data();
+
+    const sequence = (counterDoc.exists ? counterDoc.data().last || 0 : 0) + 1;
+    const issued = {
+      ...invoice,
+      number: formatNumber(config.invoicePrefix || DEFAULT_INVOICE_PREFIX, sequence),
+      sequence,
+      issuedAt: admin.firestore.Timestamp.now(),
+    };
+
+    tx.set(counterRef, { last: sequence }, { merge: true });
+    tx.set(invoiceRef, issued);
+    invoiced.forEach((order) => {
+      tx.update(db.collection("orders").doc(order.orderId), { invoiceNumber: issued.number });
+    });
+    return issued;
+  });
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const formatDate = (ts) => (ts && ts.toDate ? ts.toDate().toISOString().split("T")[0] : "");
+
+/**
+ * Render an invoice as a self-contained HTML section.
+ * @param {Object} invoice
+ * @returns {string}
+ */
+function renderInvoiceSection(invoice) {
+  const { brand, buyer, tax } = invoice;
+  const money = (amount) => formatMoney(amount, invoice.currency);
+  const fee = formatMoney(invoice.platformFee, invoice.ledgerCurrency || LEDGER_CURRENCY);
+  const discountLabel = invoice.couponCode ? `Discount (${escapeHtml(invoice.couponCode)})` : "Discount";
+  const rows = invoice.items
+    .map(
+      (item) => `
+        <tr>
+          <td>${escapeHtml(item.title)}<div class="muted">Sold by ${escapeHtml(item.sellerName || item.sellerId)}</div></td>
+          <td class="num">${money(item.unitPrice)}</td>
+          <td class="num">${item.discount ? "−" + money(item.discount) : ""}</td>
+          <td class="num">${money(item.amount)}</td>
+        </tr>`
+    )
+    .join("");
+
+  return `
+  <section class="invoice">
+    <header>
+      <div>
+        ${brand.logoUrl ? `<img src="${escapeHtml(brand.logoUrl)}" alt="" class="logo">` : ""}
+        <h1>${escapeHtml(brand.name || "Invoice")}</h1>
+        <div class="muted">${escapeHtml(brand.address)}</div>
+        <div class="muted">${escapeHtml([brand.email, brand.phone].filter(Boolean).join(" · "))}</div>
+        ${brand.taxId ? `<div class="muted">Tax ID: ${escapeHtml(brand.taxId)}</div>` : ""}
+      </div>
+      <div class="meta">
+        <div><strong>Invoice ${escapeHtml(invoice.number)}</strong></div>
+        <div>Issued ${formatDate(invoice.issuedAt)}</div>
+        <div>Order ${escapeHtml(invoice.paymentOrderId)}</div>
+      </div>
+    </header>
+    <p><strong>Billed to</strong><br>${escapeHtml(buyer.name)}<br>${escapeHtml(buyer.email)}</p>
+    <table>
+      <thead><tr><th>Item</th><th class="num">Price</th><th class="num">Discount</th><th class="num">Amount</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <table class="totals">
+      <tr><td>Subtotal</td><td class="num">${money(invoice.subtotal)}</td></tr>
+      ${invoice.discount ? `<tr><td>${discountLabel}</td><td class="num">−${money(invoice.discount)}</td></tr>` : ""}
+      ${tax.rate ? `<tr><td>${escapeHtml(tax.label)} ${tax.rate}%${tax.inclusive ? " (included)" : ""}</td><td class="num">${money(tax.amount)}</td></tr>` : ""}
+      <tr class="grand"><td>Total paid</td><td class="num">${money(invoice.total)}</td></tr>
+      <tr><td class="muted">Includes marketplace fee</td><td class="num muted">${fee}</td></tr>
+    </table>
+  </section>`;
+}
+
+/**
+ * Render one or more invoices as a printable HTML document (print to PDF
+ * from the browser). Each invoice starts on a new page.
+ * @param {Object[]} invoices
+ * @returns {string}
+ */
+function renderInvoicesHtml(invoices) {
+  const title = invoices.length === 1 ? `Invoice ${invoices[0].number}` : `${invoices.length} invoices`;
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; color: #222; margin: 0; }
+    .invoice { max-width: 760px; margin: 32px auto; padding: 32px; border: 1px solid #e5e5e5; page-break-after: always; }
+    header { display: flex; justify-content: space-between; gap: 24px; margin-bottom: 24px; }
+    h1 { font-size: 22px; margin: 8px 0 4px; }
+    .logo { max-height: 48px; }
+    .meta { text-align: right; }
+    .muted { color: #777; font-size: 12px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+    th, td { padding: 8px; border-bottom: 1px solid #eee; text-align: left; vertical-align: top; }
+    .num { text-align: right; white-space: nowrap; }
+    .totals { width: 50%; margin-left: auto; }
+    .grand td { font-weight: bold; border-top: 2px solid #222; }
+    @media print { .invoice { border: none; margin: 0 auto; } }
+  </style>
+</head>
+<body>${invoices.map(renderInvoiceSection).join("")}
+</body>
+</html>`;
+}
+
+const CSV_COLUMNS = [
+  ["number", "Invoice"],
+  ["issuedAt", "Issued"],
+  ["paymentOrderId", "Payment order"],
+  ["orderId", "Order"],
+  ["buyerName", "Buyer"],
+  ["buyerEmail", "Buyer email"],
+  ["title", "Item"],
+  ["sellerId", "Seller ID"],
+  ["sellerName", "Seller"],
+  ["unitPrice", "Price"],
+  ["discount", "Discount"],
+  ["tax", "Tax"],
+  ["amount", "Amount"],
+  ["currency", "Currency"],
+  ["platformFee", "Platform fee"],
+  ["ledgerCurrency", "Fee currency"],
+];
+
+/**
+ * Render invoices as CSV with one row per line item, for bookkeeping exports.
+ * @param {Object[]} invoices
+ * @returns {string}
+ */
+function invoicesToCsv(invoices) {
+  const rows = invoices.flatMap((invoice) =>
+    invoice.items.map((item) => ({
+      ...item,
+      number: invoice.number,
+      issuedAt: formatDate(invoice.issuedAt),
+      paymentOrderId: invoice.paymentOrderId,
+      buyerName: invoice.buyer.name,
+      buyerEmail: invoice.buyer.email,
+      currency: invoice.currency,
+      ledgerCurrency: invoice.ledgerCurrency || LEDGER_CURRENCY,
+    }))
+  );
+  return toCsv({ columns: CSV_COLUMNS, rows });
+}
+
+module.exports = { issueInvoice, renderInvoicesHtml, invoicesToCsv };
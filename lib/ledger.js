@@ -0,0 +1,188 @@
+const { db, admin } = require("./firebase");
+const { LEDGER_CURRENCY } = require("./currency");
+
+// Ledger accounts. Seller accounts are scoped by the entry's sellerId;
+// the rest are platform-wide or external counterparties.
+const ACCOUNTS = {
+  SELLER_WALLET: "seller_wallet",
+  SELLER_PENDING: "seller_pending",
+  PLATFORM_REVENUE: "platform_revenue",
+  GATEWAY: "gateway",
+  PAYOUTS: "payouts",
+  ADJUSTMENTS: "adjustments",
+};
+
+const { AggregateField } = admin.firestore;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Add one double-entry posting to a batch or transaction. Every entry moves
+ * `amount` from the debit account to the credit account; walletDelta and
+ * pendingDelta record the net effect on the seller's balances so a balance
+ * can be rebuilt by summing them.
+ * @param {FirebaseFirestore.WriteBatch|FirebaseFirestore.Transaction} writer
+ * @param {Object} entry
+ * @param {string} entry.sellerId
+ * @param {string} entry.type - sale, commission, withdrawal_hold, withdrawal_release, withdrawal_paid, refund, commission_reversal, adjustment, opening_balance
+ * @param {number} entry.amount - Positive amount moved
+ * @param {string} entry.debit - Account the amount leaves
+ * @param {string} entry.credit - Account the amount enters
+ * @param {Object} [entry.reference] - Related ids, e.g. { orderId } or { withdrawalId }
+ * @param {string} [entry.description]
+ * @param {Object} [entry.conversion] - Original { amount, currency, exchangeRate } when paid in another currency
+ */
+function addLedgerEntry(
+  writer,
+  { sellerId, type, amount, debit, credit, reference = {}, description = null, conversion = null }
+) {
+  const value = round2(amount);
+  if (!value) return;
+
+  const delta = (account) => (credit === account ? value : 0) - (debit === account ? value : 0);
+
+  writer.set(db.collection("ledger_entries").doc(), {
+    sellerId,
+    type,
+    amount: value,
+    debitAccount: debit,
+    creditAccount: credit,
+    walletDelta: delta(ACCOUNTS.SELLER_WALLET),
+    pendingDelta: delta(ACCOUNTS.SELLER_PENDING),
+    reference,
+    description,
+    currency: LEDGER_CURRENCY,
+    conversion,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+/**
+ * Post a completed sale: the gross amount into the seller wallet, then the
+ * platform commission out of it. Amounts are in the ledger currency.
+ * @param {FirebaseFirestore.WriteBatch|FirebaseFirestore.Transaction} writer
+ * @param {Object} sale - { sellerId, orderId, amount, platformFee, conversion? }
+ */
+function addSaleEntries(writer, { sellerId, orderId, amount, platformFee, conversion = null }) {
+  addLedgerEntry(writer, {
+    sellerId,
+    type: "sale",
+    amount,
+    debit: ACCOUNTS.GATEWAY,
+    credit: ACCOUNTS.SELLER_WALLET,
+    reference: { orderId },
+    conversion,
+  });
+  addLedgerEntry(writer, {
+    sellerId,
+    type: "commission",
+    amount: platformFee,
+    debit: ACCOUNTS.SELLER_WALLET,
+    credit: ACCOUNTS.PLATFORM_REVENUE,
+    reference: { orderId },
+  });
+}
+
+/**
+ * Post a refund, or its restoration when the gateway reports the refund failed.
+ * @param {FirebaseFirestore.WriteBatch|FirebaseFirestore.Transaction} writer
+ * @param {Object} refund - { sellerId, orderId, refundId, amount, platformFeeReversed, conversion? }
+ * @param {boolean} [restore=false] - Post the opposite entries
+ */
+function addRefundEntries(
+  writer,
+  { sellerId, orderId, refundId, amount, platformFeeReversed, conversion = null },
+  restore = false
+) {
+  const reference = { orderId, refundId };
+  addLedgerEntry(writer, {
+    sellerId,
+    type: restore ? "refund_reversal" : "refund",
+    amount,
+    debit: restore ? ACCOUNTS.GATEWAY : ACCOUNTS.SELLER_WALLET,
+    credit: restore ? ACCOUNTS.SELLER_WALLET : ACCOUNTS.GATEWAY,
+    reference,
+    conversion,
+  });
+  addLedgerEntry(writer, {
+    sellerId,
+    type: restore ? "commission" : "commission_reversal",
+    amount: platformFeeReversed,
+    debit: restore ? ACCOUNTS.SELLER_WALLET : ACCOUNTS.PLATFORM_REVENUE,
+    credit: restore ? ACCOUNTS.PLATFORM_REVENUE : ACCOUNTS.SELLER_WALLET,
+    reference,
+  });
+}
+
+function totalsQuery(sellerId) {
+  return db
+    .collection("ledger_entries")
+    .where("sellerId", "==", sellerId)
+    .aggregate({
+      wallet: AggregateField.sum("walletDelta"),
+      pending: AggregateField.sum("pendingDelta"),
+      entries: AggregateField.count(),
+    });
+}
+
+function readTotals(snapshot) {
+  const { wallet, pending, entries } = snapshot.data();
+  return { wallet: round2(wallet || 0), pending: round2(pending || 0), entries };
+}
+
+/**
+ * A seller's balances rebuilt from the ledger, summed by Firestore.
+ * @param {string} sellerId
+ * @returns {Promise<{ wallet: number, pending: number, entries: number }>}
+ */
+async function ledgerTotals(sellerId) {
+  return readTotals(await totalsQuery(sellerId).get());
+}
+
+/**
+ * Post `opening_balance` entries for the part of a seller's balances that
+ * predates the ledger, so the ledger sums to the stored wallet and pending
+ * withdrawal. Runs once per seller; `ledgerOpenedAt` on the user marks it.
+ * @param {string} sellerId
+ * @returns {Promise<{ wallet: number, pending: number }|null>} The opening amounts, or null when already opened
+ */
+async function postOpeningBalance(sellerId) {
+  const sellerRef = db.collection("users").doc(sellerId);
+
+  return db.runTransaction(async (tx) => {
+    const [sellerDoc, totalsSnapshot] = await Promise.all([tx.get(sellerRef), tx.get(totalsQuery(sellerId))]);
+    if (!sellerDoc.exists || sellerDoc.data().ledgerOpenedAt) return null;
+
+    const seller = sellerDoc.data();
+    const totals = readTotals(totalsSnapshot);
+    const opening = {
+      wallet: round2((seller.walletBalance || 0) - totals.wallet),
+      pending: round2((seller.pendingWithdrawal || 0) - totals.pending),
+    };
+
+    [
+      [opening.wallet, ACCOUNTS.SELLER_WALLET],
+      [opening.pending, ACCOUNTS.SELLER_PENDING],
+    ].forEach(([amount, account]) => {
+      addLedgerEntry(tx, {
+        sellerId,
+        type: "opening_balance",
+        amount: Math.abs(amount),
+        debit: amount > 0 ? ACCOUNTS.ADJUSTMENTS : account,
+        credit: amount > 0 ? account : ACCOUNTS.ADJUSTMENTS,
+        description: "Balance from before the ledger",
+      });
+    });
+    tx.update(sellerRef, { ledgerOpenedAt: admin.firestore.FieldValue.serverTimestamp() });
+    return opening;
+  });
+}
+
+module.exports = {
+  ACCOUNTS,
+  addLedgerEntry,
+  addSaleEntries,
+  addRefundEntries,
+  ledgerTotals,
+  postOpeningBalance,
+};
@@ -27,6 +27,25 @@ async function authenticateUser(req, res, next) {
   }
 }
 
+/**
+ * Like authenticateUser, but for public routes that show more to some callers:
+ * attaches the decoded user to req.user when a valid Bearer token is sent and
+ * otherwise carries on anonymously.
+ */
+async function identifyUser(req, res, next) {
+  const authHeader = req.headers.authorization;
+  const token = authHeader && authHeader.startsWith("Bearer ") ? authHeader.split("Bearer ")[1].trim() : "";
+
+  if (token) {
+    try {
+      req.user = await verifyToken(token);
+    } catch (err) {
+      console.error(`[Auth] Token verification failed: ${err.message}`);
+    }
+  }
+  return next();
+}
+
 /**
  * Verifies the user is authenticated and matches the configured admin email.
  * Must be used AFTER authenticateUser or it will run authenticateUser first.
@@ -40,4 +59,18 @@ async function authenticateAdmin(req, res, next) {
   });
 }
 
-module.exports = { authenticateUser, authenticateAdmin };
+/**
+ * Verifies a scheduled-job request carries the shared CRON_SECRET as a Bearer token
+ * (the header Vercel Cron sends). Rejects everything when CRON_SECRET is unset.
+ */
+function authenticateCron(req, res, next) {
+  const secret = process.env.CRON_SECRET;
+  const authHeader = req.headers.authorization || "";
+
+  if (!secret || authHeader !== `Bearer ${secret}`) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  return next();
+}
+
+module.exports = { authenticateUser, identifyUser, authenticateAdmin, authenticateCron };
@@ -0,0 +1,332 @@
+const { db, admin, sendFCMToUser } = require("./firebase");
+const { encodeCursor, decodeCursor } = require("./pagination");
+const { sendEmail } = require("./email");
+
+// The `notifications` collection is every user's inbox. Direct, role and
+// transactional notifications carry the recipient's `userId` and their own
+// `isRead` flag. Broadcasts are a single doc with `userId: null`, so each
+// user's read and deleted broadcasts are tracked in
+// `notification_state/{uid}` instead: `readAllAt` covers everything up to
+// "mark all read", and `readBroadcastIds` the broadcasts read one by one since.
+
+// Notification types, as stored in `type`
+const NOTIFICATION_TYPES = {
+  SALE: "sale",
+  PURCHASE: "purchase",
+  PAYMENT_FAILED: "payment_failed",
+  REFUND: "refund",
+  WITHDRAWAL: "withdrawal",
+  PRODUCT_STATUS: "product_status",
+  REVIEW_REPLY: "review_reply",
+  DIRECT: "direct",
+  ROLE: "role",
+  BROADCAST: "broadcast",
+  CAMPAIGN: "campaign",
+};
+
+// Delivery channels a user can pick per event. The inbox always keeps a copy.
+const CHANNELS = ["push", "email", "both", "none"];
+
+// Events users set preferences for, with their default channel.
+// Admin messages (direct, role, broadcast and campaigns) share one preference.
+const NOTIFICATION_EVENTS = {
+  sale: { label: "Sales of your products", defaultChannel: "both" },
+  purchase: { label: "Purchase confirmations and downloads", defaultChannel: "both" },
+  payment_failed: { label: "Failed payments", defaultChannel: "both" },
+  refund: { label: "Refunds", defaultChannel: "both" },
+  withdrawal: { label: "Withdrawals", defaultChannel: "both" },
+  product_status: { label: "Product approvals and removals", defaultChannel: "both" },
+  review_reply: { label: "Replies to your reviews", defaultChannel: "push" },
+  admin_message: { label: "Messages from the marketplace", defaultChannel: "push" },
+};
+
+const ADMIN_MESSAGE_TYPES = [
+  NOTIFICATION_TYPES.DIRECT,
+  NOTIFICATION_TYPES.ROLE,
+  NOTIFICATION_TYPES.BROADCAST,
+  NOTIFICATION_TYPES.CAMPAIGN,
+];
+
+const eventFor = (type) => (ADMIN_MESSAGE_TYPES.includes(type) ? "admin_message" : type);
+
+/**
+ * A user's channel for every event, with defaults filled in.
+ * @param {Object} user - User data
+ * @returns {Object<string, string>}
+ */
+function preferencesOf(user) {
+  const saved = (user && user.notificationPreferences) || {};
+  return Object.fromEntries(
+    Object.entries(NOTIFICATION_EVENTS).map(([event, { defaultChannel }]) => [
+      event,
+      CHANNELS.includes(saved[event]) ? saved[event] : defaultChannel,
+    ])
+  );
+}
+
+/**
+ * Which channels a notification type goes out on for a user.
+ * @param {Object} user - User data
+ * @param {string} type - One of NOTIFICATION_TYPES
+ * @returns {{ push: boolean, email: boolean }}
+ */
+function channelsFor(user, type) {
+  const channel = preferencesOf(user)[eventFor(type)] || "push";
+  return { push: channel === "push" || channel === "both", email: channel === "email" || channel === "both" };
+}
+
+const toMillis = (ts) => (ts && ts.toMillis ? ts.toMillis() : 0);
+
+/**
+ * Store a notification in the user's inbox, then deliver it by push and/or
+ * email according to the user's preferences.
+ * Fails silently — never crashes the main flow.
+ * @param {string} userId
+ * @param {Object} notification
+ * @param {string} notification.type - One of NOTIFICATION_TYPES
+ * @param {string} notification.title
+ * @param {string} notification.body
+ * @param {Object} [notification.data] - Key/value payload for the client, e.g. { orderId }
+ * @param {Object} [notification.email] - { template, data } for lib/email.js; defaults to a generic email
+ */
+async function notifyUser(userId, { type, title, body, data = {}, email = null }) {
+  if (!userId) return;
+  let user = {};
+  try {
+    const [userDoc] = await Promise.all([
+      db.collection("users").doc(userId).get(),
+      db.collection("notifications").add({
+        userId,
+        title,
+        body,
+        type,
+        data,
+        isRead: false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      }),
+    ]);
+    user = userDoc.exists ? userDoc.data() : {};
+  } catch (err) {
+    console.error(`[Notifications] Failed to store ${type} notification for ${userId}: ${err.message}`);
+  }
+
+  const channels = channelsFor(user, type);
+  if (channels.push) {
+    await sendFCMToUser(userId, title, body, { type, ...data });
+  }
+  if (channels.email && user.email) {
+    await sendEmail({
+      to: user.email,
+      template: email ? email.template : "generic",
+      data: email ? email.data : { title, body },
+    });
+  }
+}
+
+async function loadInboxState(userId) {
+  const stateDoc = await db.collection("notification_state").doc(userId).get();
+  const state = stateDoc.exists ? stateDoc.data() : {};
+  return {
+    readAllAt: state.readAllAt || null,
+    readBroadcastIds: state.readBroadcastIds || [],
+    hiddenBroadcastIds: state.hiddenBroadcastIds || [],
+  };
+}
+
+function isBroadcastRead(notification, state) {
+  return (
+    (state.readAllAt && toMillis(notification.createdAt) <= toMillis(state.readAllAt)) ||
+    state.readBroadcastIds.includes(notification.id)
+  );
+}
+
+/**
+ * Unread counts for a user's inbox.
+ * @param {string} userId
+ * @param {Object} [state] - Preloaded inbox state
+ * @returns {Promise<{ total: number, direct: number, broadcasts: number }>}
+ */
+async function countUnread(userId, state) {
+  const inbox = state || (await loadInboxState(userId));
+  const notifications = db.collection("notifications");
+
+  let broadcastQuery = notifications.where("userId", "==", null);
+  if (inbox.readAllAt) broadcastQuery = broadcastQuery.where("createdAt", ">", inbox.readAllAt);
+
+  const [directSnap, broadcastSnap] = await Promise.all([
+    notifications.where("userId", "==", userId).where("isRead", "==", false).count().get(),
+    broadcastQuery.count().get(),
+  ]);
+
+  // Individually read (and deleted) broadcasts are always newer than readAllAt
+  const direct = directSnap.data().count;
+  const broadcasts = Math.max(broadcastSnap.data().count - inbox.readBroadcastIds.length, 0);
+  return { total: direct + broadcasts, direct, broadcasts };
+}
+
+/**
+ * One page of a user's inbox, newest first: their own notifications merged
+ * with broadcasts, each with a per-user `isRead`.
+ * Throws an error with `status` 400 when the cursor is malformed.
+ * @param {string} userId
+ * @param {Object} options
+ * @param {string} [options.cursor] - nextCursor from the previous page
+ * @param {number} options.limit
+ * @param {boolean} [options.unreadOnly=false]
+ * @returns {Promise<{ notifications: Object[], nextCursor: string|null, unread: Object }>}
+ */
+async function listNotifications(userId, { cursor, limit, unreadOnly = false }) {
+  let before = null;
+  if (cursor) {
+    ({ before } = decodeCursor(cursor));
+    if (!Number.isInteger(before)) throw Object.assign(new Error("Invalid cursor"), { status: 400 });
+  }
+
+  const state = await loadInboxState(userId);
+  const notifications = db.collection("notifications");
+
+  let direct = notifications.where("userId", "==", userId);
+  if (unreadOnly) direct = direct.where("isRead", "==", false);
+  let broadcasts = notifications.where("userId", "==", null);
+  if (unreadOnly && state.readAllAt) broadcasts = broadcasts.where("createdAt", ">", state.readAllAt);
+
+  const page = (query, size) => {
+    let ordered = query.orderBy("createdAt", "desc");
+    if (before) ordered = ordered.where("createdAt", "<", admin.firestore.Timestamp.fromMillis(before));
+    return ordered.limit(size).get();
+  };
+
+  // Over-fetch broadcasts by the number this user may filter out
+  const skippable = state.hiddenBroadcastIds.length + (unreadOnly ? state.readBroadcastIds.length : 0);
+  const [directSnap, broadcastSnap, unread] = await Promise.all([
+    page(direct, limit + 1),
+    page(broadcasts, limit + 1 + skippable),
+    countUnread(userId, state),
+  ]);
+
+  const merged = [
+    ...directSnap.docs.map((doc) => ({ id: doc.id, ...doc.data() })),
+    ...broadcastSnap.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .filter((n) => !state.hiddenBroadcastIds.includes(n.id))
+      .map((n) => ({ ...n, isRead: Boolean(isBroadcastRead(n, state)) }))
+      .filter((n) => !unreadOnly || !n.isRead),
+  ].sort((a, b) => toMillis(b.createdAt) - toMillis(a.createdAt));
+
+  const items = merged.slice(0, limit);
+  const nextCursor =
+    merged.length > limit ? encodeCursor({ before: toMillis(items[items.length - 1].createdAt) }) : null;
+
+  return { notifications: items, nextCursor, unread };
+}
+
+/**
+ * Load a notification the user may act on: their own, or a broadcast.
+ * Returns null for missing notifications and other users' notifications.
+ * @param {string} userId
+ * @param {string} notificationId
+ * @returns {Promise<Object|null>}
+ */
+async function findNotification(userId, notificationId) {
+  const doc = await db.collection("notifications").doc(notificationId).get();
+  if (!doc.exists) return null;
+  const notification = { id: doc.id, ref: doc.ref, ...doc.data() };
+  if (notification.userId !== null && notification.userId !== userId) return null;
+  return notification;
+}
+
+/**
+ * Mark one notification read for a user.
+ * @param {string} userId
+ * @param {Object} notification - From findNotification()
+ */
+async function markRead(userId, notification) {
+  if (notification.userId === userId) {
+    if (!notification.isRead) {
+      await notification.ref.update({ isRead: true, readAt: admin.firestore.FieldValue.serverTimestamp() });
+    }
+    return;
+  }
+
+  const state = await loadInboxState(userId);
+  if (isBroadcastRead(notification, state)) return;
+  await db
+    .collection("notification_state")
+    .doc(userId)
+    .set({ readBroadcastIds: admin.firestore.FieldValue.arrayUnion(notification.id) }, { merge: true });
+}
+
+/**
+ * Mark every notification in a user's inbox read.
+ * @param {string} userId
+ * @returns {Promise<number>} Number of the user's own notifications updated
+ */
+async function markAllRead(userId) {
+  const snapshot = await db
+    .collection("notifications")
+    .where("userId", "==", userId)
+    .where("isRead", "==", false)
+    .get();
+
+  // Firestore batches are capped at 500 writes
+  for (let i = 0; i < snapshot.docs.length; i += 500) {
+    const batch = db.batch();
+    snapshot.docs.slice(i, i + 500).forEach((doc) => {
+      batch.update(doc.ref, { isRead: true, readAt: admin.firestore.FieldValue.serverTimestamp() });
+    });
+    await batch.commit();
+  }
+
+  await db.collection("notification_state").doc(userId).set(
+    {
+      readAllAt: admin.firestore.Timestamp.now(),
+      readBroadcastIds: [],
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    },
+    { merge: true }
+  );
+
+  return snapshot.size;
+}
+
+/**
+ * Delete a notification from a user's inbox. A user's own notification is
+ * deleted; a broadcast is only hidden (and counted as read) for this user.
+ * @param {string} userId
+ * @param {Object} notification - From findNotification()
+ */
+async function deleteNotification(userId, notification) {
+  if (notification.userId === userId) {
+    await notification.ref.delete();
+    return;
+  }
+
+  const state = await loadInboxState(userId);
+  await db
+    .collection("notification_state")
+    .doc(userId)
+    .set(
+      {
+        hiddenBroadcastIds: admin.firestore.FieldValue.arrayUnion(notification.id),
+        ...(isBroadcastRead(notification, state)
+          ? {}
+          : { readBroadcastIds: admin.firestore.FieldValue.arrayUnion(notification.id) }),
+      },
+      { merge: true }
+    );
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_EVENTS,
+  CHANNELS,
+  preferencesOf,
+  channelsFor,
+  notifyUser,
+  countUnread,
+  listNotifications,
+  findNotification,
+  markRead,
+  markAllRead,
+  deleteNotification,
+};
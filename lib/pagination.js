@@ -0,0 +1,127 @@
+// Listing endpoints page with opaque cursors: base64url-encoded JSON that
+// clients pass back verbatim as ?cursor=. Firestore-backed lists encode the
+// id of the last document returned; in-memory lists encode an offset.
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function cursorError() {
+  return Object.assign(new Error("Invalid cursor"), { status: 400 });
+}
+
+/**
+ * Clamp a ?limit= query value to [1, max].
+ * @param {string|number} value
+ * @param {number} [fallback=DEFAULT_PAGE_SIZE]
+ * @param {number} [max=MAX_PAGE_SIZE]
+ * @returns {number}
+ */
+function parseLimit(value, fallback = DEFAULT_PAGE_SIZE, max = MAX_PAGE_SIZE) {
+  return Math.min(Math.max(parseInt(value) || fallback, 1), max);
+}
+
+function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+function decodeCursor(token) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(token), "base64url").toString("utf8"));
+    if (payload && typeof payload === "object") return payload;
+  } catch (err) {
+    // fall through
+  }
+  throw cursorError();
+}
+
+async function cursorDocument(collection, cursor) {
+  const { id } = decodeCursor(cursor);
+  if (typeof id !== "string" || !id) throw cursorError();
+
+  const cursorDoc = await collection.doc(id).get();
+  if (!cursorDoc.exists) throw cursorError();
+  return cursorDoc;
+}
+
+/**
+ * Run one page of an ordered Firestore query.
+ * Throws an error with `status` 400 when the cursor is malformed or stale.
+ * @param {FirebaseFirestore.Query} query - Filtered and ordered, without limit
+ * @param {FirebaseFirestore.CollectionReference} collection - Collection the cursor's document lives in
+ * @param {Object} options
+ * @param {string} [options.cursor] - nextCursor from the previous page
+ * @param {number} options.limit
+ * @returns {Promise<{ docs: FirebaseFirestore.QueryDocumentSnapshot[], nextCursor: string|null }>}
+ */
+async function paginateQuery(query, collection, { cursor, limit }) {
+  if (cursor) query = query.startAfter(await cursorDocument(collection, cursor));
+
+  const snapshot = await query.limit(limit + 1).get();
+  const docs = snapshot.docs.slice(0, limit);
+  const nextCursor = snapshot.docs.length > limit ? encodeCursor({ id: docs[docs.length - 1].id }) : null;
+  return { docs, nextCursor };
+}
+
+/**
+ * Like paginateQuery(), but only keeps documents that pass `filter`, for a
+ * condition Firestore can't apply together with the query's ordering. At
+ * most `maxScan` documents are read per page, so a page can come back short
+ * (with a nextCursor) when matches are sparse.
+ * @param {FirebaseFirestore.Query} query - Filtered and ordered, without limit
+ * @param {FirebaseFirestore.CollectionReference} collection
+ * @param {Object} options
+ * @param {string} [options.cursor]
+ * @param {number} options.limit
+ * @param {function(FirebaseFirestore.QueryDocumentSnapshot): boolean} options.filter
+ * @param {number} [options.maxScan=500]
+ * @returns {Promise<{ docs: FirebaseFirestore.QueryDocumentSnapshot[], nextCursor: string|null }>}
+ */
+async function paginateFiltered(query, collection, { cursor, limit, filter, maxScan = 500 }) {
+  let last = cursor ? await cursorDocument(collection, cursor) : null;
+  const docs = [];
+  let scanned = 0;
+
+  while (scanned < maxScan) {
+    const batchSize = Math.min(Math.max(limit * 2, 50), maxScan - scanned);
+    const snapshot = await (last ? query.startAfter(last) : query).limit(batchSize).get();
+
+    for (const doc of snapshot.docs) {
+      scanned++;
+      last = doc;
+      if (filter(doc)) docs.push(doc);
+      if (docs.length === limit) return { docs, nextCursor: encodeCursor({ id: doc.id }) };
+    }
+    if (snapshot.size < batchSize) return { docs, nextCursor: null };
+  }
+  return { docs, nextCursor: encodeCursor({ id: last.id }) };
+}
+
+/**
+ * Page through an already sorted array, for results ranked in memory.
+ * @param {Array} items
+ * @param {Object} options
+ * @param {string} [options.cursor]
+ * @param {number} options.limit
+ * @returns {{ items: Array, nextCursor: string|null }}
+ */
+function paginateArray(items, { cursor, limit }) {
+  const offset = cursor ? decodeCursor(cursor).offset : 0;
+  if (!Number.isInteger(offset) || offset < 0) throw cursorError();
+
+  const end = offset + limit;
+  return {
+    items: items.slice(offset, end),
+    nextCursor: end < items.length ? encodeCursor({ offset: end }) : null,
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  paginateQuery,
+  paginateFiltered,
+  paginateArray,
+};
@@ -0,0 +1,264 @@
+const crypto = require("crypto");
+
+// Payout providers pay approved withdrawals to a seller's UPI id.
+// Each provider implements:
+//   registerBeneficiary({ beneficiaryId, name, email, phone, upiId }) → Promise<void>
+//   initiateTransfer({ transferId, beneficiaryId, amount }) → Promise<{ referenceId, status }>
+//   getTransfer({ transferId }) → Promise<{ status: "SUCCESS"|"FAILED"|"PENDING"|"NOT_FOUND", referenceId, reason }>
+//   verifyWebhook(rawBody, headers) → boolean
+//   parseWebhook(rawBody) → { transferId, status: "SUCCESS"|"FAILED"|"PENDING", referenceId, reason }
+// PAYOUT_PROVIDER selects one ("cashfree" or "mock"); unset means payouts stay manual.
+// API errors carry the provider's `httpStatus` and `code`.
+
+const CASHFREE_PAYOUT_API_VERSION = "2024-01-01";
+
+/**
+ * Base64 HMAC-SHA256 of timestamp + raw body, the scheme Cashfree uses for
+ * both payment and payout webhooks.
+ * @param {string} secret
+ * @param {string} timestamp
+ * @param {string} rawBody
+ * @returns {string}
+ */
+function signWebhook(secret, timestamp, rawBody) {
+  return crypto.createHmac("sha256", secret).update(timestamp + rawBody).digest("base64");
+}
+
+function verifySignedWebhook(secret, rawBody, headers) {
+  const signature = headers["x-webhook-signature"];
+  const timestamp = headers["x-webhook-timestamp"];
+  if (!secret || !signature || !timestamp) return false;
+  const expected = Buffer.from(signWebhook(secret, timestamp, rawBody));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Cashfree reports one event per transfer state change
+const CASHFREE_TRANSFER_EVENTS = {
+  TRANSFER_SUCCESS: "SUCCESS",
+  TRANSFER_FAILED: "FAILED",
+  TRANSFER_REVERSED: "FAILED",
+  TRANSFER_REJECTED: "FAILED",
+};
+
+// Transfer statuses returned by Cashfree's transfer lookup
+const CASHFREE_TRANSFER_STATUSES = {
+  SUCCESS: "SUCCESS",
+  FAILED: "FAILED",
+  REVERSED: "FAILED",
+  REJECTED: "FAILED",
+};
+
+// Statuses that don't prove the provider turned the transfer down: it may
+// still have been accepted (a timeout, a duplicate, or being throttled)
+const AMBIGUOUS_HTTP_STATUSES = [408, 409, 425, 429];
+
+/**
+ * Whether a failed initiateTransfer() call definitely created no transfer:
+ * the provider answered with a 4xx and an error code. Network errors,
+ * timeouts and 5xx responses are ambiguous, since the transfer may have
+ * been accepted anyway.
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isTransferRejected(err) {
+  return (
+    Boolean(err.code) &&
+    err.httpStatus >= 400 &&
+    err.httpStatus < 500 &&
+    !AMBIGUOUS_HTTP_STATUSES.includes(err.httpStatus)
+  );
+}
+
+// The mock emits the same payload shape as Cashfree, so both share one parser
+function parseTransferEvent(rawBody) {
+  const event = JSON.parse(rawBody);
+  return {
+    transferId: event?.data?.transfer_id || null,
+    status: CASHFREE_TRANSFER_EVENTS[event?.type] || "PENDING",
+    referenceId: event?.data?.cf_transfer_id || null,
+    reason: event?.data?.status_description || null,
+  };
+}
+
+function createCashfreeProvider() {
+  const baseUrl =
+    process.env.CASHFREE_ENV === "production"
+      ? "https://api.cashfree.com/payout"
+      : "https://sandbox.cashfree.com/payout";
+  const clientId = process.env.CASHFREE_PAYOUT_CLIENT_ID;
+  const clientSecret = process.env.CASHFREE_PAYOUT_CLIENT_SECRET;
+
+  async function request(method, path, body) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        "x-api-version": CASHFREE_PAYOUT_API_VERSION,
+        "x-client-id": clientId,
+        "x-client-secret": clientSecret,
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw Object.assign(new Error(data.message || `Cashfree Payouts returned ${response.status}`), {
+        httpStatus: response.status,
+        code: data.code,
+      });
+    }
+    return data;
+  }
+
+  return {
+    name: "cashfree",
+
+    async registerBeneficiary({ beneficiaryId, name, email, phone, upiId }) {
+      try {
+        await request("POST", "/beneficiary", {
+          beneficiary_id: beneficiaryId,
+          beneficiary_name: name,
+          beneficiary_instrument_details: { vpa: upiId },
+          beneficiary_contact_details: {
+            beneficiary_email: email || undefined,
+            beneficiary_phone: phone || undefined,
+          },
+        });
+      } catch (err) {
+        // Beneficiary ids include a hash of the UPI id, so an existing one is reusable
+        if (err.httpStatus !== 409) throw err;
+      }
+    },
+
+    async initiateTransfer({ transferId, beneficiaryId, amount }) {
+      const data = await request("POST", "/transfers", {
+        transfer_id: transferId,
+        transfer_amount: amount,
+        transfer_mode: "upi",
+        beneficiary_details: { beneficiary_id: beneficiaryId },
+      });
+      return { referenceId: data.cf_transfer_id || null, status: data.status || "PENDING" };
+    },
+
+    async getTransfer({ transferId }) {
+      try {
+        const data = await request("GET", `/transfers?transfer_id=${encodeURIComponent(transferId)}`);
+        return {
+          status: CASHFREE_TRANSFER_STATUSES[data.status] || "PENDING",
+          referenceId: data.cf_transfer_id || null,
+          reason: data.status_description || null,
+        };
+      } catch (err) {
+        if (err.httpStatus !== 404) throw err;
+        return { status: "NOT_FOUND", referenceId: null, reason: null };
+      }
+    },
+
+    verifyWebhook(rawBody, headers) {
+      return verifySignedWebhook(clientSecret, rawBody, headers);
+    },
+
+    parseWebhook: parseTransferEvent,
+  };
+}
+
+// Offline provider: accepts every transfer and, shortly after, posts a signed
+// webhook to this backend's own payout webhook. MOCK_PAYOUT_OUTCOME=FAILED
+// exercises the failure path. Its webhooks would settle real withdrawals, so
+// it is only available with an explicit MOCK_PAYOUT_SECRET.
+function createMockProvider() {
+  const secret = process.env.MOCK_PAYOUT_SECRET;
+  if (!secret) {
+    console.error("[Payouts] PAYOUT_PROVIDER=mock needs MOCK_PAYOUT_SECRET; payouts stay manual");
+    return null;
+  }
+  // Transfer outcomes, in memory like the mock payment gateway's orders
+  const transfers = new Map();
+
+  function deliver(transferId) {
+    const status = process.env.MOCK_PAYOUT_OUTCOME === "FAILED" ? "FAILED" : "SUCCESS";
+    transfers.set(transferId, status);
+    const rawBody = JSON.stringify({
+      type: `TRANSFER_${status}`,
+      data: {
+        transfer_id: transferId,
+        cf_transfer_id: `MOCK_${transferId}`,
+        status,
+        status_description: status === "FAILED" ? "Mock payout failure" : null,
+      },
+    });
+    const timestamp = String(Date.now());
+
+    fetch(`${process.env.BACKEND_URL}/api/payouts/webhook`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-webhook-timestamp": timestamp,
+        "x-webhook-signature": signWebhook(secret, timestamp, rawBody),
+      },
+      body: rawBody,
+    }).catch((err) => console.error(`[MockPayout] Webhook delivery failed: ${err.message}`));
+  }
+
+  return {
+    name: "mock",
+
+    async registerBeneficiary() {},
+
+    async initiateTransfer({ transferId }) {
+      setTimeout(() => deliver(transferId), 1000);
+      transfers.set(transferId, "PENDING");
+      return { referenceId: `MOCK_${transferId}`, status: "PENDING" };
+    },
+
+    async getTransfer({ transferId }) {
+      const status = transfers.get(transferId) || "NOT_FOUND";
+      return {
+        status,
+        referenceId: status === "NOT_FOUND" ? null : `MOCK_${transferId}`,
+        reason: status === "FAILED" ? "Mock payout failure" : null,
+      };
+    },
+
+    verifyWebhook(rawBody, headers) {
+      return verifySignedWebhook(secret, rawBody, headers);
+    },
+
+    parseWebhook: parseTransferEvent,
+  };
+}
+
+const PROVIDERS = {
+  cashfree: createCashfreeProvider,
+  mock: createMockProvider,
+};
+
+let provider;
+
+/**
+ * Get the configured payout provider, or null when payouts are manual.
+ * @returns {Object|null}
+ */
+function getPayoutProvider() {
+  const name = process.env.PAYOUT_PROVIDER;
+  if (!name) return null;
+  if (!PROVIDERS[name]) {
+    console.error(`[Payouts] Unknown PAYOUT_PROVIDER "${name}"`);
+    return null;
+  }
+  if (!provider || provider.name !== name) provider = PROVIDERS[name]();
+  return provider || null;
+}
+
+/**
+ * Stable beneficiary id for a seller's UPI id (a new UPI id gets a new beneficiary).
+ * @param {string} sellerId
+ * @param {string} upiId
+ * @returns {string}
+ */
+function beneficiaryIdFor(sellerId, upiId) {
+  const upiHash = crypto.createHash("sha1").update(upiId).digest("hex").slice(0, 10);
+  return `S${sellerId.replace(/[^A-Za-z0-9]/g, "").slice(0, 28)}_${upiHash}`;
+}
+
+module.exports = { getPayoutProvider, isTransferRejected, beneficiaryIdFor, signWebhook };
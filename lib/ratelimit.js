@@ -0,0 +1,252 @@
+const crypto = require("crypto");
+const net = require("net");
+const { db, admin } = require("./firebase");
+
+// Fixed-window rate limiting per route group, keyed by client IP and/or uid.
+// Counters live in Firestore (`rate_limits/{hash}`, shared by every serverless
+// instance) unless RATE_LIMIT_STORE=memory, which keeps them per instance and
+// suits local development. Admins can override a group's limits with
+// `config/app_config.rateLimits` and block IPs in `blocked_ips/{ip}`.
+// Store errors never block a request: the limiter fails open.
+
+// `by` lists the keys each request is counted under; `scope` splits a key
+// further, e.g. clicks are counted per IP per product.
+const RATE_LIMIT_GROUPS = {
+  auth: { max: 10, windowSeconds: 60 * 60, by: ["ip"] },
+  click: { max: 5, windowSeconds: 60 * 60, by: ["ip"], scope: (req) => req.params.id },
+  payment: { max: 10, windowSeconds: 10 * 60, by: ["uid", "ip"] },
+  download: { max: 30, windowSeconds: 10 * 60, by: ["uid"] },
+  coupon: { max: 20, windowSeconds: 10 * 60, by: ["uid"] },
+};
+
+// Config overrides and the blocklist are re-read at most this often per instance
+const CACHE_TTL_MS = 60 * 1000;
+
+// Gateway, payout and cron callers authenticate with signatures or the cron
+// secret, and blocking a shared provider IP would silently drop payments
+const UNBLOCKABLE_PATHS = [/^\/api\/payment\/webhook(\/|$)/i, /^\/api\/payouts\/webhook\/?$/i, /^\/api\/cron\//i];
+
+/**
+ * The client's IP. Vercel sets x-real-ip and overwrites x-forwarded-for, so
+ * neither can be spoofed by the client there.
+ * @param {import("express").Request} req
+ * @returns {string}
+ */
+function clientIp(req) {
+  const forwarded = String(req.headers["x-forwarded-for"] || "").split(",")[0].trim();
+  const ip = req.headers["x-real-ip"] || forwarded || req.socket.remoteAddress || "unknown";
+  return String(ip).replace(/^::ffff:/, "");
+}
+
+const memoryStore = {
+  windows: new Map(),
+
+  async hit(key, windowSeconds) {
+    const now = Date.now();
+    // Drop expired windows now and then so the map doesn't grow forever
+    if (this.windows.size > 10000) {
+      this.windows.forEach((window, k) => window.resetAt <= now && this.windows.delete(k));
+    }
+
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowSeconds * 1000 };
+      this.windows.set(key, window);
+    }
+    window.count++;
+    return { count: window.count, resetAt: window.resetAt };
+  },
+};
+
+const firestoreStore = {
+  // One doc per key per window; `expiresAt` can back a Firestore TTL policy
+  async hit(key, windowSeconds) {
+    const windowMs = windowSeconds * 1000;
+    const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+    const resetAt = windowStart + windowMs;
+    const id = crypto.createHash("sha256").update(`${key}:${windowStart}`).digest("hex");
+    const ref = db.collection("rate_limits").doc(id);
+
+    const count = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      const next = (doc.exists ? doc.data().count : 0) + 1;
+      tx.set(ref, { key, count: next, expiresAt: admin.firestore.Timestamp.fromMillis(resetAt) });
+      return next;
+    });
+    return { count, resetAt };
+  },
+};
+
+function getStore() {
+  return process.env.RATE_LIMIT_STORE === "memory" ? memoryStore : firestoreStore;
+}
+
+let overridesCache = { value: {}, loadedAt: 0 };
+
+async function loadOverrides() {
+  if (Date.now() - overridesCache.loadedAt < CACHE_TTL_MS) return overridesCache.value;
+  const configDoc = await db.collection("config").doc("app_config").get();
+  const value = (configDoc.exists && configDoc.data().rateLimits) || {};
+  overridesCache = { value, loadedAt: Date.now() };
+  return value;
+}
+
+/**
+ * A group's effective limits: its defaults with any admin override applied.
+ * @param {string} group - A key of RATE_LIMIT_GROUPS
+ * @returns {Promise<{ max: number, windowSeconds: number }>}
+ */
+async function limitsFor(group) {
+  const { max, windowSeconds } = RATE_LIMIT_GROUPS[group];
+  const override = (await loadOverrides())[group] || {};
+  return { max: override.max || max, windowSeconds: override.windowSeconds || windowSeconds };
+}
+
+/**
+ * Validate an admin's `rateLimits` override. Returns an error message, or
+ * null when valid. A null group resets it to the defaults.
+ * @param {*} value - e.g. { auth: { max: 20, windowSeconds: 3600 }, click: null }
+ * @returns {string|null}
+ */
+function validateRateLimits(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return "rateLimits must be an object of route groups to limits";
+  }
+  for (const [group, limits] of Object.entries(value)) {
+    if (!RATE_LIMIT_GROUPS[group]) {
+      return `Unknown rate limit group "${group}". Groups: ${Object.keys(RATE_LIMIT_GROUPS).join(", ")}`;
+    }
+    if (limits === null) continue;
+    if (!Number.isInteger(limits.max) || limits.max < 1) {
+      return `rateLimits.${group}.max must be a positive integer`;
+    }
+    if (!Number.isInteger(limits.windowSeconds) || limits.windowSeconds < 1 || limits.windowSeconds > 86400) {
+      return `rateLimits.${group}.windowSeconds must be an integer between 1 and 86400`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Middleware that limits a route group. Routes keyed by uid must put it
+ * after authenticateUser. Over the limit, responds 429 with Retry-After.
+ * @param {string} group - A key of RATE_LIMIT_GROUPS
+ * @returns {import("express").RequestHandler}
+ */
+function rateLimit(group) {
+  const { by, scope } = RATE_LIMIT_GROUPS[group];
+
+  return async (req, res, next) => {
+    try {
+      const { max, windowSeconds } = await limitsFor(group);
+      const suffix = scope ? `:${scope(req)}` : "";
+      const keys = by
+        .map((type) => (type === "uid" ? req.user && req.user.uid : clientIp(req)))
+        .map((id, i) => id && `${group}:${by[i]}:${id}${suffix}`)
+        .filter(Boolean);
+
+      const store = getStore();
+      const hits = await Promise.all(keys.map((key) => store.hit(key, windowSeconds)));
+      const worst = hits.reduce((a, b) => (b.count > a.count ? b : a), { count: 0, resetAt: Date.now() });
+
+      res.set("X-RateLimit-Limit", String(max));
+      res.set("X-RateLimit-Remaining", String(Math.max(max - worst.count, 0)));
+
+      if (worst.count > max) {
+        const retryAfter = Math.max(Math.ceil((worst.resetAt - Date.now()) / 1000), 1);
+        res.set("Retry-After", String(retryAfter));
+        console.log(`[RateLimit] ${group} limit hit by ${keys.join(", ")}`);
+        return res.status(429).json({ error: `Too many requests. Try again in ${retryAfter} seconds.`, retryAfter });
+      }
+    } catch (err) {
+      console.error(`[RateLimit] ${group} check failed, allowing request: ${err.message}`);
+    }
+    return next();
+  };
+}
+
+let blocklistCache = { ips: new Map(), loadedAt: 0 };
+
+async function loadBlocklist() {
+  if (Date.now() - blocklistCache.loadedAt < CACHE_TTL_MS) return blocklistCache.ips;
+  const snapshot = await db.collection("blocked_ips").get();
+  const ips = new Map(snapshot.docs.map((doc) => [doc.id, doc.data()]));
+  blocklistCache = { ips, loadedAt: Date.now() };
+  return ips;
+}
+
+/**
+ * Middleware that rejects requests from blocked IPs with 403.
+ * Blocks with an `expiresAt` in the past are ignored, and webhook and cron
+ * routes (UNBLOCKABLE_PATHS) are never blocked.
+ */
+async function blockIps(req, res, next) {
+  if (UNBLOCKABLE_PATHS.some((pattern) => pattern.test(req.path))) return next();
+  try {
+    const block = (await loadBlocklist()).get(clientIp(req));
+    if (block && (!block.expiresAt || block.expiresAt.toMillis() > Date.now())) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+  } catch (err) {
+    console.error(`[RateLimit] Blocklist check failed, allowing request: ${err.message}`);
+  }
+  return next();
+}
+
+/**
+ * Normalize an IP address. Returns null when invalid.
+ * @param {string} value
+ * @returns {string|null}
+ */
+function parseIp(value) {
+  const ip = String(value || "").trim();
+  return net.isIP(ip) ? ip : null;
+}
+
+/**
+ * Block an IP on every route but webhooks and cron, optionally for a limited time.
+ * @param {string} ip - From parseIp()
+ * @param {Object} params
+ * @param {string|null} params.reason
+ * @param {number|null} params.expiresInHours
+ * @param {string} adminUid
+ */
+async function blockIp(ip, { reason, expiresInHours }, adminUid) {
+  await db
+    .collection("blocked_ips")
+    .doc(ip)
+    .set({
+      ip,
+      reason: reason || null,
+      blockedBy: adminUid,
+      expiresAt: expiresInHours ? admin.firestore.Timestamp.fromMillis(Date.now() + expiresInHours * 3600000) : null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  blocklistCache.loadedAt = 0;
+}
+
+/**
+ * Lift a block. Other instances pick it up within CACHE_TTL_MS.
+ * @param {string} ip
+ * @returns {Promise<boolean>} Whether the IP was blocked
+ */
+async function unblockIp(ip) {
+  const ref = db.collection("blocked_ips").doc(ip);
+  const doc = await ref.get();
+  if (!doc.exists) return false;
+  await ref.delete();
+  blocklistCache.loadedAt = 0;
+  return true;
+}
+
+module.exports = {
+  RATE_LIMIT_GROUPS,
+  clientIp,
+  limitsFor,
+  validateRateLimits,
+  rateLimit,
+  blockIps,
+  parseIp,
+  blockIp,
+  unblockIp,
+};
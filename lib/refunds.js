@@ -0,0 +1,462 @@
+const { v4: uuidv4 } = require("uuid");
+const { db, admin } = require("./firebase");
+const { getGateway, DEFAULT_GATEWAY } = require("./gateways");
+const { addRefundEntries } = require("./ledger");
+const { addSellerStats } = require("./stats");
+const { LEDGER_CURRENCY, formatMoney } = require("./currency");
+const { NOTIFICATION_TYPES, notifyUser } = require("./notifications");
+const { emitSellerEvent } = require("./integrations");
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const DEFAULT_RECONCILE_AFTER_MINUTES = 30;
+
+// Gateway refund statuses → the stored status of a refund leaving `initiating`
+const REFUND_OUTCOMES = { SUCCESS: "success", PENDING: "pending", FAILED: "failed", NOT_FOUND: "failed" };
+
+function refundError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Split a refund amount (in the order's currency) into the seller's share and
+ * the platform fee share, in the same proportion the original sale was split.
+ * The shares are in the ledger currency, converted at the order's checkout rate.
+ * @param {Object} order
+ * @param {number} refundAmount
+ * @returns {{ ledgerAmount: number, sellerDebit: number, platformFeeReversed: number }}
+ */
+function splitRefund(order, refundAmount) {
+  const ratio = order.amount > 0 ? refundAmount / order.amount : 0;
+  const ledgerAmount = round2((order.ledgerAmount ?? order.amount) * ratio);
+  const platformFeeReversed = round2((order.platformFee || 0) * ratio);
+  return { ledgerAmount, sellerDebit: round2(ledgerAmount - platformFeeReversed), platformFeeReversed };
+}
+
+/**
+ * Add the writes that undo (direction -1) or restore (direction 1) a refund's
+ * effect on the seller wallet, product sales and buyer access.
+ * Access and sales only change when the refund covers the whole order.
+ */
+function addReversalToBatch(batch, order, refund, direction) {
+  batch.update(db.collection("users").doc(order.sellerId), {
+    walletBalance: admin.firestore.FieldValue.increment(direction * refund.sellerDebit),
+    totalEarnings: admin.firestore.FieldValue.increment(direction * refund.sellerDebit),
+  });
+  addRefundEntries(
+    batch,
+    {
+      sellerId: order.sellerId,
+      ...refund,
+      amount: refund.ledgerAmount ?? refund.amount,
+      conversion:
+        refund.currency && refund.currency !== LEDGER_CURRENCY
+          ? { amount: refund.amount, currency: refund.currency, exchangeRate: order.exchangeRate }
+          : null,
+    },
+    direction > 0
+  );
+  // A restored refund comes off the day it was originally counted
+  addSellerStats(batch, {
+    sellerId: order.sellerId,
+    productId: order.productId,
+    date: direction > 0 && refund.createdAt?.toDate ? refund.createdAt.toDate() : new Date(),
+    refunds: -direction,
+    refundAmount: -direction * refund.sellerDebit,
+    refundedFee: -direction * refund.platformFeeReversed,
+  });
+
+  if (refund.fullRefund) {
+    batch.update(db.collection("products").doc(order.productId), {
+      sales: admin.firestore.FieldValue.increment(direction),
+    });
+    batch.update(db.collection("users").doc(order.buyerId), {
+      purchases:
+        direction < 0
+          ? admin.firestore.FieldValue.arrayRemove(order.productId)
+          : admin.firestore.FieldValue.arrayUnion(order.productId),
+    });
+  }
+}
+
+/**
+ * Refund a completed order through the gateway it was paid with and reverse
+ * its wallet, sales and access effects. Partial refunds keep the buyer's
+ * access; a refund that brings the refunded total to the full amount marks
+ * the order `refunded`.
+ * Line items settled as `duplicate` (the buyer already owned the product) are
+ * refunded in full with nothing to reverse, since the seller was never credited.
+ * Throws an error with a `status` property for request-level failures.
+ * @param {Object} params
+ * @param {string} params.orderId
+ * @param {number} [params.amount] - Defaults to the remaining refundable amount
+ * @param {string} [params.reason]
+ * @param {string} params.initiatedBy - Admin uid
+ * @returns {Promise<Object>} The stored refund record
+ */
+async function initiateRefund({ orderId, amount, reason, initiatedBy }) {
+  const orderRef = db.collection("orders").doc(orderId);
+  const refundId = "RFD_" + uuidv4().replace(/-/g, "").slice(0, 20).toUpperCase();
+  const refundRef = db.collection("refunds").doc(refundId);
+
+  // Reserve the amount on the order before calling the gateway, so concurrent
+  // refunds can't both pass the balance check. A reservation whose gateway
+  // call never returns stays `initiating` until reconcileInitiatingRefunds()
+  // asks the gateway what became of it.
+  const { order, refund } = await db.runTransaction(async (tx) => {
+    const orderDoc = await tx.get(orderRef);
+    if (!orderDoc.exists) throw refundError(404, "Order not found");
+
+    const order = orderDoc.data();
+    const duplicate = order.status === "duplicate" && order.needsRefund === true;
+    if (order.status !== "completed" && !duplicate) {
+      throw refundError(400, `Only completed orders can be refunded (status: ${order.status})`);
+    }
+    if (order.simulated) throw refundError(400, "Simulated orders cannot be refunded");
+
+    // Refunds go back in the currency the buyer paid in
+    const currency = order.currency || LEDGER_CURRENCY;
+    const remaining = round2(order.amount - (order.refundedAmount || 0));
+    const refundAmount = amount === undefined ? remaining : round2(parseFloat(amount));
+
+    if (isNaN(refundAmount) || refundAmount <= 0) {
+      throw refundError(400, "amount must be a positive number");
+    }
+    if (refundAmount > remaining) {
+      throw refundError(400, `amount exceeds the refundable balance of ${formatMoney(remaining, currency)}`);
+    }
+    if (duplicate && refundAmount !== remaining) {
+      throw refundError(400, "Duplicate purchases can only be refunded in full");
+    }
+
+    const refund = {
+      refundId,
+      orderId,
+      gateway: order.gateway || DEFAULT_GATEWAY,
+      gatewayRefundId: null,
+      amount: refundAmount,
+      currency,
+      fullRefund: refundAmount === remaining,
+      ...splitRefund(order, refundAmount),
+      ...(duplicate ? { duplicate: true, sellerDebit: 0, platformFeeReversed: 0 } : {}),
+      reason: reason || null,
+      status: "initiating",
+      initiatedBy,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    tx.set(refundRef, refund);
+    tx.update(orderRef, {
+      refundedAmount: admin.firestore.FieldValue.increment(refundAmount),
+      refundIds: admin.firestore.FieldValue.arrayUnion(refundId),
+      ...(duplicate ? { needsRefund: false } : {}),
+    });
+    return { order, refund };
+  });
+
+  let gatewayRefund;
+  try {
+    gatewayRefund = await getGateway(refund.gateway).refund({
+      ...gatewayTarget(order, orderId),
+      refundId,
+      amount: refund.amount,
+      note: reason || "Refund issued by admin",
+    });
+  } catch (err) {
+    await settleInitiatingRefund(refundId, { status: "failed", reason: err.message });
+
+    if (!err.gatewayError) throw err;
+    console.error(`[Refund] ${refund.gateway} refund failed for order ${orderId}: ${err.message}`);
+    throw refundError(502, `Payment gateway error: ${err.message}`);
+  }
+
+  const gatewayRefundId = gatewayRefund.gatewayRefundId || null;
+  const settled = await settleInitiatingRefund(refundId, { status: "pending", gatewayRefundId });
+  if (!settled) {
+    // A webhook settled it before the gateway call returned here
+    await refundRef.update({ gatewayRefundId });
+    const current = (await refundRef.get()).data();
+    return { ...refund, status: current.status, gatewayRefundId, createdAt: new Date().toISOString() };
+  }
+
+  await announceRefund(settled.order, settled.refund);
+  return { ...settled.refund, createdAt: new Date().toISOString() };
+}
+
+/**
+ * Where a refund goes at the gateway: cart line items are refunded against
+ * the checkout's gateway order.
+ * @param {Object} order
+ * @param {string} orderId
+ * @returns {{ orderId: string, gatewayOrderId: string }}
+ */
+function gatewayTarget(order, orderId) {
+  return {
+    orderId: order.paymentOrderId || orderId,
+    gatewayOrderId: order.gatewayOrderId || order.paymentOrderId || orderId,
+  };
+}
+
+/**
+ * Move a refund out of `initiating` once the gateway's answer is known. An
+ * accepted refund ("pending" or "success") has its reversal applied; a failed
+ * one releases the amount it reserved on the order. Only the first caller
+ * settles it, so the admin request, a webhook and the reconcile cron can race.
+ * @param {string} refundId
+ * @param {Object} outcome - { status: "pending"|"success"|"failed", gatewayRefundId, reason }
+ * @returns {Promise<{ order: Object, refund: Object }|null>} null when it had already left `initiating`
+ */
+async function settleInitiatingRefund(refundId, { status, gatewayRefundId, reason }) {
+  const refundRef = db.collection("refunds").doc(refundId);
+
+  return db.runTransaction(async (tx) => {
+    const refundDoc = await tx.get(refundRef);
+    if (!refundDoc.exists || refundDoc.data().status !== "initiating") return null;
+
+    const refund = { ...refundDoc.data(), status };
+    refund.gatewayRefundId = gatewayRefundId || refund.gatewayRefundId || null;
+    const orderRef = db.collection("orders").doc(refund.orderId);
+    const order = (await tx.get(orderRef)).data();
+    const now = admin.firestore.FieldValue.serverTimestamp();
+
+    if (status === "failed") {
+      // Nothing was refunded: release the reservation
+      tx.update(refundRef, { status, failureReason: reason || null, processedAt: now });
+      tx.update(orderRef, {
+        refundedAmount: admin.firestore.FieldValue.increment(-refund.amount),
+        ...(refund.duplicate ? { needsRefund: true } : {}),
+      });
+      return { order, refund };
+    }
+
+    tx.update(refundRef, {
+      status,
+      gatewayRefundId: refund.gatewayRefundId,
+      ...(status === "success" ? { processedAt: now } : {}),
+    });
+    if (refund.duplicate) {
+      // The order stays `duplicate`: the buyer keeps the copy they paid for first
+      tx.update(orderRef, { refundStatus: "refunded", refundedAt: now });
+      return { order, refund };
+    }
+    tx.update(orderRef, {
+      status: refund.fullRefund ? "refunded" : "completed",
+      refundStatus: refund.fullRefund ? "refunded" : "partial",
+      ...(refund.fullRefund ? { refundedAt: now } : {}),
+    });
+    addReversalToBatch(tx, order, refund, -1);
+    return { order, refund };
+  });
+}
+
+/**
+ * Revoke the buyer's outstanding download tokens and tell the buyer, the
+ * seller and the seller's integrations about an accepted refund.
+ * @param {Object} order
+ * @param {Object} refund
+ */
+async function announceRefund(order, refund) {
+  const { refundId, orderId, amount: refundAmount, currency, fullRefund } = refund;
+  const refundLabel = formatMoney(refundAmount, currency);
+
+  if (refund.duplicate) {
+    console.log(`[Refund] ${refundId} for duplicate order ${orderId}: ${refundLabel}`);
+    await notifyUser(order.buyerId, {
+      type: NOTIFICATION_TYPES.REFUND,
+      title: "Refund Initiated 💸",
+      body: `${refundLabel} for a product you already owned is being refunded to you`,
+      data: { orderId, refundId },
+    });
+    return;
+  }
+
+  // Outstanding download tokens would otherwise still work for up to 10 minutes
+  if (fullRefund) {
+    const tokenSnapshot = await db
+      .collection("download_tokens")
+      .where("userId", "==", order.buyerId)
+      .where("productId", "==", order.productId)
+      .where("used", "==", false)
+      .get();
+
+    if (!tokenSnapshot.empty) {
+      const tokenBatch = db.batch();
+      tokenSnapshot.docs.forEach((doc) => {
+        tokenBatch.update(doc.ref, { used: true, revokedAt: admin.firestore.FieldValue.serverTimestamp() });
+      });
+      await tokenBatch.commit();
+    }
+  }
+
+  console.log(`[Refund] ${refundId} for order ${orderId}: ${refundLabel} (${fullRefund ? "full" : "partial"})`);
+
+  await notifyUser(order.buyerId, {
+    type: NOTIFICATION_TYPES.REFUND,
+    title: "Refund Initiated 💸",
+    body: `${refundLabel} is being refunded to you`,
+    data: { orderId, refundId },
+  });
+
+  await notifyUser(order.sellerId, {
+    type: NOTIFICATION_TYPES.REFUND,
+    title: "Order Refunded",
+    body: `${formatMoney(refund.sellerDebit)} was deducted from your wallet`,
+    data: { orderId, refundId },
+  });
+
+  await emitSellerEvent(order.sellerId, "refund.created", {
+    refundId,
+    orderId,
+    productId: order.productId,
+    buyerId: order.buyerId,
+    amount: refundAmount,
+    currency,
+    fullRefund,
+    sellerDebit: refund.sellerDebit,
+    ledgerCurrency: LEDGER_CURRENCY,
+    reason: refund.reason,
+  });
+}
+
+/**
+ * Apply a refund status webhook from any gateway. A failed refund restores
+ * everything the refund had reversed, and puts a duplicate item back in the
+ * needs-refund list. An event for a refund still `initiating` settles it
+ * directly, since the gateway evidently received it.
+ * @param {Object} event - { refundId, status: "SUCCESS"|"FAILED"|"PENDING", reason }
+ * @param {string} [gateway] - Gateway the event came from; must be the one the refund went through
+ * @returns {Promise<string>} Processing outcome for the webhook response
+ */
+async function applyRefundStatus({ refundId, status: refundStatus, reason }, gateway) {
+  if (!refundId) {
+    console.error("[Webhook/Refund] Missing refund id in payload");
+    return "missing_refund_id";
+  }
+
+  const refundRef = db.collection("refunds").doc(refundId);
+  const refundDoc = await refundRef.get();
+
+  if (!refundDoc.exists) {
+    console.error(`[Webhook/Refund] Refund ${refundId} not found in Firestore`);
+    return "refund_not_found";
+  }
+
+  const refund = refundDoc.data();
+  if (gateway && gateway !== (refund.gateway || DEFAULT_GATEWAY)) {
+    console.error(`[Webhook/Refund] Refund ${refundId} went through ${refund.gateway}, ignoring ${gateway} event`);
+    return "gateway_mismatch";
+  }
+  if (refund.status === "success" || refund.status === "failed") {
+    console.log(`[Webhook/Refund] Refund ${refundId} already ${refund.status} — skipping`);
+    return "already_processed";
+  }
+
+  // The gateway answered before initiateRefund() recorded its reply
+  if (refund.status === "initiating" && REFUND_OUTCOMES[refundStatus]) {
+    const settled = await settleInitiatingRefund(refundId, { status: REFUND_OUTCOMES[refundStatus], reason });
+    if (!settled) return applyRefundStatus({ refundId, status: refundStatus, reason }, gateway);
+    if (settled.refund.status !== "failed") await announceRefund(settled.order, settled.refund);
+    console.log(`[Webhook/Refund] Refund ${refundId} settled as ${settled.refund.status} while initiating`);
+    return "ok";
+  }
+
+  if (refundStatus === "SUCCESS") {
+    await refundRef.update({
+      status: "success",
+      processedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    console.log(`[Webhook/Refund] Refund ${refundId} succeeded`);
+    return "ok";
+  }
+
+  if (refundStatus === "FAILED") {
+    const orderRef = db.collection("orders").doc(refund.orderId);
+    const restored = await db.runTransaction(async (tx) => {
+      const [current, orderDoc] = await Promise.all([tx.get(refundRef), tx.get(orderRef)]);
+      if (current.data().status !== "pending") return false;
+
+      const order = orderDoc.data();
+      // Other refunds on the order that didn't fail still count
+      const stillRefunded = round2((order.refundedAmount || 0) - refund.amount);
+
+      tx.update(refundRef, {
+        status: "failed",
+        failureReason: reason || refundStatus,
+        processedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      tx.update(orderRef, {
+        ...(refund.fullRefund && !refund.duplicate ? { status: "completed" } : {}),
+        ...(refund.duplicate ? { needsRefund: true } : {}),
+        refundStatus: stillRefunded > 0 ? "partial" : "failed",
+        refundedAmount: admin.firestore.FieldValue.increment(-refund.amount),
+      });
+      if (!refund.duplicate) addReversalToBatch(tx, order, refund, 1);
+      return true;
+    });
+
+    if (!restored) {
+      console.log(`[Webhook/Refund] Refund ${refundId} already processed — skipping`);
+      return "already_processed";
+    }
+    console.error(`[Webhook/Refund] Refund ${refundId} failed — order ${refund.orderId} restored`);
+    return "ok";
+  }
+
+  console.log(`[Webhook/Refund] Unhandled refund status "${refundStatus}" for ${refundId}`);
+  return "ok";
+}
+
+/**
+ * Settle refunds still `initiating` after `olderThanMinutes` by asking their
+ * gateway what became of them. Covers a process that died between the
+ * gateway call and recording its reply. A refund the gateway never received
+ * is failed, releasing the amount it reserved on the order.
+ * @param {Object} [options]
+ * @param {number} [options.olderThanMinutes]
+ * @param {number} [options.limit=50]
+ * @returns {Promise<{ checked: number, accepted: number, released: number }>}
+ */
+async function reconcileInitiatingRefunds({
+  olderThanMinutes = DEFAULT_RECONCILE_AFTER_MINUTES,
+  limit = 50,
+} = {}) {
+  const summary = { checked: 0, accepted: 0, released: 0 };
+  const cutoff = admin.firestore.Timestamp.fromMillis(Date.now() - olderThanMinutes * 60 * 1000);
+  const snapshot = await db
+    .collection("refunds")
+    .where("status", "==", "initiating")
+    .where("createdAt", "<=", cutoff)
+    .orderBy("createdAt", "asc")
+    .limit(limit)
+    .get();
+
+  for (const doc of snapshot.docs) {
+    const { orderId, gateway } = doc.data();
+    summary.checked++;
+
+    try {
+      const orderDoc = await db.collection("orders").doc(orderId).get();
+      const found = await getGateway(gateway || DEFAULT_GATEWAY).fetchRefund({
+        ...gatewayTarget(orderDoc.data(), orderId),
+        refundId: doc.id,
+      });
+      const settled = await settleInitiatingRefund(doc.id, {
+        status: REFUND_OUTCOMES[found.status] || "pending",
+        gatewayRefundId: found.gatewayRefundId,
+        reason: found.status === "NOT_FOUND" ? "The gateway never received this refund" : found.reason,
+      });
+      if (!settled) continue;
+
+      if (settled.refund.status === "failed") {
+        summary.released++;
+      } else {
+        summary.accepted++;
+        await announceRefund(settled.order, settled.refund);
+      }
+    } catch (err) {
+      console.error(`[Refund] Failed to reconcile refund ${doc.id}: ${err.message}`);
+    }
+  }
+  return summary;
+}
+
+module.exports = { initiateRefund, applyRefundStatus, reconcileInitiatingRefunds };
@@ -0,0 +1,225 @@
+const { db, admin } = require("./firebase");
+const { loadDailyStats, summarizeStats, emptyTotals, addInto, withRates } = require("./stats");
+
+// Admin financial reports. Sales figures come from the pre-aggregated
+// seller_stats documents; counts and withdrawal totals use Firestore
+// aggregate queries, so no report reads a whole collection.
+// Every report returns { columns, rows, totals? } so it can be sent as JSON or CSV.
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const { AggregateField } = admin.firestore;
+
+// Statuses whose funds are held out of the seller's wallet
+const OPEN_WITHDRAWAL_STATUSES = ["pending", "processing"];
+
+function countOf(query) {
+  return query
+    .count()
+    .get()
+    .then((snap) => snap.data().count);
+}
+
+function countAndSum(query, field) {
+  return query
+    .aggregate({ count: AggregateField.count(), amount: AggregateField.sum(field) })
+    .get()
+    .then((snap) => ({ count: snap.data().count, amount: round2(snap.data().amount || 0) }));
+}
+
+// Inclusive day range as Date bounds for timestamp queries
+function dateBounds({ from, to }) {
+  const end = new Date(`${to}T00:00:00Z`);
+  end.setUTCDate(end.getUTCDate() + 1);
+  return { start: new Date(`${from}T00:00:00Z`), end };
+}
+
+// GMV-vs-fee view of a totals object from stats.js
+function financials(totals) {
+  return {
+    gmv: totals.grossRevenue,
+    platformFees: totals.platformFee,
+    sellerEarnings: totals.revenue,
+    orders: totals.sales,
+    refunds: totals.refunds,
+    refundedAmount: round2(totals.refundAmount + totals.refundedFee),
+    netPlatformFees: round2(totals.platformFee - totals.refundedFee),
+  };
+}
+
+const FINANCIAL_COLUMNS = [
+  ["gmv", "GMV"],
+  ["platformFees", "Platform fees"],
+  ["sellerEarnings", "Seller earnings"],
+  ["orders", "Orders"],
+  ["refunds", "Refunds"],
+  ["refundedAmount", "Refunded amount"],
+  ["netPlatformFees", "Net platform fees"],
+];
+
+async function revenueReport(range, { granularity }) {
+  const { totals, series } = summarizeStats(await loadDailyStats(range), range, granularity);
+  return {
+    columns: [["period", "Period"], ...FINANCIAL_COLUMNS],
+    rows: series.map((period) => ({ period: period.period, ...financials(period) })),
+    totals: financials(totals),
+  };
+}
+
+async function topSellersReport(range, { limit }) {
+  const bySeller = {};
+  (await loadDailyStats(range)).forEach((stats) => {
+    if (!bySeller[stats.sellerId]) bySeller[stats.sellerId] = emptyTotals();
+    addInto(bySeller[stats.sellerId], stats);
+  });
+
+  const top = Object.entries(bySeller)
+    .sort(([, a], [, b]) => b.grossRevenue - a.grossRevenue)
+    .slice(0, limit);
+  const sellerDocs = top.length ? await db.getAll(...top.map(([id]) => db.collection("users").doc(id))) : [];
+
+  return {
+    columns: [["sellerId", "Seller ID"], ["sellerName", "Seller"], ["email", "Email"], ...FINANCIAL_COLUMNS],
+    rows: top.map(([sellerId, totals], i) => ({
+      sellerId,
+      sellerName: sellerDocs[i].exists ? sellerDocs[i].data().fullName || null : null,
+      email: sellerDocs[i].exists ? sellerDocs[i].data().email || null : null,
+      ...financials(totals),
+    })),
+  };
+}
+
+async function topProductsReport(range, { limit }) {
+  const { products } = summarizeStats(await loadDailyStats(range), range, "day");
+
+  const top = Object.entries(products)
+    .sort(([, a], [, b]) => b.grossRevenue - a.grossRevenue)
+    .slice(0, limit);
+  const productDocs = top.length ? await db.getAll(...top.map(([id]) => db.collection("products").doc(id))) : [];
+
+  return {
+    columns: [
+      ["productId", "Product ID"],
+      ["title", "Title"],
+      ["sellerId", "Seller ID"],
+      ...FINANCIAL_COLUMNS,
+      ["clicks", "Clicks"],
+      ["conversionRate", "Conversion %"],
+    ],
+    rows: top.map(([productId, totals], i) => ({
+      productId,
+      title: productDocs[i].exists ? productDocs[i].data().title : null,
+      sellerId: productDocs[i].exists ? productDocs[i].data().sellerId : null,
+      ...financials(totals),
+      clicks: totals.clicks,
+      conversionRate: withRates(totals).conversionRate,
+    })),
+  };
+}
+
+async function payoutsReport(range) {
+  const { start, end } = dateBounds(range);
+  const withdrawals = db.collection("withdrawals");
+
+  const paidInRange = withdrawals.where("status", "==", "paid").where("paidAt", ">=", start).where("paidAt", "<", end);
+
+  const [paid, ...open] = await Promise.all([
+    countAndSum(paidInRange, "amount"),
+    ...OPEN_WITHDRAWAL_STATUSES.map((status) => countAndSum(withdrawals.where("status", "==", status), "amount")),
+  ]);
+
+  return {
+    columns: [
+      ["status", "Status"],
+      ["scope", "Scope"],
+      ["count", "Count"],
+      ["amount", "Amount"],
+    ],
+    rows: [
+      { status: "paid", scope: "paid in range", ...paid },
+      ...OPEN_WITHDRAWAL_STATUSES.map((status, i) => ({ status, scope: "currently open", ...open[i] })),
+    ],
+    totals: {
+      paidAmount: paid.amount,
+      pendingAmount: round2(open.reduce((sum, o) => sum + o.amount, 0)),
+      pendingCount: open.reduce((sum, o) => sum + o.count, 0),
+    },
+  };
+}
+
+async function summaryReport(range, options) {
+  const users = db.collection("users");
+  const products = db.collection("products");
+
+  const [revenue, payouts, buyers, sellers, approved, pending, rejected] = await Promise.all([
+    revenueReport(range, { ...options, granularity: "month" }),
+    payoutsReport(range),
+    countOf(users.where("role", "==", "buyer")),
+    countOf(users.where("role", "==", "seller")),
+    countOf(products.where("status", "==", "approved")),
+    countOf(products.where("status", "==", "pending")),
+    countOf(products.where("status", "==", "rejected")),
+  ]);
+
+  const metrics = {
+    ...revenue.totals,
+    payoutsPaid: payouts.totals.paidAmount,
+    pendingWithdrawals: payouts.totals.pendingAmount,
+    pendingWithdrawalCount: payouts.totals.pendingCount,
+    buyers,
+    sellers,
+    approvedProducts: approved,
+    pendingProducts: pending,
+    rejectedProducts: rejected,
+  };
+
+  return {
+    columns: [
+      ["metric", "Metric"],
+      ["value", "Value"],
+    ],
+    rows: Object.entries(metrics).map(([metric, value]) => ({ metric, value })),
+    totals: metrics,
+  };
+}
+
+const REPORTS = {
+  summary: summaryReport,
+  revenue: revenueReport,
+  "top-sellers": topSellersReport,
+  "top-products": topProductsReport,
+  payouts: payoutsReport,
+};
+
+/**
+ * Build a named report over an inclusive day range.
+ * @param {string} name - A key of REPORTS
+ * @param {{ from: string, to: string }} range
+ * @param {Object} options
+ * @param {"day"|"week"|"month"} options.granularity - Series granularity (revenue report)
+ * @param {number} options.limit - Row limit (top-sellers and top-products reports)
+ * @returns {Promise<{ columns: Array<[string, string]>, rows: Object[], totals?: Object }>}
+ */
+function buildReport(name, range, options) {
+  return REPORTS[name](range, options);
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  // User-supplied text (seller names, titles) must not run as a spreadsheet formula
+  const text = typeof value === "string" && /^[=+\-@]/.test(value) ? `'${value}` : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render a report as CSV with a header row of column labels.
+ * @param {{ columns: Array<[string, string]>, rows: Object[] }} report
+ * @returns {string}
+ */
+function toCsv({ columns, rows }) {
+  const lines = [columns.map(([, label]) => csvCell(label)).join(",")];
+  rows.forEach((row) => lines.push(columns.map(([key]) => csvCell(row[key])).join(",")));
+  return lines.join("\r\n") + "\r\n";
+}
+
+module.exports = { REPORTS, OPEN_WITHDRAWAL_STATUSES, buildReport, toCsv, countOf, countAndSum };
@@ -0,0 +1,321 @@
+const { db } = require("./firebase");
+const { paginateQuery, paginateFiltered } = require("./pagination");
+const { LEDGER_CURRENCY, loadExchangeRates, priceIn } = require("./currency");
+
+// Products carry their own search index: `searchKeywords` holds every token
+// of the searchable fields plus its prefixes, so one array-contains query
+// finds candidates and ranking happens in memory on the fetched products.
+// Every listing is an indexed query: searches rank a bounded candidate set
+// and say when it was cut off, rather than scanning the catalogue.
+
+// Weight of a match in each searchable field
+const FIELD_WEIGHTS = {
+  title: 5,
+  tags: 4,
+  category: 3,
+  sellerName: 2,
+  description: 1,
+};
+
+const STOPWORDS = new Set(["a", "an", "and", "are", "for", "in", "is", "of", "on", "or", "the", "to", "with"]);
+
+const MIN_PREFIX_LENGTH = 2;
+const MAX_TOKEN_LENGTH = 20;
+// Keeps long descriptions from blowing up the per-document index entry count
+const MAX_KEYWORDS = 1000;
+// Searches rank at most this many candidates, taken in the requested order
+const MAX_SEARCH_CANDIDATES = 500;
+
+const SORTS = ["relevance", "newest", "price_asc", "price_desc", "best_selling", "rating"];
+
+// Sorts Firestore can serve directly from stored product fields
+const SORT_FIELDS = {
+  newest: ["createdAt", "desc"],
+  price_asc: ["effectivePrice", "asc"],
+  price_desc: ["effectivePrice", "desc"],
+  best_selling: ["sales", "desc"],
+  rating: ["rating", "desc"],
+};
+
+/**
+ * Split text into lowercase search tokens. Accents are stripped so "café"
+ * matches "cafe"; stopwords and single characters are dropped.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  if (!text) return [];
+  return String(text)
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter((token) => token.length > 1 && !STOPWORDS.has(token))
+    .map((token) => token.slice(0, MAX_TOKEN_LENGTH));
+}
+
+function fieldTokens(product, sellerName) {
+  return {
+    title: tokenize(product.title),
+    tags: tokenize((product.tags || []).join(" ")),
+    category: tokenize(product.category),
+    sellerName: tokenize(sellerName),
+    description: tokenize(product.description),
+  };
+}
+
+// Products priced in another currency carry `ledgerPrice` so price filters and
+// sorts compare every product in the ledger currency
+const effectivePrice = (product) => product.ledgerPrice || product.discountPrice || product.price || 0;
+
+/**
+ * Build the index fields to store on a product document: search keywords and
+ * the price buyers actually pay, which price filters and sorts query. Call it
+ * with the product's final state whenever an indexed field changes.
+ * @param {Object} product - Product data (title, description, tags, category, price, discountPrice, ledgerPrice)
+ * @param {string} [sellerName]
+ * @returns {{ searchKeywords: string[], sellerName: string|null, effectivePrice: number }}
+ */
+function searchFields(product, sellerName) {
+  const keywords = new Set();
+  // Higher-weighted fields go first so they survive the MAX_KEYWORDS cut
+  Object.values(fieldTokens(product, sellerName)).forEach((tokens) => {
+    tokens.forEach((token) => {
+      for (let len = MIN_PREFIX_LENGTH; len <= token.length; len++) {
+        keywords.add(token.slice(0, len));
+      }
+    });
+  });
+  return {
+    searchKeywords: [...keywords].slice(0, MAX_KEYWORDS),
+    sellerName: sellerName || null,
+    effectivePrice: effectivePrice(product),
+  };
+}
+
+/**
+ * Relevance of a product for the query tokens, or 0 when any token is
+ * missing. Exact token matches score double a prefix match.
+ */
+function scoreProduct(product, queryTokens) {
+  const fields = fieldTokens(product, product.sellerName);
+  let score = 0;
+
+  for (const queryToken of queryTokens) {
+    let best = 0;
+    for (const [field, tokens] of Object.entries(fields)) {
+      for (const token of tokens) {
+        if (token === queryToken) best = Math.max(best, FIELD_WEIGHTS[field] * 2);
+        else if (token.startsWith(queryToken)) best = Math.max(best, FIELD_WEIGHTS[field]);
+      }
+    }
+    if (!best) return 0;
+    score += best;
+  }
+  return score;
+}
+
+// A range filter must be on the first ordered field, so Firestore only
+// applies the price range itself when sorting by price
+const isPriceSort = (sort) => sort === "price_asc" || sort === "price_desc";
+
+function withPriceRange(query, { minPrice, maxPrice }) {
+  if (minPrice !== undefined) query = query.where("effectivePrice", ">=", minPrice);
+  if (maxPrice !== undefined) query = query.where("effectivePrice", "<=", maxPrice);
+  return query;
+}
+
+function inPriceRange(product, { minPrice, maxPrice }) {
+  const price = effectivePrice(product);
+  return (minPrice === undefined || price >= minPrice) && (maxPrice === undefined || price <= maxPrice);
+}
+
+// Firestore "in" filters take at most 30 values
+function withCategories(query, categories) {
+  if (!categories) return query;
+  return categories.length === 1
+    ? query.where("category", "==", categories[0])
+    : query.where("category", "in", categories.slice(0, 30));
+}
+
+const createdMillis = (product) => (product.createdAt?.toMillis ? product.createdAt.toMillis() : 0);
+
+const COMPARATORS = {
+  relevance: (a, b) => b._score - a._score || (b.sales || 0) - (a.sales || 0),
+  newest: (a, b) => createdMillis(b) - createdMillis(a),
+  price_asc: (a, b) => effectivePrice(a) - effectivePrice(b),
+  price_desc: (a, b) => effectivePrice(b) - effectivePrice(a),
+  best_selling: (a, b) => (b.sales || 0) - (a.sales || 0) || createdMillis(b) - createdMillis(a),
+  rating: (a, b) => (b.rating || 0) - (a.rating || 0) || (b.reviewCount || 0) - (a.reviewCount || 0),
+};
+
+/**
+ * Search approved products. Candidates come from one indexed Firestore query:
+ * products containing the most selective query token, in the categories
+ * asked for, in the requested order (best selling first for relevance),
+ * capped at MAX_SEARCH_CANDIDATES. Every other token, the price range (unless
+ * sorting by price, when Firestore applies it), ranking and facet counts are
+ * applied in memory to those candidates, so `truncated` says when the cap was
+ * hit and the results and counts may be incomplete. Facets ignore the
+ * category filter so the client can show counts for every category the query
+ * matches; that takes a second candidate query when a category is given.
+ * @param {Object} params
+ * @param {string} params.search - Must contain at least one token; see canBrowse()
+ * @param {string[]} [params.categories] - Category slugs to match (at most 30)
+ * @param {number} [params.minPrice]
+ * @param {number} [params.maxPrice]
+ * @param {string} [params.sort] - One of SORTS; defaults to relevance
+ * @returns {Promise<{ products: Object[], facets: { categories: Array<{ category: string, count: number }> }, truncated: boolean }>}
+ */
+async function searchProducts({ search, categories, minPrice, maxPrice, sort }) {
+  const queryTokens = [...new Set(tokenize(search))];
+  const sortKey = SORTS.includes(sort) ? sort : "relevance";
+  const priceRange = { minPrice, maxPrice };
+
+  const anchor = queryTokens.reduce((longest, token) => (token.length > longest.length ? token : longest));
+  const [field, direction] = SORT_FIELDS[sortKey] || SORT_FIELDS.best_selling;
+  let query = db
+    .collection("products")
+    .where("status", "==", "approved")
+    .where("searchKeywords", "array-contains", anchor);
+  if (isPriceSort(sortKey)) query = withPriceRange(query, priceRange);
+
+  const findMatches = async (candidateQuery) => {
+    const snapshot = await candidateQuery.orderBy(field, direction).limit(MAX_SEARCH_CANDIDATES).get();
+    const matches = [];
+    snapshot.docs.forEach((doc) => {
+      const product = { id: doc.id, ...doc.data() };
+      if (!inPriceRange(product, priceRange)) return;
+      const score = scoreProduct(product, queryTokens);
+      if (score) matches.push({ ...product, _score: score });
+    });
+    return { matches, truncated: snapshot.size === MAX_SEARCH_CANDIDATES };
+  };
+
+  const [results, facetResults] = await Promise.all([
+    findMatches(withCategories(query, categories)),
+    categories ? findMatches(query) : null,
+  ]);
+
+  const categoryCounts = {};
+  (facetResults || results).matches.forEach((p) => {
+    if (p.category) categoryCounts[p.category] = (categoryCounts[p.category] || 0) + 1;
+  });
+
+  const products = results.matches.sort(COMPARATORS[sortKey]).map(({ _score, ...product }) => product);
+
+  return {
+    products,
+    facets: {
+      categories: Object.entries(categoryCounts)
+        .map(([name, count]) => ({ category: name, count }))
+        .sort((a, b) => b.count - a.count),
+    },
+    truncated: results.truncated || Boolean(facetResults && facetResults.truncated),
+  };
+}
+
+/**
+ * Whether a listing is a plain browse, served page by page straight from
+ * Firestore by browseProducts(), rather than a search.
+ * @param {Object} params - Same shape as searchProducts()
+ * @returns {boolean}
+ */
+function canBrowse({ search }) {
+  return tokenize(search).length === 0;
+}
+
+/**
+ * One page of approved products ordered by a stored field. Only products
+ * indexed by searchFields() have `effectivePrice`, so reindex old catalogues.
+ * A price range with a non-price sort is filtered while paging, so its pages
+ * can come back short when few products are in the range.
+ * @param {Object} params
+ * @param {string[]} [params.categories] - Category slugs to match (at most 30)
+ * @param {number} [params.minPrice]
+ * @param {number} [params.maxPrice]
+ * @param {string} [params.sort] - A key of SORT_FIELDS; defaults to newest
+ * @param {string} [params.cursor]
+ * @param {number} params.limit
+ * @returns {Promise<{ products: Object[], nextCursor: string|null, total: number }>}
+ */
+async function browseProducts({ categories, minPrice, maxPrice, sort, cursor, limit }) {
+  const [field, direction] = SORT_FIELDS[sort] || SORT_FIELDS.newest;
+  const priceRange = { minPrice, maxPrice };
+  const query = withCategories(db.collection("products").where("status", "==", "approved"), categories);
+  // The count has no ordering, so Firestore can always apply the range to it
+  const rangedQuery = withPriceRange(query, priceRange);
+  const hasPriceRange = minPrice !== undefined || maxPrice !== undefined;
+
+  const [page, countSnap] = await Promise.all([
+    hasPriceRange && !isPriceSort(sort)
+      ? paginateFiltered(query.orderBy(field, direction), db.collection("products"), {
+          cursor,
+          limit,
+          filter: (doc) => inPriceRange(doc.data(), priceRange),
+        })
+      : paginateQuery(rangedQuery.orderBy(field, direction), db.collection("products"), { cursor, limit }),
+    rangedQuery.count().get(),
+  ]);
+
+  return {
+    products: page.docs.map((doc) => ({ id: doc.id, ...doc.data() })),
+    nextCursor: page.nextCursor,
+    total: countSnap.data().count,
+  };
+}
+
+/**
+ * Rebuild the index fields of every product (or one seller's products),
+ * e.g. after a seller renames themselves, for products created before
+ * search existed, or to reprice foreign-currency products after the
+ * exchange rates change.
+ * @param {Object} [options]
+ * @param {string} [options.sellerId]
+ * @returns {Promise<number>} Number of products reindexed
+ */
+async function reindexProducts({ sellerId } = {}) {
+  let query = db.collection("products");
+  if (sellerId) query = query.where("sellerId", "==", sellerId);
+  const snapshot = await query.get();
+
+  const sellerIds = [...new Set(snapshot.docs.map((doc) => doc.data().sellerId).filter(Boolean))];
+  const sellerDocs = sellerIds.length ? await db.getAll(...sellerIds.map((id) => db.collection("users").doc(id))) : [];
+  const sellerNames = {};
+  sellerDocs.forEach((doc) => {
+    if (doc.exists) sellerNames[doc.id] = doc.data().fullName || null;
+  });
+
+  const rates = await loadExchangeRates();
+
+  // Firestore batches are capped at 500 writes
+  for (let i = 0; i < snapshot.docs.length; i += 500) {
+    const batch = db.batch();
+    snapshot.docs.slice(i, i + 500).forEach((doc) => {
+      const product = doc.data();
+      let ledgerPrice = product.ledgerPrice || null;
+      try {
+        ledgerPrice = priceIn(product, LEDGER_CURRENCY, rates);
+      } catch {
+        // Keep the last known price when the product's currency lost its rate
+      }
+      batch.update(doc.ref, {
+        ledgerPrice,
+        ...searchFields({ ...product, ledgerPrice }, sellerNames[product.sellerId]),
+      });
+    });
+    await batch.commit();
+  }
+
+  return snapshot.size;
+}
+
+module.exports = {
+  SORTS,
+  tokenize,
+  searchFields,
+  searchProducts,
+  canBrowse,
+  browseProducts,
+  reindexProducts,
+};
@@ -0,0 +1,425 @@
+const { db, admin } = require("./firebase");
+const { redemptionRef, addRedemptionToTransaction } = require("./coupons");
+const { addSaleEntries } = require("./ledger");
+const { addSellerStats } = require("./stats");
+const { getGateway, DEFAULT_GATEWAY } = require("./gateways");
+const { issueInvoice } = require("./invoices");
+const { LEDGER_CURRENCY, formatMoney } = require("./currency");
+const { NOTIFICATION_TYPES, notifyUser } = require("./notifications");
+const { emitSellerEvent } = require("./integrations");
+
+// Pending orders younger than this are left for the webhook to settle
+const DEFAULT_RECONCILE_AFTER_MINUTES = 15;
+// Unpaid orders older than this are expired locally
+const DEFAULT_EXPIRE_AFTER_MINUTES = 24 * 60;
+
+/**
+ * Load the order documents paid for by one gateway order.
+ * A single-product purchase is one `orders/{id}` doc; a cart checkout is a
+ * `checkouts/{id}` doc whose line items are separate order docs.
+ * @param {string} paymentOrderId - Order id sent to the payment gateway
+ * @returns {Promise<{ checkoutRef: Object|null, checkout: Object|null, items: Array<{ ref: Object, data: Object }> }|null>}
+ */
+async function loadPayment(paymentOrderId) {
+  const orderRef = db.collection("orders").doc(paymentOrderId);
+  const orderDoc = await orderRef.get();
+
+  if (orderDoc.exists) {
+    return {
+      checkoutRef: null,
+      checkout: null,
+      items: [{ ref: orderRef, data: { orderId: paymentOrderId, ...orderDoc.data() } }],
+    };
+  }
+
+  const checkoutRef = db.collection("checkouts").doc(paymentOrderId);
+  const checkoutDoc = await checkoutRef.get();
+  if (!checkoutDoc.exists) return null;
+
+  const checkout = checkoutDoc.data();
+  const itemRefs = (checkout.orderIds || []).map((id) => db.collection("orders").doc(id));
+  const itemDocs = itemRefs.length ? await db.getAll(...itemRefs) : [];
+
+  return {
+    checkoutRef,
+    checkout,
+    items: itemDocs
+      .filter((d) => d.exists)
+      .map((d) => ({ ref: d.ref, data: { orderId: d.id, ...d.data() } })),
+  };
+}
+
+// Orders created before gateways were pluggable have no `gateway`
+function paymentGateway(payment) {
+  return (payment.checkout || payment.items[0].data).gateway || DEFAULT_GATEWAY;
+}
+
+// An event must come from the gateway the order was created with, or one
+// gateway's webhook could settle another gateway's orders
+function rejectsGateway(payment, gateway, paymentOrderId) {
+  if (!gateway || gateway === paymentGateway(payment)) return false;
+  console.error(
+    `[Settlement] Order ${paymentOrderId} belongs to ${paymentGateway(payment)}, ignoring ${gateway} event`
+  );
+  return true;
+}
+
+/**
+ * Mark a paid gateway order as completed: split commission per line item,
+ * credit every seller, bump product sales and grant buyer access.
+ * Line items for products the buyer already owns through another completed
+ * order are marked `duplicate` and left uncredited so an admin can refund them.
+ * Safe to call more than once, and concurrently, for the same payment: the
+ * line items are re-read and settled in one transaction, so only one run
+ * (webhook, reconciler or status refresh) ever credits them.
+ * @param {string} paymentOrderId
+ * @param {Object} [options]
+ * @param {string} [options.gateway] - Gateway the event came from, checked against the order's
+ * @returns {Promise<string>} Outcome: "ok", "already_completed", "order_not_found" or "gateway_mismatch"
+ */
+async function completePayment(paymentOrderId, { gateway } = {}) {
+  const payment = await loadPayment(paymentOrderId);
+  if (!payment || payment.items.length === 0) {
+    console.error(`[Settlement] Order ${paymentOrderId} not found in Firestore`);
+    return "order_not_found";
+  }
+  if (rejectsGateway(payment, gateway, paymentOrderId)) return "gateway_mismatch";
+
+  const configDoc = await db.collection("config").doc("app_config").get();
+  const commissionRate = configDoc.exists ? configDoc.data().commissionRate || 10 : 10;
+
+  const settled = await db.runTransaction(async (tx) => {
+    // Prevent double processing (a refunded order was completed before)
+    const itemDocs = await tx.getAll(...payment.items.map((item) => item.ref));
+    const payable = itemDocs
+      .filter((doc) => doc.exists && !["completed", "refunded", "duplicate"].includes(doc.data().status))
+      .map((doc) => ({ ref: doc.ref, data: { orderId: doc.id, ...doc.data() } }));
+    if (payable.length === 0) return null;
+
+    const buyerId = payable[0].data.buyerId;
+    const ownedChecks = await Promise.all(
+      payable.map((item) =>
+        tx.get(
+          db
+            .collection("orders")
+            .where("buyerId", "==", buyerId)
+            .where("productId", "==", item.data.productId)
+            .where("status", "==", "completed")
+            .limit(1)
+        )
+      )
+    );
+    const redemptions = await Promise.all(
+      payable.map((item) => (item.data.couponCode ? tx.get(redemptionRef(item.data.orderId)) : null))
+    );
+
+    const sellerEarnings = {};
+    const sales = [];
+    const purchasedProductIds = [];
+    const duplicates = [];
+
+    payable.forEach((item, i) => {
+      const order = item.data;
+
+      if (!ownedChecks[i].empty) {
+        tx.update(item.ref, {
+          status: "duplicate",
+          needsRefund: true,
+          completedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        duplicates.push(order.orderId);
+        return;
+      }
+
+      // Earnings and fees are settled in the ledger currency at the rate locked in at checkout
+      const amount = order.ledgerAmount ?? order.amount;
+      const platformFee = amount * (commissionRate / 100);
+      const sellerEarning = amount - platformFee;
+      const conversion =
+        order.currency && order.currency !== LEDGER_CURRENCY
+          ? { amount: order.amount, currency: order.currency, exchangeRate: order.exchangeRate }
+          : null;
+
+      tx.update(item.ref, {
+        status: "completed",
+        platformFee,
+        sellerEarning,
+        completedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      tx.update(db.collection("products").doc(order.productId), {
+        sales: admin.firestore.FieldValue.increment(1),
+      });
+
+      // Coupon usage only counts once the payment has actually succeeded
+      addRedemptionToTransaction(tx, order, redemptions[i]);
+      addSaleEntries(tx, { sellerId: order.sellerId, orderId: order.orderId, amount, platformFee, conversion });
+      addSellerStats(tx, {
+        sellerId: order.sellerId,
+        productId: order.productId,
+        revenue: sellerEarning,
+        grossRevenue: amount,
+        platformFee,
+        sales: 1,
+      });
+
+      sellerEarnings[order.sellerId] = (sellerEarnings[order.sellerId] || 0) + sellerEarning;
+      sales.push({ order, sellerEarning, platformFee });
+      purchasedProductIds.push(order.productId);
+    });
+
+    Object.entries(sellerEarnings).forEach(([sellerId, earning]) => {
+      tx.update(db.collection("users").doc(sellerId), {
+        walletBalance: admin.firestore.FieldValue.increment(earning),
+        totalEarnings: admin.firestore.FieldValue.increment(earning),
+      });
+    });
+
+    if (purchasedProductIds.length > 0) {
+      tx.update(db.collection("users").doc(buyerId), {
+        purchases: admin.firestore.FieldValue.arrayUnion(...purchasedProductIds),
+      });
+      tx.set(
+        db.collection("carts").doc(buyerId),
+        { items: admin.firestore.FieldValue.arrayRemove(...purchasedProductIds) },
+        { merge: true }
+      );
+    }
+
+    if (payment.checkoutRef) {
+      tx.update(payment.checkoutRef, {
+        status: "completed",
+        completedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+
+    return { buyerId, sellerEarnings, sales, purchasedProductIds, duplicates };
+  });
+
+  if (!settled) {
+    console.log(`[Settlement] Order ${paymentOrderId} already completed — skipping`);
+    return "already_completed";
+  }
+
+  const { buyerId, sellerEarnings, sales, purchasedProductIds, duplicates } = settled;
+  console.log(
+    `[Settlement] Order ${paymentOrderId} completed: ${purchasedProductIds.length} item(s), ` +
+      `${Object.keys(sellerEarnings).length} seller(s) credited`
+  );
+  if (duplicates.length > 0) {
+    console.error(`[Settlement] Order ${paymentOrderId} has already-owned items needing refund: ${duplicates.join(", ")}`);
+  }
+
+  // The sale is settled either way; a missing invoice is issued on first download
+  if (purchasedProductIds.length > 0) {
+    try {
+      const invoice = await issueInvoice(paymentOrderId);
+      console.log(`[Settlement] Invoice ${invoice.number} issued for order ${paymentOrderId}`);
+    } catch (err) {
+      console.error(`[Settlement] Invoice for order ${paymentOrderId} failed: ${err.message}`);
+    }
+  }
+
+  // Notify each seller
+  for (const [sellerId, earning] of Object.entries(sellerEarnings)) {
+    await notifyUser(sellerId, {
+      type: NOTIFICATION_TYPES.SALE,
+      title: "🎉 New Sale!",
+      body: `${formatMoney(earning)} added to your wallet`,
+      data: { orderId: paymentOrderId },
+      email: { template: "sale", data: { earning: formatMoney(earning), orderId: paymentOrderId } },
+    });
+  }
+
+  // Notify the buyer
+  if (purchasedProductIds.length > 0) {
+    await notifyUser(buyerId, {
+      type: NOTIFICATION_TYPES.PURCHASE,
+      title: "✅ Purchase Confirmed!",
+      body:
+        purchasedProductIds.length > 1
+          ? `Your ${purchasedProductIds.length} downloads are ready. Tap to download!`
+          : "Your download is ready. Tap to download!",
+      data:
+        purchasedProductIds.length > 1
+          ? { orderId: paymentOrderId }
+          : { orderId: paymentOrderId, productId: purchasedProductIds[0] },
+      email: { template: "purchase", data: { count: purchasedProductIds.length, orderId: paymentOrderId } },
+    });
+  }
+
+  // Sellers' own integrations, e.g. to provision a license or add the buyer to a mailing list
+  if (sales.length > 0) {
+    const [buyerDoc, ...productDocs] = await db.getAll(
+      db.collection("users").doc(buyerId),
+      ...sales.map(({ order }) => db.collection("products").doc(order.productId))
+    );
+    const buyer = buyerDoc.exists ? buyerDoc.data() : {};
+
+    for (const [i, { order, sellerEarning, platformFee }] of sales.entries()) {
+      await emitSellerEvent(order.sellerId, "sale.completed", {
+        orderId: order.orderId,
+        paymentOrderId,
+        productId: order.productId,
+        productTitle: productDocs[i].exists ? productDocs[i].data().title : null,
+        buyer: { id: buyerId, name: buyer.fullName || null, email: buyer.email || null },
+        amount: order.amount,
+        currency: order.currency || LEDGER_CURRENCY,
+        sellerEarning,
+        platformFee,
+        ledgerCurrency: LEDGER_CURRENCY,
+      });
+    }
+  }
+
+  return "ok";
+}
+
+/**
+ * Mark the pending line items of a gateway order as failed (or expired) and
+ * notify the buyer. A later successful payment can still complete them.
+ * @param {string} paymentOrderId
+ * @param {Object} [options]
+ * @param {string} [options.status="failed"] - "failed" or "expired"
+ * @param {string} [options.gateway] - Gateway the event came from, checked against the order's
+ * @returns {Promise<string>} Outcome: "ok", "order_not_found" or "gateway_mismatch"
+ */
+async function failPayment(paymentOrderId, { status = "failed", gateway } = {}) {
+  const payment = await loadPayment(paymentOrderId);
+  if (!payment || payment.items.length === 0) {
+    console.error(`[Settlement] Order ${paymentOrderId} not found in Firestore`);
+    return "order_not_found";
+  }
+  if (rejectsGateway(payment, gateway, paymentOrderId)) return "gateway_mismatch";
+
+  // Re-read in a transaction so a concurrent completePayment can't be overwritten
+  const pending = await db.runTransaction(async (tx) => {
+    const itemDocs = await tx.getAll(...payment.items.map((item) => item.ref));
+    const stillPending = itemDocs.filter((doc) => doc.exists && doc.data().status === "pending");
+    if (stillPending.length === 0) return [];
+
+    stillPending.forEach((doc) => {
+      tx.update(doc.ref, {
+        status,
+        failedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+    if (payment.checkoutRef) {
+      tx.update(payment.checkoutRef, {
+        status,
+        failedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+    return stillPending.map((doc) => doc.data());
+  });
+  if (pending.length === 0) return "ok";
+  console.log(`[Settlement] Order ${paymentOrderId} marked as ${status}`);
+
+  // Expired orders were simply abandoned; there's nothing to tell the buyer
+  if (status !== "failed") return "ok";
+
+  await notifyUser(pending[0].buyerId, {
+    type: NOTIFICATION_TYPES.PAYMENT_FAILED,
+    title: "❌ Payment Failed",
+    body: "Something went wrong. Please try again.",
+    data: { orderId: paymentOrderId },
+    email: { template: "payment_failed", data: { orderId: paymentOrderId } },
+  });
+
+  return "ok";
+}
+
+function toDate(ts) {
+  if (!ts) return null;
+  if (ts instanceof Date) return ts;
+  return ts.toDate ? ts.toDate() : new Date(ts);
+}
+
+/**
+ * Fetch a gateway order's real state from the gateway it was created with and
+ * settle it with the same logic as the webhook: paid completes, a failed latest
+ * attempt fails, and an unpaid order past the expiry window (or expired by the
+ * gateway) expires.
+ * @param {string} paymentOrderId
+ * @param {Object} [options]
+ * @param {number} [options.expireAfterMinutes]
+ * @returns {Promise<{ orderId: string, gatewayStatus: string|null, action: string, outcome: string }>}
+ */
+async function reconcilePayment(paymentOrderId, { expireAfterMinutes = DEFAULT_EXPIRE_AFTER_MINUTES } = {}) {
+  const payment = await loadPayment(paymentOrderId);
+  if (!payment || payment.items.length === 0) {
+    return { orderId: paymentOrderId, gatewayStatus: null, action: "none", outcome: "order_not_found" };
+  }
+
+  const source = payment.checkout || payment.items[0].data;
+  const { status, gatewayStatus } = await getGateway(paymentGateway(payment)).fetchStatus({
+    orderId: paymentOrderId,
+    gatewayOrderId: source.gatewayOrderId || paymentOrderId,
+  });
+  const result = (action, outcome) => ({ orderId: paymentOrderId, gatewayStatus, action, outcome });
+
+  if (status === "paid") {
+    return result("complete", await completePayment(paymentOrderId));
+  }
+  if (status === "expired") {
+    return result("expire", await failPayment(paymentOrderId, { status: "expired" }));
+  }
+  if (status === "failed") {
+    return result("fail", await failPayment(paymentOrderId));
+  }
+
+  const createdAt = toDate(source.createdAt);
+  if (createdAt && Date.now() - createdAt.getTime() > expireAfterMinutes * 60 * 1000) {
+    return result("expire", await failPayment(paymentOrderId, { status: "expired" }));
+  }
+
+  return result("none", "still_pending");
+}
+
+/**
+ * Find orders stuck in `pending` and reconcile each gateway order against its gateway.
+ * Errors for one order are recorded in its result and don't stop the run.
+ * @param {Object} [options]
+ * @param {number} [options.olderThanMinutes] - Only orders pending at least this long
+ * @param {number} [options.expireAfterMinutes] - Expire unpaid orders older than this
+ * @param {number} [options.limit=100] - Max pending order docs to inspect
+ * @returns {Promise<{ checked: number, results: Object[] }>}
+ */
+async function reconcilePendingOrders({
+  olderThanMinutes = DEFAULT_RECONCILE_AFTER_MINUTES,
+  expireAfterMinutes = DEFAULT_EXPIRE_AFTER_MINUTES,
+  limit = 100,
+} = {}) {
+  const cutoff = new Date(Date.now() - olderThanMinutes * 60 * 1000);
+  const snapshot = await db
+    .collection("orders")
+    .where("status", "==", "pending")
+    .where("createdAt", "<=", cutoff)
+    .orderBy("createdAt", "asc")
+    .limit(limit)
+    .get();
+
+  // Cart line items share one gateway order
+  const paymentOrderIds = [...new Set(snapshot.docs.map((doc) => doc.data().paymentOrderId || doc.id))];
+
+  const results = [];
+  for (const paymentOrderId of paymentOrderIds) {
+    try {
+      results.push(await reconcilePayment(paymentOrderId, { expireAfterMinutes }));
+    } catch (err) {
+      console.error(`[Reconcile] Order ${paymentOrderId} failed: ${err.message}`);
+      results.push({ orderId: paymentOrderId, gatewayStatus: null, action: "none", outcome: "error", error: err.message });
+    }
+  }
+
+  console.log(`[Reconcile] Checked ${paymentOrderIds.length} pending order(s)`);
+  return { checked: paymentOrderIds.length, results };
+}
+
+module.exports = {
+  loadPayment,
+  completePayment,
+  failPayment,
+  reconcilePayment,
+  reconcilePendingOrders,
+};
@@ -0,0 +1,304 @@
+const { db, admin } = require("./firebase");
+
+// Pre-aggregated seller analytics: one `seller_stats/{sellerId}_{YYYY-MM-DD}`
+// document per seller per UTC day, incremented wherever a sale, refund or
+// product click happens, with a per-product breakdown under `products`.
+// Days from before these documents were introduced are rebuilt from orders
+// and refunds by rebuildSellerStats(); clicks from back then are not recoverable.
+
+const STAT_FIELDS = [
+  "revenue",
+  "grossRevenue",
+  "platformFee",
+  "sales",
+  "clicks",
+  "refunds",
+  "refundAmount",
+  "refundedFee",
+];
+
+const GRANULARITIES = ["day", "week", "month"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * UTC calendar day of a date, as YYYY-MM-DD.
+ * @param {Date} date
+ * @returns {string}
+ */
+function dayKey(date) {
+  return date.toISOString().split("T")[0];
+}
+
+/**
+ * Increment a seller's stats for one day and one product. Works with a
+ * batch or a transaction.
+ * @param {FirebaseFirestore.WriteBatch|FirebaseFirestore.Transaction} writer
+ * @param {Object} stats
+ * @param {string} stats.sellerId
+ * @param {string} stats.productId
+ * @param {Date} [stats.date=new Date()]
+ * @param {number} [stats.revenue] - Seller earning, after commission
+ * @param {number} [stats.grossRevenue] - Amount the buyer paid
+ * @param {number} [stats.platformFee] - Commission kept by the platform
+ * @param {number} [stats.sales]
+ * @param {number} [stats.clicks]
+ * @param {number} [stats.refunds]
+ * @param {number} [stats.refundAmount] - Seller earning reversed by refunds
+ * @param {number} [stats.refundedFee] - Commission reversed by refunds
+ */
+function addSellerStats(writer, { sellerId, productId, date = new Date(), ...values }) {
+  if (!sellerId) return;
+
+  const increments = {};
+  STAT_FIELDS.forEach((field) => {
+    if (values[field]) increments[field] = admin.firestore.FieldValue.increment(values[field]);
+  });
+  if (Object.keys(increments).length === 0) return;
+
+  const day = dayKey(date);
+  writer.set(
+    db.collection("seller_stats").doc(`${sellerId}_${day}`),
+    {
+      sellerId,
+      date: day,
+      ...increments,
+      ...(productId ? { products: { [productId]: increments } } : {}),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    },
+    { merge: true }
+  );
+}
+
+/**
+ * Parse ?from=YYYY-MM-DD&to=YYYY-MM-DD (inclusive), defaulting to the
+ * `defaultDays` days ending today. Throws an error with `status` 400 when invalid.
+ * @param {Object} query - Request query
+ * @param {Object} [options]
+ * @param {number} [options.defaultDays=7]
+ * @param {number} [options.maxDays=366]
+ * @returns {{ from: string, to: string, days: number }}
+ */
+function parseDateRange(query, { defaultDays = 7, maxDays = 366 } = {}) {
+  const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(`${value}T00:00:00Z`));
+  const rangeError = (message) => Object.assign(new Error(message), { status: 400 });
+
+  const to = query.to || dayKey(new Date());
+  if (!isDay(to)) throw rangeError("from and to must be dates in YYYY-MM-DD format");
+  const from = query.from || dayKey(new Date(new Date(`${to}T00:00:00Z`).getTime() - (defaultDays - 1) * DAY_MS));
+  if (!isDay(from)) throw rangeError("from and to must be dates in YYYY-MM-DD format");
+
+  const days = Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS) + 1;
+  if (days < 1 || days > maxDays) throw rangeError(`The range must cover 1 to ${maxDays} days`);
+
+  return { from, to, days };
+}
+
+/**
+ * The range of the same length that ends the day before `from`.
+ * @param {{ from: string, days: number }} range
+ * @returns {{ from: string, to: string, days: number }}
+ */
+function previousRange({ from, days }) {
+  const fromMs = new Date(`${from}T00:00:00Z`).getTime();
+  return { from: dayKey(new Date(fromMs - days * DAY_MS)), to: dayKey(new Date(fromMs - DAY_MS)), days };
+}
+
+/**
+ * Key of the period a day falls in: the day itself, the Monday starting its
+ * ISO week, or YYYY-MM.
+ * @param {string} day - YYYY-MM-DD
+ * @param {"day"|"week"|"month"} granularity
+ * @returns {string}
+ */
+function periodKey(day, granularity) {
+  if (granularity === "month") return day.slice(0, 7);
+  if (granularity === "week") {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    return dayKey(date);
+  }
+  return day;
+}
+
+function emptyTotals() {
+  return Object.fromEntries(STAT_FIELDS.map((field) => [field, 0]));
+}
+
+function addInto(target, source) {
+  STAT_FIELDS.forEach((field) => {
+    target[field] = round2(target[field] + (source[field] || 0));
+  });
+}
+
+/**
+ * Add net revenue and the derived funnel rates to a totals object.
+ * @param {Object} totals
+ * @returns {Object}
+ */
+function withRates(totals) {
+  return {
+    ...totals,
+    netRevenue: round2(totals.revenue - totals.refundAmount),
+    conversionRate: totals.clicks > 0 ? round2((totals.sales / totals.clicks) * 100) : 0,
+    refundRate: totals.sales > 0 ? round2((totals.refunds / totals.sales) * 100) : 0,
+  };
+}
+
+/**
+ * Load daily stats documents between two days (inclusive), for one seller or
+ * for every seller.
+ * @param {Object} params
+ * @param {string} params.from - YYYY-MM-DD
+ * @param {string} params.to - YYYY-MM-DD
+ * @param {string} [params.sellerId]
+ * @returns {Promise<Object[]>}
+ */
+async function loadDailyStats({ from, to, sellerId }) {
+  let query = db.collection("seller_stats");
+  if (sellerId) query = query.where("sellerId", "==", sellerId);
+  const snapshot = await query.where("date", ">=", from).where("date", "<=", to).get();
+  return snapshot.docs.map((doc) => doc.data());
+}
+
+/**
+ * Roll daily stats documents up into totals, a time series with every period
+ * of the range (even without activity) and per-product totals.
+ * @param {Object[]} dailyStats - From loadDailyStats()
+ * @param {{ from: string, to: string }} range
+ * @param {"day"|"week"|"month"} granularity
+ * @returns {{ totals: Object, series: Object[], products: Object }}
+ */
+function summarizeStats(dailyStats, { from, to }, granularity) {
+  const periods = {};
+  for (let d = new Date(`${from}T00:00:00Z`); dayKey(d) <= to; d.setUTCDate(d.getUTCDate() + 1)) {
+    const key = periodKey(dayKey(d), granularity);
+    if (!periods[key]) periods[key] = { period: key, ...emptyTotals() };
+  }
+
+  const totals = emptyTotals();
+  const products = {};
+
+  dailyStats.forEach((stats) => {
+    addInto(totals, stats);
+    addInto(periods[periodKey(stats.date, granularity)], stats);
+
+    Object.entries(stats.products || {}).forEach(([productId, productStats]) => {
+      if (!products[productId]) products[productId] = emptyTotals();
+      addInto(products[productId], productStats);
+    });
+  });
+
+  return {
+    totals: withRates(totals),
+    series: Object.values(periods).map(withRates),
+    products,
+  };
+}
+
+/**
+ * Load and roll up one seller's daily stats.
+ * @param {string} sellerId
+ * @param {{ from: string, to: string }} range
+ * @param {"day"|"week"|"month"} granularity
+ * @returns {Promise<{ totals: Object, series: Object[], products: Object }>}
+ */
+async function summarizeSellerStats(sellerId, range, granularity) {
+  return summarizeStats(await loadDailyStats({ ...range, sellerId }), range, granularity);
+}
+
+/**
+ * Rebuild a seller's daily stats for the days before `before` from their
+ * completed and refunded orders and the refunds on them. Those days are
+ * overwritten, so it is safe to run again; clicks were never recorded per
+ * day and come out as zero.
+ * @param {string} sellerId
+ * @param {string} before - YYYY-MM-DD; this day and later are left to live tracking
+ * @returns {Promise<number>} Number of days written
+ */
+async function rebuildSellerStats(sellerId, before) {
+  const ordersSnap = await db
+    .collection("orders")
+    .where("sellerId", "==", sellerId)
+    .where("status", "in", ["completed", "refunded"])
+    .get();
+
+  const days = {};
+  const add = (date, productId, values) => {
+    const day = dayKey(date);
+    if (day >= before) return;
+    if (!days[day]) days[day] = { totals: emptyTotals(), products: {} };
+    addInto(days[day].totals, values);
+    if (!productId) return;
+    if (!days[day].products[productId]) days[day].products[productId] = emptyTotals();
+    addInto(days[day].products[productId], values);
+  };
+
+  const refundedProducts = {};
+  ordersSnap.docs.forEach((doc) => {
+    const order = doc.data();
+    if (!order.completedAt) return;
+    add(order.completedAt.toDate(), order.productId, {
+      revenue: order.sellerEarning || 0,
+      // Simulated sales store the amount as amountPaid
+      grossRevenue: order.ledgerAmount ?? order.amount ?? order.amountPaid ?? 0,
+      platformFee: order.platformFee || 0,
+      sales: 1,
+    });
+    if (order.refundedAmount > 0 || order.status === "refunded") refundedProducts[doc.id] = order.productId;
+  });
+
+  // Firestore "in" filters take at most 30 values
+  const refundedOrderIds = Object.keys(refundedProducts);
+  for (let i = 0; i < refundedOrderIds.length; i += 30) {
+    const refundsSnap = await db
+      .collection("refunds")
+      .where("orderId", "in", refundedOrderIds.slice(i, i + 30))
+      .get();
+    refundsSnap.docs.forEach((doc) => {
+      const refund = doc.data();
+      if (!["pending", "success"].includes(refund.status) || !refund.createdAt) return;
+      add(refund.createdAt.toDate(), refundedProducts[refund.orderId], {
+        refunds: 1,
+        refundAmount: refund.sellerDebit || 0,
+        refundedFee: refund.platformFeeReversed || 0,
+      });
+    });
+  }
+
+  const entries = Object.entries(days);
+  for (let i = 0; i < entries.length; i += 500) {
+    const batch = db.batch();
+    entries.slice(i, i + 500).forEach(([day, { totals, products }]) => {
+      batch.set(db.collection("seller_stats").doc(`${sellerId}_${day}`), {
+        sellerId,
+        date: day,
+        ...totals,
+        products,
+        rebuilt: true,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+    await batch.commit();
+  }
+
+  return entries.length;
+}
+
+module.exports = {
+  STAT_FIELDS,
+  GRANULARITIES,
+  dayKey,
+  parseDateRange,
+  previousRange,
+  addSellerStats,
+  emptyTotals,
+  addInto,
+  withRates,
+  loadDailyStats,
+  summarizeStats,
+  summarizeSellerStats,
+  rebuildSellerStats,
+};
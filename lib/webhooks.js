@@ -0,0 +1,221 @@
+const { db, admin } = require("./firebase");
+const { getGateway } = require("./gateways");
+const { completePayment, failPayment } = require("./settlement");
+const { applyRefundStatus } = require("./refunds");
+const { getPayoutProvider } = require("./payouts");
+const { applyPayoutEvent } = require("./withdrawals");
+
+// Only the headers needed to re-verify and debug an event are stored
+const STORED_HEADERS = [
+  "content-type",
+  "user-agent",
+  "x-webhook-signature",
+  "x-webhook-timestamp",
+  "x-webhook-version",
+  "x-idempotency-key",
+  "x-razorpay-signature",
+  "x-razorpay-event-id",
+];
+
+function pickHeaders(headers) {
+  const picked = {};
+  STORED_HEADERS.forEach((name) => {
+    if (headers[name] !== undefined) picked[name] = String(headers[name]);
+  });
+  return picked;
+}
+
+/**
+ * Process a verified payment gateway event (payment or refund status).
+ * Events for orders or refunds of another gateway are rejected.
+ * @param {Object} event - Normalized event from the gateway's parseWebhook()
+ * @param {string} gateway - The gateway that sent (and signed) the event
+ * @returns {Promise<string>} Processing outcome
+ */
+async function processPaymentEvent(event, gateway) {
+  if (event.kind === "refund") {
+    return applyRefundStatus(event, gateway);
+  }
+  if (event.kind !== "payment") {
+    console.log(`[Webhook] Ignoring gateway event "${event.eventType}"`);
+    return "ignored";
+  }
+
+  const { orderId, status, rawStatus } = event;
+  console.log(`[Webhook] Event received for order ${orderId}, status: ${rawStatus}`);
+
+  if (!orderId) {
+    console.error("[Webhook] Missing orderId in payload");
+    return "missing_order_id";
+  }
+
+  if (status === "SUCCESS") return completePayment(orderId, { gateway });
+  if (status === "FAILED") return failPayment(orderId, { gateway });
+
+  console.log(`[Webhook] Unhandled payment status "${rawStatus}" for order ${orderId}`);
+  return "ok";
+}
+
+// Each webhook source knows how to verify, parse, describe and process its events.
+// verify() returns null when the request is authentic, else a rejection status.
+// `ctx.gateway` names the payment gateway a "payment" event came from.
+const SOURCES = {
+  payment: {
+    verify: (rawBody, headers, ctx) => getGateway(ctx.gateway).verifyWebhook(rawBody, headers),
+    parse: (rawBody, ctx) => getGateway(ctx.gateway).parseWebhook(rawBody),
+    describe(event) {
+      return { eventType: event.eventType || null, reference: event.refundId || event.orderId || null };
+    },
+    process: (event, ctx) => processPaymentEvent(event, ctx.gateway),
+  },
+
+  payout: {
+    verify(rawBody, headers) {
+      const provider = getPayoutProvider();
+      if (!provider) return "payouts_disabled";
+      return provider.verifyWebhook(rawBody, headers) ? null : "invalid_signature";
+    },
+    parse: (rawBody) => getPayoutProvider().parseWebhook(rawBody),
+    describe(event) {
+      return { eventType: `TRANSFER_${event.status}`, reference: event.transferId || null };
+    },
+    process: (event) => applyPayoutEvent(event, getPayoutProvider().name),
+  },
+};
+
+// Events logged before payment gateways were pluggable
+const LEGACY_SOURCES = {
+  cashfree_payment: { source: "payment", gateway: "cashfree" },
+};
+
+// A log entry that can't be updated must not stop (or fail) processing
+function recordEvent(eventRef, update) {
+  return eventRef
+    .update(update)
+    .catch((err) => console.error(`[Webhook] Failed to update event ${eventRef.id}: ${err.message}`));
+}
+
+/**
+ * Verify and process one attempt of a logged event and store the result on it.
+ * Never throws: processing errors are recorded on the event for replay.
+ */
+async function runEvent(eventRef, source, rawBody, headers, ctx = {}) {
+  let rejection;
+  try {
+    rejection = SOURCES[source].verify(rawBody, headers, ctx);
+  } catch (err) {
+    // e.g. an unknown gateway name in the webhook URL
+    console.error(`[Webhook] ${source} event ${eventRef.id} could not be verified: ${err.message}`);
+    rejection = "unverifiable";
+  }
+
+  if (rejection) {
+    console.error(`[Webhook] ${source} event ${eventRef.id} rejected: ${rejection}`);
+    await recordEvent(eventRef, {
+      verified: false,
+      status: "rejected",
+      outcome: rejection,
+      error: null,
+      processedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return { status: rejection };
+  }
+
+  try {
+    const event = await SOURCES[source].parse(rawBody, ctx);
+    await recordEvent(eventRef, { verified: true, ...SOURCES[source].describe(event) });
+
+    const outcome = await SOURCES[source].process(event, ctx);
+    await recordEvent(eventRef, {
+      status: "processed",
+      outcome,
+      error: null,
+      processedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return { status: outcome };
+  } catch (err) {
+    console.error(`[Webhook] ${source} event ${eventRef.id} failed: ${err.message}`, err.stack);
+    await recordEvent(eventRef, {
+      verified: true,
+      status: "failed",
+      outcome: "error",
+      error: { message: err.message, stack: err.stack || null },
+      processedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return { status: "error", message: err.message };
+  }
+}
+
+/**
+ * Log an incoming webhook to `webhook_events`, then verify and process it.
+ * @param {string} source - "payment" or "payout"
+ * @param {string} rawBody - Raw request body
+ * @param {Object} headers - Request headers
+ * @param {Object} [ctx]
+ * @param {string} [ctx.gateway] - Payment gateway name, for "payment" events
+ * @returns {Promise<Object>} Response body for the webhook caller
+ */
+async function handleWebhook(source, rawBody, headers, ctx = {}) {
+  let eventRef;
+  try {
+    eventRef = db.collection("webhook_events").doc();
+    await eventRef.set({
+      source,
+      gateway: ctx.gateway || null,
+      rawBody,
+      headers: pickHeaders(headers),
+      eventType: null,
+      reference: null,
+      verified: null,
+      status: "received",
+      outcome: null,
+      error: null,
+      attempts: 1,
+      receivedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } catch (err) {
+    // Still try to process; losing the log entry is better than losing the sale
+    console.error(`[Webhook] Failed to log ${source} event: ${err.message}`);
+    eventRef = { id: "unlogged", update: async () => {} };
+  }
+
+  return runEvent(eventRef, source, rawBody, headers, ctx);
+}
+
+/**
+ * Re-run a failed or rejected event through the same verification and
+ * idempotent processing as a live webhook.
+ * Throws an error with a `status` property for request-level failures.
+ * @param {string} eventId
+ * @param {string} adminUid
+ * @returns {Promise<Object>} The new processing result
+ */
+async function replayWebhookEvent(eventId, adminUid) {
+  const eventRef = db.collection("webhook_events").doc(eventId);
+  const eventDoc = await eventRef.get();
+
+  if (!eventDoc.exists) {
+    throw Object.assign(new Error("Webhook event not found"), { status: 404 });
+  }
+
+  const event = eventDoc.data();
+  if (event.status === "processed") {
+    throw Object.assign(new Error("Webhook event was already processed"), { status: 409 });
+  }
+
+  const { source, gateway } = LEGACY_SOURCES[event.source] || { source: event.source, gateway: event.gateway };
+  if (!SOURCES[source]) {
+    throw Object.assign(new Error(`Unknown webhook source "${event.source}"`), { status: 400 });
+  }
+
+  await eventRef.update({
+    attempts: admin.firestore.FieldValue.increment(1),
+    lastReplayedBy: adminUid,
+    lastReplayedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  console.log(`[Webhook] Replaying ${event.source} event ${eventId} (requested by ${adminUid})`);
+  return runEvent(eventRef, source, event.rawBody, event.headers || {}, { gateway });
+}
+
+module.exports = { handleWebhook, replayWebhookEvent, processPaymentEvent };
@@ -0,0 +1,250 @@
+const { db, admin } = require("./firebase");
+const { ACCOUNTS, addLedgerEntry } = require("./ledger");
+const { LEDGER_CURRENCY, formatMoney } = require("./currency");
+const { NOTIFICATION_TYPES, notifyUser } = require("./notifications");
+const { emitSellerEvent } = require("./integrations");
+const { getPayoutProvider } = require("./payouts");
+
+// Processing withdrawals younger than this are left for the payout webhook
+const DEFAULT_RECONCILE_AFTER_MINUTES = 30;
+
+function withdrawalError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Release a withdrawal's hold back into the seller's wallet. Used by reject
+ * (admin), cancel (admin), cancel (seller) and failed automated payouts.
+ * Throws an error with a `status` property when the transition isn't allowed.
+ * @param {string} id - Withdrawal id
+ * @param {string} status - New status: rejected, cancelled or failed
+ * @param {string|null} reason
+ * @param {string} actorUid - Who resolved it (admin uid, seller uid or provider name)
+ * @param {Object} [options]
+ * @param {string} [options.ownerUid] - Require the withdrawal to belong to this seller
+ * @param {string[]} [options.fromStatuses] - Statuses the withdrawal may be in
+ * @returns {Promise<Object>} The withdrawal data before the update
+ */
+async function releaseWithdrawal(id, status, reason, actorUid, { ownerUid = null, fromStatuses = ["pending"] } = {}) {
+  const withdrawalRef = db.collection("withdrawals").doc(id);
+
+  return db.runTransaction(async (tx) => {
+    const withdrawalDoc = await tx.get(withdrawalRef);
+    if (!withdrawalDoc.exists) {
+      throw withdrawalError(404, "Withdrawal not found");
+    }
+
+    const withdrawal = withdrawalDoc.data();
+    if (ownerUid && withdrawal.sellerId !== ownerUid) {
+      throw withdrawalError(403, "Not authorized to cancel this withdrawal");
+    }
+    if (!fromStatuses.includes(withdrawal.status)) {
+      throw withdrawalError(409, `Withdrawal is already ${withdrawal.status}`);
+    }
+
+    tx.update(withdrawalRef, {
+      status,
+      reason: reason || null,
+      resolvedBy: actorUid,
+      resolvedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    // Requests filed before holds existed never left the wallet
+    if (withdrawal.held) {
+      tx.update(db.collection("users").doc(withdrawal.sellerId), {
+        walletBalance: admin.firestore.FieldValue.increment(withdrawal.amount),
+        pendingWithdrawal: admin.firestore.FieldValue.increment(-withdrawal.amount),
+      });
+      addLedgerEntry(tx, {
+        sellerId: withdrawal.sellerId,
+        type: "withdrawal_release",
+        amount: withdrawal.amount,
+        debit: ACCOUNTS.SELLER_PENDING,
+        credit: ACCOUNTS.SELLER_WALLET,
+        reference: { withdrawalId: id },
+        description: reason || null,
+      });
+    }
+
+    return withdrawal;
+  });
+}
+
+/**
+ * Mark a withdrawal paid and clear its hold. Manual payouts go straight from
+ * "pending"; automated payouts are confirmed from "processing" by the webhook.
+ * @param {string} id - Withdrawal id
+ * @param {string} actorUid - Admin uid or provider name
+ * @param {Object} [options]
+ * @param {string[]} [options.fromStatuses] - Statuses the withdrawal may be in
+ * @param {Object} [options.extra] - Additional fields to store on the withdrawal
+ * @returns {Promise<Object>} The withdrawal data before the update
+ */
+async function markWithdrawalPaid(id, actorUid, { fromStatuses = ["pending"], extra = {} } = {}) {
+  const withdrawalRef = db.collection("withdrawals").doc(id);
+
+  return db.runTransaction(async (tx) => {
+    const withdrawalDoc = await tx.get(withdrawalRef);
+    if (!withdrawalDoc.exists) {
+      throw withdrawalError(404, "Withdrawal not found");
+    }
+
+    const withdrawal = withdrawalDoc.data();
+    if (!fromStatuses.includes(withdrawal.status)) {
+      throw withdrawalError(409, `Withdrawal is already ${withdrawal.status}`);
+    }
+
+    tx.update(withdrawalRef, {
+      ...extra,
+      status: "paid",
+      resolvedBy: actorUid,
+      paidAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    // The amount already left walletBalance at request time; paying clears the hold.
+    // Legacy requests without a hold are debited from the wallet directly.
+    tx.update(db.collection("users").doc(withdrawal.sellerId), {
+      [withdrawal.held ? "pendingWithdrawal" : "walletBalance"]: admin.firestore.FieldValue.increment(
+        -withdrawal.amount
+      ),
+      totalWithdrawn: admin.firestore.FieldValue.increment(withdrawal.amount),
+    });
+    addLedgerEntry(tx, {
+      sellerId: withdrawal.sellerId,
+      type: "withdrawal_paid",
+      amount: withdrawal.amount,
+      debit: withdrawal.held ? ACCOUNTS.SELLER_PENDING : ACCOUNTS.SELLER_WALLET,
+      credit: ACCOUNTS.PAYOUTS,
+      reference: { withdrawalId: id },
+      description: `Paid to ${withdrawal.upiId}`,
+    });
+
+    return withdrawal;
+  });
+}
+
+/**
+ * Apply a parsed payout transfer event to its withdrawal.
+ * @param {Object} transfer - Output of a payout provider's parseWebhook()
+ * @param {string} providerName
+ * @returns {Promise<string>} Processing outcome
+ */
+async function applyPayoutEvent({ transferId, status, referenceId, reason }, providerName) {
+  console.log(`[PayoutWebhook] Transfer ${transferId} status: ${status}`);
+
+  if (!transferId) return "missing_transfer_id";
+
+  const snapshot = await db.collection("withdrawals").where("transferId", "==", transferId).limit(1).get();
+  if (snapshot.empty) {
+    console.error(`[PayoutWebhook] No withdrawal for transfer ${transferId}`);
+    return "withdrawal_not_found";
+  }
+
+  const withdrawalDoc = snapshot.docs[0];
+  if (withdrawalDoc.data().status !== "processing") {
+    console.log(`[PayoutWebhook] Withdrawal ${withdrawalDoc.id} already ${withdrawalDoc.data().status} — skipping`);
+    return "already_processed";
+  }
+
+  if (status === "SUCCESS") {
+    const { sellerId, amount, upiId } = await markWithdrawalPaid(withdrawalDoc.id, providerName, {
+      fromStatuses: ["processing"],
+      extra: { transferReferenceId: referenceId || null },
+    });
+    await notifyUser(sellerId, {
+      type: NOTIFICATION_TYPES.WITHDRAWAL,
+      title: "Withdrawal Approved! 💰",
+      body: `${formatMoney(amount)} sent to ${upiId} successfully`,
+      data: { withdrawalId: withdrawalDoc.id },
+      email: { template: "withdrawal_paid", data: { amount: formatMoney(amount), upiId } },
+    });
+    await emitSellerEvent(sellerId, "payout.paid", {
+      withdrawalId: withdrawalDoc.id,
+      amount,
+      currency: LEDGER_CURRENCY,
+      upiId,
+      referenceId: referenceId || null,
+    });
+  } else if (status === "FAILED") {
+    const { sellerId, amount } = await releaseWithdrawal(
+      withdrawalDoc.id,
+      "failed",
+      reason || "Payout failed",
+      providerName,
+      { fromStatuses: ["processing"] }
+    );
+    await notifyUser(sellerId, {
+      type: NOTIFICATION_TYPES.WITHDRAWAL,
+      title: "Withdrawal Failed",
+      body: `${formatMoney(amount)} returned to your wallet. Please check your UPI id.`,
+      data: { withdrawalId: withdrawalDoc.id },
+    });
+    await emitSellerEvent(sellerId, "payout.failed", {
+      withdrawalId: withdrawalDoc.id,
+      amount,
+      currency: LEDGER_CURRENCY,
+      status: "failed",
+      reason: reason || "Payout failed",
+    });
+  }
+
+  return "ok";
+}
+
+/**
+ * Look up automated payouts still "processing" after `olderThanMinutes` with
+ * the provider and settle them the way their webhook would have. Covers
+ * lost webhooks and approvals whose transfer call ended ambiguously. A
+ * transfer the provider never created is failed, returning the funds.
+ * @param {Object} [options]
+ * @param {number} [options.olderThanMinutes]
+ * @param {number} [options.limit=50]
+ * @returns {Promise<{ checked: number, paid: number, failed: number, pending: number }>}
+ */
+async function reconcileProcessingWithdrawals({
+  olderThanMinutes = DEFAULT_RECONCILE_AFTER_MINUTES,
+  limit = 50,
+} = {}) {
+  const summary = { checked: 0, paid: 0, failed: 0, pending: 0 };
+  const provider = getPayoutProvider();
+  if (!provider) return summary;
+
+  const cutoff = admin.firestore.Timestamp.fromMillis(Date.now() - olderThanMinutes * 60 * 1000);
+  const snapshot = await db
+    .collection("withdrawals")
+    .where("status", "==", "processing")
+    .where("approvedAt", "<=", cutoff)
+    .orderBy("approvedAt", "asc")
+    .limit(limit)
+    .get();
+
+  for (const doc of snapshot.docs) {
+    const { transferId, payoutProvider } = doc.data();
+    // Transfers started through another provider can only be settled by its webhook
+    if (!transferId || payoutProvider !== provider.name) continue;
+    summary.checked++;
+
+    try {
+      const transfer = await provider.getTransfer({ transferId });
+      if (transfer.status === "PENDING") {
+        summary.pending++;
+        continue;
+      }
+      const failed = transfer.status !== "SUCCESS";
+      await applyPayoutEvent(
+        {
+          transferId,
+          status: failed ? "FAILED" : "SUCCESS",
+          referenceId: transfer.referenceId,
+          reason: transfer.status === "NOT_FOUND" ? "The payout was never started" : transfer.reason,
+        },
+        provider.name
+      );
+      if (failed) summary.failed++;
+      else summary.paid++;
+    } catch (err) {
+      console.error(`[Withdrawals] Failed to reconcile payout ${transferId}: ${err.message}`);
+    }
+  }
+  return summary;
+}
+
+module.exports = { releaseWithdrawal, markWithdrawalPaid, applyPayoutEvent, reconcileProcessingWithdrawals };